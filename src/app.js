@@ -9,9 +9,16 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const mockCheckoutRoutes = require('./routes/mockCheckoutRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const { getDefaultProviderName } = require('./providers');
 
 // Import error handler
-const { globalErrorHandler } = require('./utils/errorHandler');
+const { notFoundHandler, globalErrorHandler } = require('./utils/errorHandler');
+const requestLogger = require('./middleware/requestLogger');
+const { httpMetrics, requireMetricsAccess, metricsHandler } = require('./middleware/metrics');
 
 /**
  * Express Application Setup
@@ -20,18 +27,38 @@ const { globalErrorHandler } = require('./utils/errorHandler');
  */
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For so rate
+// limits and login lockouts apply per client instead of per proxy.
+// TRUST_PROXY: true, a number of proxy hops, or a list of proxy addresses
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy) {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', Number(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
+// Middleware: Request ID and structured request logging
+// First, so body parsing errors are logged with the request's ID as well.
+app.use(requestLogger);
+
+// Middleware: Request counts and latencies for GET /metrics
+app.use(httpMetrics);
+
+// Middleware: Keep the raw body for payment provider webhooks
+// The signature is computed over the exact bytes sent, so these routes must be
+// parsed as a Buffer before express.json() gets a chance to consume it.
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
+
 // Middleware: Parse JSON bodies
 app.use(express.json());
 
 // Middleware: Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
 
-// Middleware: Request logging (simple)
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path} - ${new Date().toISOString()}`);
-  next();
-});
-
 // Swagger API Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -39,52 +66,67 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customfavIcon: '/favicon.ico',
 }));
 
+// Liveness and readiness probes
+app.use('/health', healthRoutes);
+
 /**
  * @swagger
- * /health:
+ * /metrics:
  *   get:
- *     summary: Health check
- *     description: Check if the server is running
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in Prometheus text format: HTTP requests and latency by route and status,
+ *       Paystack calls by operation and outcome, transaction status changes, login attempts
+ *       and Node.js process metrics.
+ * 
+ *       Protected with METRICS_TOKEN (send `Authorization: Bearer <token>`) and/or
+ *       METRICS_ALLOWED_IPS. With neither set, only localhost may scrape. Not available
+ *       when METRICS_ENABLED=false.
  *     tags: [Health]
  *     responses:
  *       200:
- *         description: Server is running
+ *         description: Current metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP http_requests_total HTTP requests handled, by method, matched route pattern and status code
+ *                 # TYPE http_requests_total counter
+ *                 http_requests_total{method="GET",route="/health",status="200"} 3
+ *       401:
+ *         description: Missing or wrong metrics token (INVALID_METRICS_TOKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Client IP not in METRICS_ALLOWED_IPS, or not localhost when no protection is configured (METRICS_FORBIDDEN)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Server is running
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                   example: 2024-01-01T12:00:00.000Z
+ *               $ref: '#/components/schemas/Error'
  */
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
-  });
-});
+// Prometheus metrics endpoint
+if (process.env.METRICS_ENABLED !== 'false') {
+  app.get('/metrics', requireMetricsAccess, metricsHandler);
+}
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Simulated hosted checkout page for the offline mock provider
+if (getDefaultProviderName() === 'mock') {
+  app.use('/mock-checkout', mockCheckoutRoutes);
+}
 
 // 404 Handler: Catch all undefined routes
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.originalUrl} not found`,
-  });
-});
+// Mounted without a path: a '*' mount would set req.baseUrl to the full URL,
+// which the metrics would then use as the route label.
+app.use(notFoundHandler);
 
 // Global Error Handler: Must be last middleware
 app.use(globalErrorHandler);
@@ -0,0 +1,52 @@
+const User = require('../../models/User');
+const { requireOption, generatePassword, describeValidationError } = require('../helpers');
+
+/**
+ * create-admin
+ * 
+ * Creates an admin account with a verified email. Without --password a
+ * random password is generated and printed once.
+ * 
+ *   npm run cli -- create-admin --email admin@example.com --name "Site Admin" [--password <password>]
+ */
+const run = async (values) => {
+  const email = requireOption(values, 'email').toLowerCase();
+  const name = requireOption(values, 'name');
+  const password = values.password || generatePassword();
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    throw new Error(`A user with email ${email} already exists (role: ${existing.role}). Use set-role to promote them.`);
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      name,
+      email,
+      password,
+      role: 'admin',
+      emailVerified: true,
+    });
+  } catch (error) {
+    throw describeValidationError(error);
+  }
+
+  console.log(`Created admin ${user.email} (${user._id})`);
+  if (!values.password) {
+    console.log(`Generated password: ${password}`);
+    console.log('Store it now; it will not be shown again.');
+  }
+};
+
+module.exports = {
+  name: 'create-admin',
+  description: 'Create an admin account',
+  usage: '--email <email> --name <name> [--password <password>]',
+  options: {
+    email: { type: 'string' },
+    name: { type: 'string' },
+    password: { type: 'string' },
+  },
+  run,
+};
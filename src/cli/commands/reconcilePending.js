@@ -0,0 +1,36 @@
+const { reconcilePendingTransactions } = require('../../workers/reconciler');
+
+/**
+ * reconcile-pending
+ * 
+ * Runs one reconciliation pass over stale pending transactions, using the
+ * RECONCILE_* settings (see workers/reconciler.js). --min-age-minutes
+ * overrides RECONCILE_MIN_AGE_MINUTES, e.g. 0 to check every pending
+ * transaction.
+ * 
+ *   npm run cli -- reconcile-pending [--min-age-minutes <minutes>]
+ */
+const run = async (values) => {
+  const options = {};
+
+  if (values['min-age-minutes'] !== undefined) {
+    const minutes = Number(values['min-age-minutes']);
+    if (values['min-age-minutes'].trim() === '' || !Number.isFinite(minutes) || minutes < 0) {
+      throw new Error('--min-age-minutes must be a number of minutes (0 or more).');
+    }
+    options.minAgeMinutes = minutes;
+  }
+
+  const summary = await reconcilePendingTransactions(options);
+  console.log('Reconciled pending transactions:', summary);
+};
+
+module.exports = {
+  name: 'reconcile-pending',
+  description: 'Re-check stale pending transactions with their provider (one pass)',
+  usage: '[--min-age-minutes <minutes>]',
+  options: {
+    'min-age-minutes': { type: 'string' },
+  },
+  run,
+};
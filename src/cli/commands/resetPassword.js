@@ -0,0 +1,46 @@
+const RefreshToken = require('../../models/RefreshToken');
+const { unlockAccount } = require('../../lockout');
+const { requireOption, generatePassword, findUserByEmail, describeValidationError } = require('../helpers');
+
+/**
+ * reset-password
+ * 
+ * Sets a new password for a user, signs them out everywhere and clears any
+ * login lockout. Without --password a random password is generated and
+ * printed once.
+ * 
+ *   npm run cli -- reset-password --email jane@example.com [--password <password>]
+ */
+const run = async (values) => {
+  const email = requireOption(values, 'email');
+  const password = values.password || generatePassword();
+
+  const user = await findUserByEmail(email, '+password');
+
+  user.password = password; // Will be hashed by pre-save hook
+  try {
+    await user.save();
+  } catch (error) {
+    throw describeValidationError(error);
+  }
+
+  await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+  await unlockAccount(user.email);
+
+  console.log(`Reset password of ${user.email}; all sessions were signed out`);
+  if (!values.password) {
+    console.log(`Generated password: ${password}`);
+    console.log('Store it now; it will not be shown again.');
+  }
+};
+
+module.exports = {
+  name: 'reset-password',
+  description: "Set a user's password and sign them out everywhere",
+  usage: '--email <email> [--password <password>]',
+  options: {
+    email: { type: 'string' },
+    password: { type: 'string' },
+  },
+  run,
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const TransactionPayload = require('../../models/TransactionPayload');
+const RefreshToken = require('../../models/RefreshToken');
+const ApiKey = require('../../models/ApiKey');
+const IdempotencyKey = require('../../models/IdempotencyKey');
+
+/**
+ * seed
+ * 
+ * Loads demo users (one per role plus two customers) and transactions in
+ * every status, for local development, demos and CI. Seeded transactions use
+ * the mock provider and references starting with SEED-.
+ * 
+ * Users that already exist are left alone, and only new users get demo
+ * transactions, so running it twice is safe. --reset first deletes the demo
+ * users and everything that belongs to them. Refuses to run with
+ * NODE_ENV=production unless --force is given.
+ * 
+ *   npm run cli -- seed [--password <password>] [--reset] [--force]
+ */
+
+const DEFAULT_PASSWORD = 'Password123!';
+
+const DEMO_USERS = [
+  { name: 'Demo Admin', email: 'admin@example.com', role: 'admin' },
+  { name: 'Demo Support', email: 'support@example.com', role: 'support' },
+  { name: 'Demo Finance', email: 'finance@example.com', role: 'finance' },
+  { name: 'Alice Customer', email: 'alice@example.com', role: 'user' },
+  { name: 'Bob Customer', email: 'bob@example.com', role: 'user' },
+];
+
+// Transactions created for each demo customer
+const DEMO_TRANSACTIONS = [
+  { amount: 500000, status: 'success', daysAgo: 28, channel: 'card' },
+  { amount: 250000, status: 'success', daysAgo: 21, channel: 'bank' },
+  { amount: 120000, status: 'failed', daysAgo: 14, channel: 'card' },
+  { amount: 75000, status: 'abandoned', daysAgo: 10 },
+  { amount: 300000, status: 'partially_refunded', daysAgo: 7, channel: 'card', refund: 100000 },
+  { amount: 150000, status: 'refunded', daysAgo: 3, channel: 'ussd', refund: 150000 },
+  { amount: 50000, status: 'pending', daysAgo: 0 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build Demo Transaction
+ * 
+ * Walks a new transaction through the state machine to its demo status, the
+ * way the API would, so its statusHistory is consistent.
+ * 
+ * @param {Object} user - Customer the transaction belongs to
+ * @param {Object} spec - Entry of DEMO_TRANSACTIONS
+ * @param {Object} refundedBy - Staff user recorded on refunds
+ * @returns {Object} Unsaved transaction
+ */
+const buildTransaction = (user, spec, refundedBy) => {
+  const createdAt = new Date(Date.now() - spec.daysAgo * DAY_MS - crypto.randomInt(60 * 60 * 1000));
+  const transaction = new Transaction({
+    user: user._id,
+    amount: spec.amount,
+    reference: `SEED-${createdAt.getTime()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+    provider: 'mock',
+    createdAt,
+  });
+  transaction.statusHistory.push({ from: null, to: 'pending', source: 'initiate', changedAt: createdAt });
+
+  if (spec.status === 'pending') {
+    return transaction;
+  }
+
+  if (spec.status === 'abandoned') {
+    transaction.transitionTo('abandoned', { source: 'reconciler' });
+  } else if (spec.status === 'failed') {
+    transaction.applyPaymentDetails({ currency: 'NGN', channel: spec.channel, gatewayResponse: 'Declined' });
+    transaction.transitionTo('failed', { source: 'verify' });
+  } else {
+    transaction.applyPaymentDetails({
+      currency: 'NGN',
+      channel: spec.channel,
+      paidAt: new Date(createdAt.getTime() + 60 * 1000),
+      fees: Math.round(spec.amount * 0.015),
+      gatewayResponse: 'Approved',
+      card: spec.channel === 'card' ? { brand: 'visa', last4: '4081', bank: 'TEST BANK' } : undefined,
+    });
+    transaction.transitionTo('success', { source: 'verify' });
+  }
+
+  if (spec.refund) {
+    transaction.refunds.push({
+      amount: spec.refund,
+      reason: 'Demo refund',
+      initiatedBy: refundedBy._id,
+      providerRefundId: `seed-refund-${crypto.randomBytes(4).toString('hex')}`,
+      status: 'processed',
+    });
+    transaction.transitionTo(spec.status, { source: 'admin' });
+  }
+
+  // History entries were stamped with the current time; move them to the demo date
+  transaction.statusHistory.forEach((entry, index) => {
+    entry.changedAt = new Date(createdAt.getTime() + index * 60 * 1000);
+  });
+
+  return transaction;
+};
+
+/**
+ * Remove Demo Data
+ * 
+ * @returns {Promise<number>} Number of demo users deleted
+ */
+const removeDemoData = async () => {
+  const users = await User.find({ email: { $in: DEMO_USERS.map((demo) => demo.email) } });
+  const ids = users.map((user) => user._id);
+
+  const transactionIds = await Transaction.distinct('_id', { user: { $in: ids } });
+  await TransactionPayload.deleteMany({ transaction: { $in: transactionIds } });
+  await Transaction.deleteMany({ user: { $in: ids } });
+  await Promise.all([
+    RefreshToken.deleteMany({ user: { $in: ids } }),
+    ApiKey.deleteMany({ user: { $in: ids } }),
+    IdempotencyKey.deleteMany({ user: { $in: ids } }),
+  ]);
+  await User.deleteMany({ _id: { $in: ids } });
+
+  return users.length;
+};
+
+const run = async (values) => {
+  if (process.env.NODE_ENV === 'production' && !values.force) {
+    throw new Error('Refusing to seed demo data with NODE_ENV=production. Pass --force to do it anyway.');
+  }
+
+  const password = values.password || DEFAULT_PASSWORD;
+
+  if (values.reset) {
+    const removed = await removeDemoData();
+    console.log(`Removed ${removed} demo user(s) and their data`);
+  }
+
+  const users = {};
+  const created = [];
+  for (const demo of DEMO_USERS) {
+    let user = await User.findOne({ email: demo.email });
+    if (!user) {
+      user = await User.create({ ...demo, password, emailVerified: true });
+      created.push(user);
+    }
+    users[demo.email] = user;
+  }
+
+  const refundedBy = users['finance@example.com'];
+  let transactionCount = 0;
+  for (const user of created.filter((demo) => demo.role === 'user')) {
+    for (const spec of DEMO_TRANSACTIONS) {
+      await buildTransaction(user, spec, refundedBy).save();
+      transactionCount += 1;
+    }
+  }
+
+  console.log(`Created ${created.length} demo user(s) and ${transactionCount} transaction(s)`);
+  created.forEach((user) => console.log(`  ${user.role.padEnd(8)} ${user.email}`));
+  if (created.length > 0) {
+    console.log(values.password ? 'Password: as given with --password' : `Password: ${DEFAULT_PASSWORD}`);
+  }
+  if (created.length < DEMO_USERS.length) {
+    console.log(`${DEMO_USERS.length - created.length} demo user(s) already existed and were left unchanged (use --reset to recreate)`);
+  }
+};
+
+module.exports = {
+  name: 'seed',
+  description: 'Load demo users and transactions (development and CI)',
+  usage: '[--password <password>] [--reset] [--force]',
+  options: {
+    password: { type: 'string' },
+    reset: { type: 'boolean' },
+    force: { type: 'boolean' },
+  },
+  run,
+};
@@ -0,0 +1,42 @@
+const { ROLES } = require('../../utils/permissions');
+const { requireOption, findUserByEmail } = require('../helpers');
+
+/**
+ * set-role
+ * 
+ * Changes a user's role. The new permissions apply from the user's next request.
+ * 
+ *   npm run cli -- set-role --email jane@example.com --role finance
+ */
+const run = async (values) => {
+  const email = requireOption(values, 'email');
+  const role = requireOption(values, 'role');
+
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}. Allowed: ${ROLES.join(', ')}.`);
+  }
+
+  const user = await findUserByEmail(email);
+  const previousRole = user.role;
+
+  if (previousRole === role) {
+    console.log(`${user.email} already has role ${role}`);
+    return;
+  }
+
+  user.role = role;
+  await user.save();
+
+  console.log(`Changed role of ${user.email} from ${previousRole} to ${role}`);
+};
+
+module.exports = {
+  name: 'set-role',
+  description: "Change a user's role",
+  usage: `--email <email> --role <${ROLES.join('|')}>`,
+  options: {
+    email: { type: 'string' },
+    role: { type: 'string' },
+  },
+  run,
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+/**
+ * CLI Helpers
+ * 
+ * Shared option checks and lookups for the CLI commands.
+ */
+
+/**
+ * Require Option
+ * 
+ * @param {Object} values - Parsed command options
+ * @param {string} name - Option name
+ * @returns {string} The option value
+ * @throws {Error} If the option is missing or empty
+ */
+const requireOption = (values, name) => {
+  const value = values[name]?.trim();
+  if (!value) {
+    throw new Error(`Missing required option --${name}.`);
+  }
+  return value;
+};
+
+/**
+ * Generate Password
+ * 
+ * @returns {string} Random 16-character password
+ */
+const generatePassword = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Find User By Email
+ * 
+ * @param {string} email - Account email
+ * @param {string} [select] - Extra fields to select (e.g. '+password')
+ * @returns {Promise<Object>} User document
+ * @throws {Error} If no user has this email
+ */
+const findUserByEmail = async (email, select) => {
+  const query = User.findOne({ email: email.toLowerCase() });
+  const user = await (select ? query.select(select) : query);
+
+  if (!user) {
+    throw new Error(`No user found with email ${email}.`);
+  }
+
+  return user;
+};
+
+/**
+ * Describe Validation Error
+ * 
+ * @param {Error} error - Error thrown by save()
+ * @returns {Error} Mongoose validation errors joined into one message, other errors unchanged
+ */
+const describeValidationError = (error) => {
+  if (error.name !== 'ValidationError') {
+    return error;
+  }
+  const messages = Object.values(error.errors).map((fieldError) => fieldError.message);
+  return new Error(`Validation error: ${messages.join('; ')}`);
+};
+
+module.exports = {
+  requireOption,
+  generatePassword,
+  findUserByEmail,
+  describeValidationError,
+};
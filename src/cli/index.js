@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+// Command output is plain text; only show warnings and errors logged by shared code
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const createAdmin = require('./commands/createAdmin');
+const setRole = require('./commands/setRole');
+const resetPassword = require('./commands/resetPassword');
+const reconcilePending = require('./commands/reconcilePending');
+const seed = require('./commands/seed');
+
+/**
+ * Maintenance CLI
+ * 
+ * Operator commands that work directly on the database, e.g. to create the
+ * first admin. Uses the same MONGO_URI (.env) and models as the API, and
+ * never prompts, so it can run in CI scripts.
+ * 
+ *   npm run cli -- <command> [options]
+ *   npm run cli -- help
+ * 
+ * Every command exposes:
+ * 
+ *   - name: Command name used on the command line
+ *   - description: One-line summary for the help text
+ *   - usage: Options summary for the help text
+ *   - options: util.parseArgs option definitions
+ *   - run(values) → Promise<void>: Runs with the parsed options, throws on failure
+ * 
+ * Exits with 0 on success and 1 on any error.
+ */
+const commands = {
+  [createAdmin.name]: createAdmin,
+  [setRole.name]: setRole,
+  [resetPassword.name]: resetPassword,
+  [reconcilePending.name]: reconcilePending,
+  [seed.name]: seed,
+};
+
+/**
+ * Print Help
+ * 
+ * Lists every command with its options.
+ */
+const printHelp = () => {
+  console.log('Usage: npm run cli -- <command> [options]\n');
+  console.log('Commands:');
+  Object.values(commands).forEach((command) => {
+    console.log(`  ${command.name.padEnd(18)} ${command.description}`);
+    if (command.usage) {
+      console.log(`  ${''.padEnd(18)} ${command.usage}`);
+    }
+  });
+};
+
+const main = async (argv) => {
+  const [commandName, ...args] = argv;
+
+  if (!commandName || commandName === 'help' || commandName === '--help') {
+    printHelp();
+    return;
+  }
+
+  const command = commands[commandName];
+  if (!command) {
+    throw new Error(`Unknown command: ${commandName}. Available: ${Object.keys(commands).join(', ')}`);
+  }
+
+  const { values } = parseArgs({ args, options: command.options, strict: true });
+
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set. Add it to .env or the environment.');
+  }
+
+  // Fail straight away instead of retrying like the server
+  await connectDB({ maxAttempts: 1 });
+
+  try {
+    await command.run(values);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
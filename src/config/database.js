@@ -1,22 +1,108 @@
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+const { readNonNegativeNumber } = require('./settings');
 
 /**
  * Database Connection Configuration
  * 
  * Establishes connection to MongoDB using Mongoose.
  * Handles connection events and errors.
+ * 
+ * A failed first connection is retried with exponential backoff instead of
+ * exiting, so the server keeps running (and reports not ready on
+ * GET /health/ready) until MongoDB is up. Once connected, Mongoose reconnects
+ * by itself after losing the connection.
+ * 
+ * Environment:
+ *   DB_CONNECT_RETRY_BASE_MS - Delay before the first retry (default: 1000)
+ *   DB_CONNECT_RETRY_MAX_MS - Longest delay between retries (default: 30000)
+ *   DB_CONNECT_MAX_ATTEMPTS - Give up after this many attempts (default: 0, never)
+ */
+
+const DEFAULTS = {
+  retryBaseMs: 1000,
+  retryMaxMs: 30000,
+  maxAttempts: 0,
+};
+
+/**
+ * Get Retry Config
+ * 
+ * @returns {Object} { retryBaseMs, retryMaxMs, maxAttempts }
  */
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-
-    console.log(` MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error(`Database connection error: ${error.message}`);
-    process.exit(1);
+const getRetryConfig = () => ({
+  retryBaseMs: readNonNegativeNumber('DB_CONNECT_RETRY_BASE_MS', DEFAULTS.retryBaseMs),
+  retryMaxMs: readNonNegativeNumber('DB_CONNECT_RETRY_MAX_MS', DEFAULTS.retryMaxMs),
+  maxAttempts: readNonNegativeNumber('DB_CONNECT_MAX_ATTEMPTS', DEFAULTS.maxAttempts),
+});
+
+/**
+ * Get Retry Delay
+ * 
+ * Doubles with every attempt up to the maximum, with up to 20% random jitter
+ * so several instances do not retry in step.
+ * 
+ * @param {number} attempt - Failed attempts so far (1 after the first failure)
+ * @param {Object} config - Retry config
+ * @returns {number} Milliseconds to wait
+ */
+const getRetryDelay = (attempt, { retryBaseMs, retryMaxMs }) => {
+  const delay = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - Math.random() * 0.2));
+};
+
+let listenersAttached = false;
+
+/**
+ * Attach Connection Listeners
+ * 
+ * Logs when an established connection drops and comes back.
+ */
+const attachConnectionListeners = () => {
+  if (listenersAttached) {
+    return;
+  }
+  listenersAttached = true;
+
+  mongoose.connection.on('disconnected', () => {
+    logger.warn('MongoDB disconnected');
+  });
+  mongoose.connection.on('reconnected', () => {
+    logger.info('MongoDB reconnected');
+  });
+};
+
+/**
+ * Connect DB
+ * 
+ * @param {Object} [options] - Override the environment settings
+ * @param {number} [options.maxAttempts] - Give up after this many attempts (0 = never)
+ * @returns {Promise<void>} Resolves once connected
+ * @throws {Error} The last connection error, once maxAttempts is used up
+ */
+const connectDB = async (options = {}) => {
+  const config = { ...getRetryConfig(), ...options };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const conn = await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+
+      attachConnectionListeners();
+      logger.info('MongoDB connected', { host: conn.connection.host, attempt });
+      return;
+    } catch (error) {
+      if (config.maxAttempts > 0 && attempt >= config.maxAttempts) {
+        logger.error('Database connection error', { attempt, err: error });
+        throw error;
+      }
+
+      const retryInMs = getRetryDelay(attempt, config);
+      logger.warn('Database connection error, retrying', { attempt, retryInMs, err: error });
+      await new Promise((resolve) => setTimeout(resolve, retryInMs));
+    }
   }
 };
 
@@ -0,0 +1,82 @@
+const { getDefaultProviderName, isProviderRegistered } = require('../providers');
+const { getDefaultTransportName, isTransportRegistered } = require('../mail');
+const loginLockout = require('../lockout');
+const rateLimitStores = require('../rateLimit');
+
+/**
+ * Environment Configuration Check
+ * 
+ * Sanity checks of the settings in .env / the environment. The server runs
+ * them once at startup and refuses to start on errors (see server.js); the
+ * readiness probe (GET /health/ready) reports them too.
+ * 
+ * Errors: unknown backend names (PAYMENT_PROVIDER, MAIL_TRANSPORT,
+ * LOGIN_ATTEMPT_STORE, RATE_LIMIT_STORE), missing required variables and the
+ * console mail transport in production.
+ * Warnings: settings that work but are unlikely to be meant for production.
+ */
+
+/**
+ * Check Config
+ * 
+ * @returns {Object} { errors: string[], warnings: string[] }
+ */
+const checkConfig = () => {
+  const errors = [];
+  const warnings = [];
+
+  const provider = getDefaultProviderName();
+  if (!isProviderRegistered(provider)) {
+    errors.push(`Unknown PAYMENT_PROVIDER: ${provider}`);
+  }
+
+  const mailTransport = getDefaultTransportName();
+  if (!isTransportRegistered(mailTransport)) {
+    errors.push(`Unknown MAIL_TRANSPORT: ${mailTransport}`);
+  }
+
+  const loginAttemptStore = loginLockout.getDefaultStoreName();
+  if (!loginLockout.isStoreRegistered(loginAttemptStore)) {
+    errors.push(`Unknown LOGIN_ATTEMPT_STORE: ${loginAttemptStore}`);
+  }
+
+  const rateLimitStore = rateLimitStores.getDefaultStoreName();
+  if (!rateLimitStores.isStoreRegistered(rateLimitStore)) {
+    errors.push(`Unknown RATE_LIMIT_STORE: ${rateLimitStore}`);
+  }
+
+  // The Paystack key is only needed when Paystack handles payments
+  const required = ['MONGO_URI', 'JWT_SECRET'];
+  if (provider === 'paystack') {
+    required.push('PAYSTACK_SECRET_KEY');
+  }
+  if (mailTransport === 'smtp') {
+    required.push('SMTP_HOST');
+  }
+  const missing = required.filter((key) => !process.env[key]);
+  if (missing.length > 0) {
+    errors.push(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  if (provider === 'mock') {
+    warnings.push('PAYMENT_PROVIDER=mock - payments are simulated, no money moves');
+  }
+  // Console emails carry reset and verification tokens into the log
+  if (mailTransport === 'console' && process.env.NODE_ENV === 'production') {
+    errors.push('MAIL_TRANSPORT=console cannot be used in production - set MAIL_TRANSPORT=smtp');
+  } else if (mailTransport === 'console') {
+    warnings.push('MAIL_TRANSPORT=console - emails are printed to the log, not sent');
+  }
+
+  // Validate Paystack key format
+  const paystackKey = process.env.PAYSTACK_SECRET_KEY?.trim();
+  if (paystackKey && !paystackKey.startsWith('sk_test_') && !paystackKey.startsWith('sk_live_')) {
+    warnings.push('PAYSTACK_SECRET_KEY should start with sk_test_ or sk_live_');
+  }
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  checkConfig,
+};
@@ -0,0 +1,38 @@
+/**
+ * Numeric Settings
+ * 
+ * Reads numeric settings from the environment. Unset or invalid values fall
+ * back to the default, so a typo in .env never turns a limit off.
+ */
+
+/**
+ * Read Positive Number
+ * 
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value if unset, invalid or not above 0
+ * @returns {number}
+ */
+const readPositiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Read Non-negative Number
+ * 
+ * For settings where 0 means something (e.g. "no limit" or "no cache").
+ * 
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value if unset, invalid or negative
+ * @returns {number}
+ */
+const readNonNegativeNumber = (name, fallback) => {
+  const value = process.env[name];
+  const number = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+module.exports = {
+  readPositiveNumber,
+  readNonNegativeNumber,
+};
@@ -1,4 +1,6 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { ROLES } = require('../utils/permissions');
 
 /**
  * Swagger Configuration
@@ -67,6 +69,179 @@ const options = {
           bearerFormat: 'JWT',
           description: 'Enter your JWT token. Format: Bearer YOUR_TOKEN_HERE',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for server-to-server calls (can also be sent as a Bearer token). Only accepted on routes that list a scope.',
+        },
+      },
+      parameters: {
+        StatusFilter: {
+          in: 'query',
+          name: 'status',
+          schema: { type: 'string' },
+          description: 'One status or a comma-separated list (pending, success, failed, abandoned, partially_refunded, refunded)',
+          example: 'success,partially_refunded',
+        },
+        MinAmountFilter: {
+          in: 'query',
+          name: 'minAmount',
+          schema: { type: 'integer', minimum: 0 },
+          description: 'Minimum amount in kobo (inclusive)',
+          example: 1000,
+        },
+        MaxAmountFilter: {
+          in: 'query',
+          name: 'maxAmount',
+          schema: { type: 'integer', minimum: 0 },
+          description: 'Maximum amount in kobo (inclusive)',
+          example: 500000,
+        },
+        FromFilter: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only transactions created at or after this date',
+          example: '2024-01-01T00:00:00.000Z',
+        },
+        ToFilter: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only transactions created at or before this date',
+          example: '2024-01-31T23:59:59.999Z',
+        },
+        ReferencePrefixFilter: {
+          in: 'query',
+          name: 'reference',
+          schema: { type: 'string' },
+          description: 'Reference prefix',
+          example: 'PAY-1704',
+        },
+        UserFilter: {
+          in: 'query',
+          name: 'user',
+          schema: { type: 'string' },
+          description: 'Only transactions of this user ID (admin only)',
+          example: '507f1f77bcf86cd799439011',
+        },
+        SortParam: {
+          in: 'query',
+          name: 'sort',
+          schema: {
+            type: 'string',
+            enum: ['-createdAt', 'createdAt', '-amount', 'amount'],
+            default: '-createdAt',
+          },
+          description: 'Sort order; a leading minus means descending',
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Page size',
+        },
+        CursorParam: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'nextCursor from the previous page (keep the same filters and sort)',
+        },
+        UserIdParam: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string' },
+          description: 'User ID',
+          example: '507f1f77bcf86cd799439011',
+        },
+        UserSearchParam: {
+          in: 'query',
+          name: 'q',
+          schema: { type: 'string', maxLength: 100 },
+          description: 'Case-insensitive search in name and email',
+          example: 'john',
+        },
+        RoleFilter: {
+          in: 'query',
+          name: 'role',
+          schema: { type: 'string' },
+          description: 'One role or a comma-separated list (user, support, finance, admin)',
+          example: 'support,finance',
+        },
+        AccountStatusFilter: {
+          in: 'query',
+          name: 'status',
+          schema: { type: 'string', enum: ['active', 'suspended'] },
+          description: 'Only active or only suspended accounts',
+        },
+        ExportFormatParam: {
+          in: 'query',
+          name: 'format',
+          schema: { type: 'string', enum: ['csv', 'xlsx'], default: 'csv' },
+          description: 'File format of the export',
+        },
+      },
+      responses: {
+        TooManyRequests: {
+          description: 'Rate limit exceeded',
+          headers: {
+            'Retry-After': {
+              schema: { type: 'integer' },
+              description: 'Seconds to wait before retrying',
+            },
+            'RateLimit-Limit': {
+              schema: { type: 'integer' },
+              description: 'Requests allowed per window',
+            },
+            'RateLimit-Remaining': {
+              schema: { type: 'integer' },
+              description: 'Requests left in the current window',
+            },
+            'RateLimit-Reset': {
+              schema: { type: 'integer' },
+              description: 'Seconds until the current window ends',
+            },
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/LoginBlocked' },
+              example: {
+                success: false,
+                message: 'Too many requests. Please try again later.',
+                code: 'RATE_LIMITED',
+                retryAfter: 42,
+              },
+            },
+          },
+        },
+        ProviderError: {
+          description: 'Payment provider error: the provider refused the request or has no record of it (502), or could not be reached (503). The code is PROVIDER_REJECTED, PROVIDER_NOT_FOUND or PROVIDER_UNAVAILABLE.',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+              example: {
+                success: false,
+                message: 'Paystack is temporarily unavailable. Please try again later.',
+                code: 'PROVIDER_UNAVAILABLE',
+              },
+            },
+          },
+        },
+        ServerError: {
+          description: 'Unexpected server error. In production the message is generic.',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+              example: {
+                success: false,
+                message: 'Something went wrong. Please try again later.',
+                code: 'INTERNAL_ERROR',
+              },
+            },
+          },
+        },
       },
       schemas: {
         User: {
@@ -90,10 +265,31 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
+              enum: ROLES,
               description: 'User role',
               example: 'user',
             },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the email address has been verified',
+              example: false,
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether login requires a two-factor code',
+              example: false,
+            },
+            suspendedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When an admin suspended the account (null if active; admin views only)',
+            },
+            suspendedReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the account was suspended (admin views only)',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -128,10 +324,86 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'success', 'failed'],
+              enum: ['pending', 'success', 'failed', 'abandoned', 'partially_refunded', 'refunded'],
               description: 'Transaction status',
               example: 'success',
             },
+            provider: {
+              type: 'string',
+              enum: ['paystack', 'mock'],
+              description: 'Payment provider that handled the transaction',
+              example: 'paystack',
+            },
+            channel: {
+              type: 'string',
+              nullable: true,
+              description: 'Payment channel reported by the provider',
+              example: 'card',
+            },
+            currency: {
+              type: 'string',
+              nullable: true,
+              description: 'ISO currency code',
+              example: 'NGN',
+            },
+            paidAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the payment was completed',
+            },
+            fees: {
+              type: 'number',
+              nullable: true,
+              description: 'Provider fees in kobo',
+              example: 75,
+            },
+            gatewayResponse: {
+              type: 'string',
+              nullable: true,
+              description: 'Gateway response message',
+              example: 'Approved',
+            },
+            customerCode: {
+              type: 'string',
+              nullable: true,
+              description: 'Provider customer code',
+              example: 'CUS_xnxdt6s1zg1f4nx',
+            },
+            card: {
+              type: 'object',
+              properties: {
+                brand: {
+                  type: 'string',
+                  nullable: true,
+                  example: 'visa',
+                },
+                last4: {
+                  type: 'string',
+                  nullable: true,
+                  example: '4081',
+                },
+                bank: {
+                  type: 'string',
+                  nullable: true,
+                  example: 'TEST BANK',
+                },
+              },
+            },
+            refunds: {
+              type: 'array',
+              description: 'Refunds issued against the transaction',
+              items: {
+                $ref: '#/components/schemas/Refund',
+              },
+            },
+            statusHistory: {
+              type: 'array',
+              description: 'Every status change, oldest first',
+              items: {
+                $ref: '#/components/schemas/StatusChange',
+              },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -139,6 +411,259 @@ const options = {
             },
           },
         },
+        StatusChange: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'string',
+              nullable: true,
+              description: 'Previous status (null for the initial entry)',
+              example: 'pending',
+            },
+            to: {
+              type: 'string',
+              description: 'New status',
+              example: 'success',
+            },
+            source: {
+              type: 'string',
+              enum: ['initiate', 'verify', 'webhook', 'reconciler', 'admin'],
+              description: 'What triggered the change',
+              example: 'webhook',
+            },
+            payload: {
+              type: 'string',
+              nullable: true,
+              description: 'ID of the TransactionPayload behind the change (admins can read it)',
+              example: '507f1f77bcf86cd799439013',
+            },
+            changedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the change happened',
+            },
+          },
+        },
+        TransactionPayload: {
+          type: 'object',
+          properties: {
+            transaction: {
+              type: 'string',
+              description: 'Transaction ID',
+            },
+            reference: {
+              type: 'string',
+              example: 'PAY-1704110400000-ABC123',
+            },
+            provider: {
+              type: 'string',
+              example: 'paystack',
+            },
+            source: {
+              type: 'string',
+              enum: ['initiate', 'verify', 'webhook', 'reconciler', 'admin'],
+              example: 'verify',
+            },
+            data: {
+              type: 'object',
+              description: 'Raw provider payload',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Refund: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              description: 'Refunded amount in kobo',
+              example: 2500,
+            },
+            reason: {
+              type: 'string',
+              description: 'Reason for the refund',
+              example: 'Customer requested cancellation',
+            },
+            initiatedBy: {
+              type: 'string',
+              description: 'ID of the admin who initiated the refund',
+              example: '507f1f77bcf86cd799439011',
+            },
+            providerRefundId: {
+              type: 'string',
+              description: 'Refund ID returned by the payment provider',
+              example: '3018284',
+            },
+            status: {
+              type: 'string',
+              description: 'Refund status reported by the payment provider',
+              example: 'pending',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Refund creation timestamp',
+            },
+          },
+        },
+        AnalyticsSummary: {
+          type: 'object',
+          properties: {
+            count: {
+              type: 'number',
+              description: 'Number of transactions',
+              example: 120,
+            },
+            totalVolume: {
+              type: 'number',
+              description: 'Amount of all transactions in kobo',
+              example: 600000,
+            },
+            successfulCount: {
+              type: 'number',
+              description: 'Number of successful payments (including later refunded ones)',
+              example: 96,
+            },
+            successfulVolume: {
+              type: 'number',
+              description: 'Amount of successful payments in kobo',
+              example: 480000,
+            },
+            failedCount: {
+              type: 'number',
+              example: 14,
+            },
+            abandonedCount: {
+              type: 'number',
+              example: 8,
+            },
+            pendingCount: {
+              type: 'number',
+              example: 2,
+            },
+            successRate: {
+              type: 'number',
+              description: 'successfulCount / count',
+              example: 0.8,
+            },
+            failureRate: {
+              type: 'number',
+              description: 'failedCount / count',
+              example: 0.1167,
+            },
+            abandonedRate: {
+              type: 'number',
+              description: 'abandonedCount / count',
+              example: 0.0667,
+            },
+            averageTicketSize: {
+              type: 'number',
+              description: 'Average successful payment in kobo',
+              example: 5000,
+            },
+          },
+        },
+        ApiKeyScope: {
+          type: 'string',
+          enum: API_KEY_SCOPES,
+          description: 'payments:write (initialize and verify payments), transactions:read (list and export transactions, analytics), refunds:write (refunds)',
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'API key ID',
+              example: '507f1f77bcf86cd799439011',
+            },
+            name: {
+              type: 'string',
+              example: 'Checkout service',
+            },
+            prefix: {
+              type: 'string',
+              description: 'Start of the key, to recognize it',
+              example: 'stx_1a2b3c4d',
+            },
+            scopes: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ApiKeyScope' },
+              example: ['payments:write'],
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the key stops working (null = never)',
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            lastUsedIp: {
+              type: 'string',
+              nullable: true,
+              example: '203.0.113.7',
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        LoginBlocked: {
+          type: 'object',
+          description: 'Request refused by login lockout or rate limiting',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false,
+            },
+            message: {
+              type: 'string',
+              description: 'Why the login was refused',
+              example: 'Account temporarily locked after too many failed login attempts. Try again in 15 minute(s) or contact support.',
+            },
+            code: {
+              type: 'string',
+              description: 'ACCOUNT_LOCKED (423), LOGIN_THROTTLED (429) or RATE_LIMITED (429)',
+              example: 'ACCOUNT_LOCKED',
+            },
+            retryAfter: {
+              type: 'integer',
+              description: 'Seconds until the next attempt is allowed (also sent as the Retry-After header)',
+              example: 900,
+            },
+          },
+        },
+        FieldError: {
+          type: 'object',
+          properties: {
+            field: {
+              type: 'string',
+              description: 'Request field that failed validation',
+              example: 'amount',
+            },
+            message: {
+              type: 'string',
+              example: 'amount must be a whole number of kobo.',
+            },
+            code: {
+              type: 'string',
+              description: 'Stable error code: required, invalid_type, too_short, too_long, invalid_email, invalid_integer, out_of_range, invalid_date, invalid_value or invalid_format (Mongoose validator kinds for database validation)',
+              example: 'invalid_integer',
+            },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
@@ -148,16 +673,71 @@ const options = {
             },
             message: {
               type: 'string',
-              description: 'Error message',
+              description: 'Error message. Messages of unexpected server errors are replaced with a generic one in production.',
               example: 'Error description',
             },
+            code: {
+              type: 'string',
+              description: 'Stable error code to branch on, e.g. VALIDATION_ERROR, INVALID_CREDENTIALS, TRANSACTION_NOT_FOUND (see README, Error Codes)',
+              example: 'VALIDATION_ERROR',
+            },
             errors: {
+              type: 'array',
+              description: 'Validation errors, one per invalid field (if applicable)',
+              items: {
+                $ref: '#/components/schemas/FieldError',
+              },
+            },
+          },
+        },
+        HealthCheck: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['up', 'down'],
+              example: 'up',
+            },
+          },
+          additionalProperties: true,
+          description: 'Result of one readiness check. Requests with the metrics token also get details: database adds state (Mongoose connection state); config adds errors and warnings; paystack adds httpStatus, latencyMs, error and checkedAt.',
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            status: {
+              type: 'string',
+              enum: ['ready', 'starting', 'not_ready'],
+              example: 'ready',
+            },
+            message: {
+              type: 'string',
+              description: 'Only when not ready',
+              example: 'Server is not ready to handle requests.',
+            },
+            code: {
+              type: 'string',
+              description: 'Only when not ready: SERVER_STARTING or NOT_READY',
+              example: 'NOT_READY',
+            },
+            checks: {
               type: 'object',
-              description: 'Validation errors (if applicable)',
-              additionalProperties: {
-                type: 'string',
+              properties: {
+                startup: { $ref: '#/components/schemas/HealthCheck' },
+                database: { $ref: '#/components/schemas/HealthCheck' },
+                config: { $ref: '#/components/schemas/HealthCheck' },
+                paystack: { $ref: '#/components/schemas/HealthCheck' },
               },
             },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-01T12:00:00.000Z',
+            },
           },
         },
         Success: {
@@ -178,7 +758,7 @@ const options = {
     tags: [
       {
         name: 'Health',
-        description: 'Server health check endpoint',
+        description: 'Liveness and readiness probes, and Prometheus metrics',
       },
       {
         name: 'Authentication',
@@ -188,6 +768,14 @@ const options = {
         name: 'Payments',
         description: 'Payment transaction endpoints',
       },
+      {
+        name: 'API Keys',
+        description: 'API key management for server-to-server integrations',
+      },
+      {
+        name: 'Admin',
+        description: 'Administrative user account endpoints',
+      },
     ],
   },
   apis: ['./src/routes/*.js', './src/app.js'], // Path to the API files
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const RefreshToken = require('../models/RefreshToken');
+const { unlockAccount, getAccountLockStatus } = require('../lockout');
+const { buildUserFilter, paginateUsers } = require('../utils/userQuery');
+const { SUCCESSFUL_STATUSES } = require('../utils/transactionAnalytics');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Admin Controller
+ * 
+ * Handles administrative operations on user accounts: listing, viewing,
+ * role changes, suspension and login unlocks.
+ * Handlers throw application errors (utils/errors.js); asyncHandler passes
+ * them to the global error handler.
+ */
+
+/**
+ * Format User
+ * 
+ * @param {Object} user - User document
+ * @returns {Object} User as returned by the admin endpoints
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Get Transaction Totals
+ * 
+ * Counts a user's transactions and sums their amounts, per status and for
+ * successful payments overall (including later refunded ones).
+ * 
+ * @param {string} userId - User's MongoDB ObjectId
+ * @returns {Promise<Object>} { count, successfulCount, successfulAmount, byStatus }
+ */
+const getTransactionTotals = async (userId) => {
+  const rows = await Transaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+  ]);
+
+  const totals = { count: 0, successfulCount: 0, successfulAmount: 0, byStatus: {} };
+  rows.forEach((row) => {
+    totals.byStatus[row._id] = { count: row.count, amount: row.amount };
+    totals.count += row.count;
+    if (SUCCESSFUL_STATUSES.includes(row._id)) {
+      totals.successfulCount += row.count;
+      totals.successfulAmount += row.amount;
+    }
+  });
+
+  return totals;
+};
+
+/**
+ * Find User Or Throw
+ * 
+ * @param {string} id - User ID from the URL
+ * @returns {Promise<Object>} User document
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ * @throws {NotFoundError} If no user has the ID
+ */
+const findUserOrThrow = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid user ID.', { code: 'INVALID_ID' });
+  }
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  return user;
+};
+
+/**
+ * List Users
+ * 
+ * Lists users newest first, one page at a time, with optional search.
+ * 
+ * GET /api/admin/users
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ * 
+ * Query Parameters (all optional, see utils/userQuery.js):
+ *   - q: Search in name and email
+ *   - role: Role or comma-separated roles
+ *   - status: active or suspended
+ *   - limit, cursor: Pagination
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const filter = buildUserFilter(req.query);
+  const { users, total, nextCursor } = await paginateUsers(User, filter, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    nextCursor,
+    data: {
+      users: users.map(formatUser),
+    },
+  });
+});
+
+/**
+ * Get User
+ * 
+ * Returns a user with their transaction totals and login lockout status.
+ * 
+ * GET /api/admin/users/:id
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.id);
+
+  const [transactions, lockout] = await Promise.all([
+    getTransactionTotals(user._id),
+    getAccountLockStatus(user.email),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: formatUser(user),
+      transactions,
+      lockout,
+    },
+  });
+});
+
+/**
+ * Update User Role
+ * 
+ * Changes a user's role. Takes effect on the user's next request, since
+ * permissions are read from the database. Admins cannot change their own
+ * role, so there is always at least one admin.
+ * 
+ * PATCH /api/admin/users/:id/role
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ * 
+ * Request Body (checked by validators/adminValidators.js):
+ *   - role: user, support, finance or admin (required)
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid user ID.', { code: 'INVALID_ID' });
+  }
+
+  if (id === req.user._id.toString()) {
+    throw new ValidationError('You cannot change your own role.', { code: 'CANNOT_MODIFY_SELF' });
+  }
+
+  const user = await User.findByIdAndUpdate(id, { $set: { role } }, { new: true, runValidators: true });
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Role changed to ${role}`,
+    data: {
+      user: formatUser(user),
+    },
+  });
+});
+
+/**
+ * Suspend User
+ * 
+ * Blocks a user from the API: every session is revoked, and access tokens
+ * and API keys are refused from the next request on.
+ * 
+ * POST /api/admin/users/:id/suspend
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ * 
+ * Request Body (checked by validators/adminValidators.js):
+ *   - reason: string (optional, up to 500 characters)
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (id === req.user._id.toString()) {
+    throw new ValidationError('You cannot suspend your own account.', { code: 'CANNOT_MODIFY_SELF' });
+  }
+
+  const user = await findUserOrThrow(id);
+
+  if (user.suspendedAt) {
+    throw new ConflictError('User is already suspended.', { code: 'ALREADY_SUSPENDED' });
+  }
+
+  user.suspendedAt = new Date();
+  user.suspendedReason = reason || null;
+  await user.save();
+
+  await RefreshToken.revokeAllForUser(user._id, 'user_suspended');
+
+  res.status(200).json({
+    success: true,
+    message: 'User suspended',
+    data: {
+      user: formatUser(user),
+    },
+  });
+});
+
+/**
+ * Reactivate User
+ * 
+ * Lifts a suspension. The user has to login again, since their sessions
+ * were revoked when they were suspended.
+ * 
+ * POST /api/admin/users/:id/reactivate
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.id);
+
+  if (!user.suspendedAt) {
+    throw new ConflictError('User is not suspended.', { code: 'NOT_SUSPENDED' });
+  }
+
+  user.suspendedAt = null;
+  user.suspendedReason = null;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated',
+    data: {
+      user: formatUser(user),
+    },
+  });
+});
+
+/**
+ * Unlock User
+ * 
+ * Clears a user's failed login counter, delay and lockout so they can log in
+ * again straight away.
+ * 
+ * POST /api/admin/users/:id/unlock
+ * 
+ * Requires: Authentication middleware + users:manage permission
+ * 
+ * Response:
+ *   - user: { id, email }
+ *   - wasLocked: Whether the account was locked
+ *   - failures: Failed attempts cleared
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.id);
+
+  const status = await getAccountLockStatus(user.email);
+  await unlockAccount(user.email);
+
+  res.status(200).json({
+    success: true,
+    message: status.locked ? 'Account unlocked' : 'Account was not locked; failed attempts cleared',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+      },
+      wasLocked: status.locked,
+      failures: status.failures,
+    },
+  });
+});
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  unlockUser,
+};
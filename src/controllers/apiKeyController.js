@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission } = require('../utils/permissions');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * API Key Controller
+ * 
+ * Lets users create, list and revoke API keys for their backend services.
+ * Handlers throw application errors (utils/errors.js); asyncHandler passes
+ * them to the global error handler.
+ */
+
+/**
+ * Format API Key
+ * 
+ * @param {Object} key - ApiKey document
+ * @returns {Object} Key as returned by the API (never includes the hash)
+ */
+const formatApiKey = (key) => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  expiresAt: key.expiresAt,
+  lastUsedAt: key.lastUsedAt,
+  lastUsedIp: key.lastUsedIp,
+  revokedAt: key.revokedAt,
+  createdAt: key.createdAt,
+});
+
+/**
+ * Create API Key
+ * 
+ * Creates an API key for the authenticated user. The key is returned only in
+ * this response; afterwards only its prefix is shown.
+ * 
+ * POST /api/api-keys
+ * 
+ * Requires: Authentication middleware (login session, not an API key)
+ * 
+ * Request Body (checked by validators/apiKeyValidators.js):
+ *   - name: string (required, e.g. "Checkout service")
+ *   - scopes: string[] (required, see utils/apiKeys.js)
+ *   - expiresInDays: number (optional, up to 3650, default: never expires)
+ * 
+ * Response:
+ *   - apiKey: The plain API key (shown once)
+ *   - key: Key details
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const expiresAt = expiresInDays === undefined || expiresInDays === null
+    ? null
+    : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const { apiKey, key } = await ApiKey.issue(req.user, {
+    name,
+    scopes,
+    expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now; it will not be shown again.',
+    data: {
+      apiKey,
+      key: formatApiKey(key),
+    },
+  });
+});
+
+/**
+ * List API Keys
+ * 
+ * Lists the authenticated user's API keys, newest first, including revoked
+ * and expired ones.
+ * 
+ * GET /api/api-keys
+ * 
+ * Requires: Authentication middleware (login session, not an API key)
+ */
+const listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: keys.length,
+    data: keys.map(formatApiKey),
+  });
+});
+
+/**
+ * Revoke API Key
+ * 
+ * Revokes an API key straight away. Users can revoke their own keys; users
+ * with the apiKeys:revoke:all permission (admins) can revoke any key.
+ * 
+ * DELETE /api/api-keys/:id
+ * 
+ * Requires: Authentication middleware (login session, not an API key)
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid API key ID.', { code: 'INVALID_ID' });
+  }
+
+  const filter = { _id: id };
+  if (!hasPermission(req.user, 'apiKeys:revoke:all')) {
+    filter.user = req.user._id;
+  }
+
+  const key = await ApiKey.findOne(filter);
+
+  if (!key) {
+    throw new NotFoundError('API key not found.', { code: 'API_KEY_NOT_FOUND' });
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date();
+    await key.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked',
+    data: formatApiKey(key),
+  });
+});
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -1,17 +1,139 @@
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const generateToken = require('../utils/generateToken');
-const { formatError } = require('../utils/errorHandler');
+const { sendMail } = require('../mail');
+const { passwordResetEmail, emailVerificationEmail } = require('../mail/templates');
+const {
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  isAdminTwoFactorRequired,
+} = require('../utils/twoFactor');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../lockout');
+const asyncHandler = require('../utils/asyncHandler');
+const { logger } = require('../utils/logger');
+const { recordLoginAttempt } = require('../utils/metrics');
+const {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} = require('../utils/errors');
 
 /**
  * Auth Controller
  * 
- * Handles user authentication operations: registration and login.
+ * Handles user authentication operations: registration, login (including the
+ * two-factor step), sessions, password resets and email verification.
+ * Handlers throw application errors (utils/errors.js); asyncHandler passes
+ * them to the global error handler.
  */
 
+/**
+ * Start Session
+ * 
+ * Issues a refresh token for a new session and an access token bound to it.
+ * 
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (client IP and User-Agent)
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const { refreshToken, family } = await RefreshToken.issue(user, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  return {
+    token: generateToken(user._id, user.role, family),
+    refreshToken,
+  };
+};
+
+/**
+ * Send Login Success
+ * 
+ * Starts a session and sends the successful login response.
+ * 
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendLoginSuccess = async (user, req, res) => {
+  // Start a session with access and refresh tokens
+  const { token, refreshToken } = await startSession(user, req);
+
+  const response = {
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+    },
+  };
+
+  // Admin routes stay closed until the admin enrolls in 2FA
+  if (user.role === 'admin' && !user.twoFactorEnabled && isAdminTwoFactorRequired()) {
+    response.twoFactorSetupRequired = true;
+  }
+
+  res.status(200).json(response);
+};
+
+/**
+ * Login Blocked Error
+ * 
+ * Creates the error for a login refused by brute-force protection:
+ * 423 ACCOUNT_LOCKED for a locked account, 429 LOGIN_THROTTLED for a
+ * too-early retry or a blocked IP. Both carry Retry-After.
+ * 
+ * @param {Object} check - Result of checkLoginAllowed
+ * @returns {AppError} Error to throw
+ */
+const loginBlockedError = (check) => {
+  if (check.statusCode === 423) {
+    return new AppError(check.message, {
+      statusCode: 423,
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: check.retryAfter,
+    });
+  }
+
+  return new RateLimitError(check.message, { code: 'LOGIN_THROTTLED', retryAfter: check.retryAfter });
+};
+
+/**
+ * Send Verification Email
+ * 
+ * Issues a new email verification token for the user and emails it.
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ * @throws {Error} If the email cannot be sent
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresInHours } = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ name: user.name, token, expiresInHours }),
+  });
+};
+
 /**
  * Register New User
  * 
- * Creates a new user account and returns a JWT token.
+ * Creates a new user account and returns an access token and refresh token.
+ * A verification email is sent to confirm the email address.
  * 
  * POST /api/auth/register
  * 
@@ -21,81 +143,64 @@ const { formatError } = require('../utils/errorHandler');
  *   - password: string (required, min 6 characters)
  * 
  * Response:
- *   - token: JWT token for authentication
+ *   - token: Short-lived JWT access token
+ *   - refreshToken: Token for POST /api/auth/refresh
  *   - user: User object (without password)
  */
-const register = async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, email, and password.',
-      });
-    }
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'Email already registered. Please use a different email or login.',
-      });
-    }
-
-    // Create new user
-    const user = await User.create({
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      password, // Will be hashed by pre-save hook
-      role: 'user', // Default role
+const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    throw new ConflictError('Email already registered. Please use a different email or login.', {
+      code: 'EMAIL_TAKEN',
     });
+  }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
+  // Create new user
+  const user = await User.create({
+    name: name.trim(),
+    email: email.toLowerCase().trim(),
+    password, // Will be hashed by pre-save hook
+    role: 'user', // Default role
+  });
 
-    // Return success response with token
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const errors = {};
-      Object.keys(error.errors).forEach((key) => {
-        errors[key] = error.errors[key].message;
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors,
-      });
-    }
-
-    // Generic error
-    res.status(500).json({
-      success: false,
-      message: 'Registration failed. Please try again.',
-    });
+  // Registration still succeeds if the email fails; the user can resend it
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    logger.error('Verification email error', { userId: user._id, err: mailError });
   }
-};
+
+  // Start a session with access and refresh tokens
+  const { token, refreshToken } = await startSession(user, req);
+
+  // Return success response with token
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+    },
+  });
+});
 
 /**
  * Login User
  * 
- * Authenticates a user and returns a JWT token.
+ * Authenticates a user and returns an access token and refresh token.
+ * Users with two-factor authentication instead get an MFA challenge token,
+ * which they exchange at POST /api/auth/2fa/verify.
+ * 
+ * Failed attempts are counted per account and per IP (see lockout/): retries
+ * are delayed (429) and the account is locked (423) after too many failures.
  * 
  * POST /api/auth/login
  * 
@@ -104,64 +209,111 @@ const register = async (req, res) => {
  *   - password: string (required)
  * 
  * Response:
- *   - token: JWT token for authentication
+ *   - token: Short-lived JWT access token
+ *   - refreshToken: Token for POST /api/auth/refresh
  *   - user: User object (without password)
+ *   or, with 2FA enabled:
+ *   - mfaRequired: true
+ *   - mfaToken: Short-lived MFA challenge token
  */
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password.',
-      });
-    }
-
-    // Find user by email (include password for comparison)
-    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.',
-      });
-    }
-
-    // Compare passwords
-    const isPasswordValid = await user.comparePassword(password);
-
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.',
-      });
-    }
-
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
-
-    // Return success response with token
-    res.status(200).json({
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Refuse before checking the password while locked out or delayed
+  const attempt = { email, ip: req.ip };
+  const check = await checkLoginAllowed(attempt);
+  if (!check.allowed) {
+    recordLoginAttempt('failure', check.statusCode === 423 ? 'locked' : 'throttled');
+    throw loginBlockedError(check);
+  }
+
+  // Find user by email (include password for comparison)
+  const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+  // Compare passwords
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
+
+  if (!isPasswordValid) {
+    // Unknown emails count too, so lockouts do not reveal which emails exist
+    await recordLoginFailure(attempt);
+    recordLoginAttempt('failure', 'invalid_credentials');
+    throw new AuthError('Invalid email or password.', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  // Only reported once the password is right, so it reveals nothing to guessers
+  if (user.suspendedAt) {
+    recordLoginAttempt('failure', 'suspended');
+    throw ForbiddenError.accountSuspended();
+  }
+
+  // Users with 2FA finish logging in at POST /api/auth/2fa/verify,
+  // and their counter is reset only once that step succeeds
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
+      message: 'Two-factor authentication required',
+      mfaRequired: true,
+      mfaToken: generateMfaChallengeToken(user._id),
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed. Please try again.',
+  }
+
+  await recordLoginSuccess(attempt);
+  recordLoginAttempt('success');
+  await sendLoginSuccess(user, req, res);
+});
+
+/**
+ * Verify Two-Factor Login
+ * 
+ * Second login step for users with 2FA: exchanges the MFA challenge token and
+ * a TOTP code (or an unused recovery code) for an access token and refresh token.
+ * Wrong codes count as failed logins of the account.
+ * 
+ * POST /api/auth/2fa/verify
+ * 
+ * Request Body:
+ *   - mfaToken: string (required, from login)
+ *   - code: string (required, 6-digit TOTP code or recovery code)
+ * 
+ * Response: Same as login
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  const userId = verifyMfaChallengeToken(mfaToken);
+  const user = userId ? await User.findById(userId).select('+twoFactorSecret') : null;
+
+  if (!user || !user.twoFactorEnabled) {
+    recordLoginAttempt('failure', 'invalid_mfa_token');
+    throw new AuthError('Invalid or expired MFA challenge. Please login again.', {
+      code: 'INVALID_MFA_TOKEN',
     });
   }
-};
+
+  if (user.suspendedAt) {
+    recordLoginAttempt('failure', 'suspended');
+    throw ForbiddenError.accountSuspended();
+  }
+
+  const attempt = { email: user.email, ip: req.ip };
+  const check = await checkLoginAllowed(attempt);
+  if (!check.allowed) {
+    recordLoginAttempt('failure', check.statusCode === 423 ? 'locked' : 'throttled');
+    throw loginBlockedError(check);
+  }
+
+  const method = await user.consumeTwoFactorCode(code);
+
+  if (!method) {
+    await recordLoginFailure(attempt);
+    recordLoginAttempt('failure', 'invalid_two_factor_code');
+    throw new AuthError('Invalid two-factor code.', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await recordLoginSuccess(attempt);
+  recordLoginAttempt('success');
+  await sendLoginSuccess(user, req, res);
+});
 
 /**
  * Get Current User
@@ -175,39 +327,239 @@ const login = async (req, res) => {
  * Response:
  *   - user: Current user object (without password)
  */
-const getMe = async (req, res) => {
-  try {
-    // User is attached to req by authMiddleware
-    const user = await User.findById(req.user.id);
+const getMe = asyncHandler(async (req, res) => {
+  // User is attached to req by authMiddleware
+  const user = await User.findById(req.user.id);
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found.',
-      });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
 
-    res.status(200).json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-      },
-    });
-  } catch (error) {
-    console.error('Get me error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch user information.',
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+    },
+  });
+});
+
+/**
+ * Refresh Session
+ * 
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The refresh token is single-use: reusing an old one revokes the session.
+ * 
+ * POST /api/auth/refresh
+ * 
+ * Request Body:
+ *   - refreshToken: string (required)
+ * 
+ * Response:
+ *   - token: New JWT access token
+ *   - refreshToken: New refresh token (the old one stops working)
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const rotated = await RefreshToken.rotate(refreshToken, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    token: generateToken(rotated.user._id, rotated.user.role, rotated.family),
+    refreshToken: rotated.refreshToken,
+  });
+});
+
+/**
+ * Logout User
+ * 
+ * Revokes the session a refresh token belongs to. Access tokens of the
+ * session are rejected from then on, even before they expire.
+ * 
+ * POST /api/auth/logout
+ * 
+ * Request Body:
+ *   - refreshToken: string (required)
+ */
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Unknown tokens are treated as already logged out
+  await RefreshToken.revokeToken(refreshToken, 'logout');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully',
+  });
+});
+
+/**
+ * Send Password Reset
+ * 
+ * Creates a reset token for the account with this email, if any, and emails
+ * it. Runs after forgotPassword has responded; errors are logged.
+ * 
+ * @param {string} email - Email from the request
+ */
+const sendPasswordReset = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (!user) {
+    return;
+  }
+
+  const { token, expiresInMinutes } = user.createPasswordResetToken();
+  await user.save();
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({ name: user.name, token, expiresInMinutes }),
     });
+  } catch (mailError) {
+    // Drop the token so an undelivered one cannot be used later
+    logger.error('Password reset email error', { userId: user._id, err: mailError });
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+    await user.save();
   }
 };
 
+/**
+ * Forgot Password
+ * 
+ * Emails a single-use password reset token to the user. The response is the
+ * same whether or not the email is registered, and is sent before the account
+ * is looked up, so neither its content nor its timing shows which emails have
+ * accounts.
+ * 
+ * POST /api/auth/forgot-password
+ * 
+ * Request Body:
+ *   - email: string (required)
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.',
+  });
+
+  sendPasswordReset(email).catch((error) => {
+    logger.error('Password reset error', { err: error });
+  });
+});
+
+/**
+ * Reset Password
+ * 
+ * Sets a new password using a token from forgotPassword. The token works once,
+ * and every existing session of the user is revoked.
+ * 
+ * POST /api/auth/reset-password
+ * 
+ * Request Body:
+ *   - token: string (required)
+ *   - password: string (required, min 6 characters)
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  // The password was validated by the route, so a too-short one never uses up the token
+  const { token, password } = req.body;
+
+  const user = await User.consumePasswordResetToken(token);
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired password reset token.', { code: 'INVALID_RESET_TOKEN' });
+  }
+
+  user.password = password; // Will be hashed by pre-save hook
+  await user.save();
+
+  // Sign out everywhere, in case the old password was compromised
+  await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please login with your new password.',
+  });
+});
+
+/**
+ * Verify Email
+ * 
+ * Marks the user's email as verified using the token from the verification email.
+ * 
+ * POST /api/auth/verify-email
+ * 
+ * Request Body:
+ *   - token: string (required)
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await User.consumeEmailVerificationToken(token);
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired verification token.', {
+      code: 'INVALID_VERIFICATION_TOKEN',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * Resend Verification Email
+ * 
+ * Sends a new verification email to the authenticated user. Earlier tokens
+ * stop working.
+ * 
+ * POST /api/auth/resend-verification
+ * 
+ * Requires: Authentication middleware
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (user.emailVerified) {
+    throw new ConflictError('Email is already verified.', { code: 'EMAIL_ALREADY_VERIFIED' });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
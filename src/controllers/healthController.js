@@ -0,0 +1,93 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { getReadiness } = require('../utils/readiness');
+const { hasMetricsToken } = require('../middleware/metrics');
+
+/**
+ * Health Controller
+ * 
+ * Liveness and readiness probes for load balancers and orchestrators such as
+ * Kubernetes. Responses are never cached.
+ */
+
+/**
+ * Health Check
+ * 
+ * Kept for existing monitors; same meaning as the liveness probe.
+ * 
+ * GET /health
+ */
+const health = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Liveness Probe
+ * 
+ * Answers as long as the process can handle requests. Does not check
+ * dependencies, so a database outage does not get the process restarted.
+ * 
+ * GET /health/live
+ */
+const live = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Readiness Probe
+ * 
+ * Reports whether this instance can serve traffic (see utils/readiness.js).
+ * Answers 503 while the server is starting up or any check is down.
+ * 
+ * GET /health/ready
+ * 
+ * Response:
+ *   - status: ready, starting or not_ready
+ *   - checks: Status of each check ({ status: up | down }). Details such as
+ *     configuration errors are only included for requests carrying the
+ *     metrics token; they are logged whenever readiness changes.
+ */
+const ready = asyncHandler(async (req, res) => {
+  const { ready: isReady, starting, checks: details } = await getReadiness();
+  const timestamp = new Date().toISOString();
+
+  const checks = hasMetricsToken(req)
+    ? details
+    : Object.fromEntries(Object.entries(details).map(([name, check]) => [name, { status: check.status }]));
+
+  res.set('Cache-Control', 'no-store');
+
+  if (isReady) {
+    return res.status(200).json({
+      success: true,
+      status: 'ready',
+      checks,
+      timestamp,
+    });
+  }
+
+  res.status(503).json({
+    success: false,
+    status: starting ? 'starting' : 'not_ready',
+    message: starting ? 'Server is starting up.' : 'Server is not ready to handle requests.',
+    code: starting ? 'SERVER_STARTING' : 'NOT_READY',
+    checks,
+    timestamp,
+  });
+});
+
+module.exports = {
+  health,
+  live,
+  ready,
+};
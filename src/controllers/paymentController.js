@@ -1,17 +1,40 @@
 const Transaction = require('../models/Transaction');
-const { initializeTransaction, verifyTransaction } = require('../utils/paystack');
+const TransactionPayload = require('../models/TransactionPayload');
+const { getPaymentProvider, isProviderRegistered } = require('../providers');
+const { buildTransactionFilter, paginateTransactions } = require('../utils/transactionQuery');
+const { streamTransactionsExport } = require('../utils/transactionExport');
+const { parseAnalyticsQuery, getTransactionAnalytics } = require('../utils/transactionAnalytics');
+const { canAccessTransaction } = require('../utils/permissions');
+const asyncHandler = require('../utils/asyncHandler');
+const { logger } = require('../utils/logger');
+const {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
 const crypto = require('crypto');
 
 /**
  * Payment Controller
  * 
- * Handles payment operations: initialization, verification, and transaction retrieval.
+ * Handles payment operations: initialization, verification, webhooks, refunds, and transaction retrieval.
+ * Handlers throw application errors (utils/errors.js); asyncHandler passes
+ * them to the global error handler.
  */
 
+// Statuses from which a payment can (still) be refunded
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded'];
+
+// How long a refund holds its transaction lease
+const REFUND_LOCK_TTL_MS = 2 * 60 * 1000;
+
 /**
  * Generate Unique Transaction Reference
  * 
- * Creates a unique reference string for Paystack transactions.
+ * Creates a unique reference string for payment transactions.
  * Format: PAY-{timestamp}-{random}
  * 
  * @returns {string} Unique transaction reference
@@ -25,134 +48,89 @@ const generateReference = () => {
 /**
  * Initialize Payment
  * 
- * Creates a new payment transaction and initializes it with Paystack.
+ * Creates a new payment transaction and initializes it with the configured
+ * payment provider (PAYMENT_PROVIDER).
  * 
  * POST /api/payments/initiate
  * 
- * Requires: Authentication (user role)
+ * Requires: Authentication + payments:create permission
  * 
  * Request Body:
- *   - amount: number (required, in kobo for Naira)
+ *   - amount: integer (required, in kobo for Naira)
  *   - email: string (optional, defaults to user's email)
  * 
  * Response:
- *   - authorization_url: Paystack payment URL
+ *   - authorization_url: Hosted checkout URL
  *   - reference: Transaction reference
  *   - amount: Transaction amount
  */
-const initiatePayment = async (req, res) => {
-  try {
-    const { amount, email } = req.body;
-    const user = req.user; // From authMiddleware
-
-    // Validate amount
-    if (!amount || isNaN(amount) || amount < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a valid amount (minimum 1 kobo).',
-      });
-    }
+const initiatePayment = asyncHandler(async (req, res) => {
+  // amount is a whole number of kobo (checked by the route's validation)
+  const { amount: amountInKobo, email } = req.body;
+  const user = req.user; // From authMiddleware
+
+  // Use provided email or default to user's email
+  const customerEmail = email || user.email;
 
-    // Convert amount to integer (kobo)
-    const amountInKobo = Math.floor(parseFloat(amount));
+  // Generate unique reference
+  const reference = generateReference();
 
-    // Use provided email or default to user's email
-    const customerEmail = email || user.email;
+  // Provider configured for new payments
+  const provider = getPaymentProvider();
 
-    // Generate unique reference
-    const reference = generateReference();
+  // Create transaction record in database (pending status)
+  const transaction = await Transaction.create({
+    user: user._id,
+    amount: amountInKobo,
+    reference: reference,
+    status: 'pending',
+    provider: provider.name,
+  });
 
-    // Create transaction record in database (pending status)
-    const transaction = await Transaction.create({
-      user: user._id,
+  try {
+    // Initialize payment with the provider
+    const result = await provider.initialize({
       amount: amountInKobo,
+      email: customerEmail,
       reference: reference,
-      status: 'pending',
     });
 
-    try {
-      // Initialize payment with Paystack
-      const paystackResponse = await initializeTransaction({
-        amount: amountInKobo,
-        email: customerEmail,
-        reference: reference,
-      });
+    // Keep the raw provider response for admins
+    await TransactionPayload.record(transaction, 'initiate', result.raw);
 
-      // Check if Paystack returned success
-      if (paystackResponse.status === true && paystackResponse.data) {
-        // Update transaction with Paystack data
-        transaction.paystackData = paystackResponse.data;
-        await transaction.save();
-
-        // Return authorization URL to frontend
-        res.status(200).json({
-          success: true,
-          message: 'Payment initialized successfully',
-          data: {
-            authorization_url: paystackResponse.data.authorization_url,
-            reference: reference,
-            amount: amountInKobo,
-            access_code: paystackResponse.data.access_code,
-          },
-        });
-      } else {
-        // Paystack returned an error
-        transaction.status = 'failed';
-        await transaction.save();
-
-        return res.status(400).json({
-          success: false,
-          message: paystackResponse.message || 'Failed to initialize payment',
-        });
-      }
-    } catch (paystackError) {
-      // Handle Paystack API errors
-      transaction.status = 'failed';
-      transaction.paystackData = { error: paystackError.message };
-      await transaction.save();
-
-      // Log error for debugging
-      console.error('Paystack initialization error:', paystackError.message);
-
-      // Return appropriate status code based on error type
-      const statusCode = paystackError.message.includes('PAYSTACK_SECRET_KEY') ? 500 : 500;
-      
-      return res.status(statusCode).json({
-        success: false,
-        message: paystackError.message || 'Failed to initialize payment with Paystack',
-      });
-    }
-  } catch (error) {
-    console.error('Initiate payment error:', error);
-
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const errors = {};
-      Object.keys(error.errors).forEach((key) => {
-        errors[key] = error.errors[key].message;
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors,
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to initialize payment. Please try again.',
+    // Return authorization URL to frontend
+    res.status(200).json({
+      success: true,
+      message: 'Payment initialized successfully',
+      data: {
+        authorization_url: result.authorizationUrl,
+        reference: reference,
+        amount: amountInKobo,
+        access_code: result.accessCode,
+        provider: provider.name,
+      },
+    });
+  } catch (providerError) {
+    // Handle provider API errors: the payment can never complete
+    const payload = await TransactionPayload.record(transaction, 'initiate', {
+      error: providerError.message,
+      code: providerError.code || null,
     });
+    transaction.transitionTo('failed', { source: 'initiate', payloadId: payload._id });
+    await transaction.save();
+
+    throw providerError;
   }
-};
+});
 
 /**
  * Verify Payment
  * 
- * Verifies a payment transaction with Paystack and updates the transaction status.
+ * Verifies a payment transaction with the provider that handled it and updates the transaction status.
  * 
  * GET /api/payments/verify/:reference
  * 
- * Requires: Authentication (user role)
+ * Requires: Authentication + payments:create permission; transactions:verify:all for other users' transactions
  * 
  * URL Parameters:
  *   - reference: Transaction reference
@@ -161,185 +139,497 @@ const initiatePayment = async (req, res) => {
  *   - transaction: Updated transaction object
  *   - status: Payment status
  */
-const verifyPayment = async (req, res) => {
-  try {
-    const { reference } = req.params;
-    const user = req.user; // From authMiddleware
+const verifyPayment = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const user = req.user; // From authMiddleware
 
-    if (!reference) {
-      return res.status(400).json({
-        success: false,
-        message: 'Transaction reference is required.',
-      });
-    }
+  // Find transaction in database
+  const transaction = await Transaction.findOne({ reference });
 
-    // Find transaction in database
-    const transaction = await Transaction.findOne({ reference });
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found.', { code: 'TRANSACTION_NOT_FOUND' });
+  }
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found.',
-      });
-    }
+  // Owners verify their own transactions; others need transactions:verify:all
+  if (!canAccessTransaction(user, transaction, 'verify')) {
+    throw new ForbiddenError('You do not have permission to verify this transaction.');
+  }
 
-    // Check if transaction belongs to the authenticated user
-    if (transaction.user.toString() !== user._id.toString() && user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to verify this transaction.',
-      });
-    }
+  // Check if transaction is already verified (refunded payments were successful too)
+  if (['success', 'partially_refunded', 'refunded'].includes(transaction.status)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Transaction already verified',
+      data: {
+        transaction: transaction,
+        status: transaction.status,
+      },
+    });
+  }
+
+  // Verify transaction with the provider that created it. A failed lookup
+  // says nothing about the payment itself, so on error the transaction is
+  // left as it is for a later verify, webhook or reconcile.
+  const provider = getPaymentProvider(transaction.provider);
+  const result = await provider.verify(reference);
+
+  // Update transaction status and payment details from the result
+  const payload = await TransactionPayload.record(transaction, 'verify', result.raw);
+  transaction.applyProviderResult(result, { source: 'verify', payloadId: payload._id });
+  await transaction.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Transaction verified successfully',
+    data: {
+      transaction: transaction,
+      status: transaction.status,
+      providerStatus: result.providerStatus,
+      // Kept for clients written against the Paystack-only API
+      paystackStatus: result.providerStatus,
+    },
+  });
+});
+
+/**
+ * Handle Payment Webhook
+ * 
+ * Receives event notifications from a payment provider and updates the
+ * matching transaction, so records stay correct even if the client never
+ * calls verify. Refund events update the matching refund record.
+ * 
+ * POST /api/payments/webhook            (Paystack)
+ * POST /api/payments/webhook/:provider  (any registered provider)
+ * 
+ * Requires: Valid provider signature header, e.g. x-paystack-signature (no user authentication)
+ * 
+ * Request Body:
+ *   - Raw provider event JSON ({ event, data })
+ * 
+ * Notes:
+ *   - Events are acknowledged with 200 even when ignored, so the provider stops retrying.
+ *   - Processing is idempotent: replayed and out-of-order events are safe.
+ */
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const providerName = req.params.provider || 'paystack';
+  const rawBody = req.body; // Buffer from express.raw() in app.js
+
+  if (!isProviderRegistered(providerName)) {
+    throw new NotFoundError(`Unknown payment provider: ${providerName}.`, { code: 'UNKNOWN_PROVIDER' });
+  }
+
+  const provider = getPaymentProvider(providerName);
+
+  // Throws a ValidationError (400) for payloads that are not JSON
+  const parsed = Buffer.isBuffer(rawBody)
+    ? provider.parseWebhook(rawBody, req.headers)
+    : { valid: false, event: null };
+
+  if (!parsed.valid) {
+    throw new AuthError('Invalid webhook signature.', { code: 'INVALID_SIGNATURE' });
+  }
+
+  if (!parsed.event) {
+    return res.status(200).json({
+      success: true,
+      message: 'Event ignored',
+    });
+  }
+
+  try {
+    // Only apply events to transactions that this provider handled
+    const transaction = await Transaction.findOne({
+      reference: parsed.event.reference,
+      provider: provider.name,
+    });
 
-    // Check if transaction is already verified
-    if (transaction.status === 'success') {
+    if (!transaction) {
       return res.status(200).json({
         success: true,
-        message: 'Transaction already verified',
-        data: {
-          transaction: transaction,
-          status: transaction.status,
-        },
+        message: 'Event ignored: unknown reference',
       });
     }
 
-    try {
-      // Verify transaction with Paystack
-      const paystackResponse = await verifyTransaction(reference);
-
-      // Check if Paystack verification was successful
-      if (paystackResponse.status === true && paystackResponse.data) {
-        const paystackData = paystackResponse.data;
-
-        // Update transaction status based on Paystack response
-        if (paystackData.status === 'success') {
-          transaction.status = 'success';
-        } else if (paystackData.status === 'failed') {
-          transaction.status = 'failed';
-        } else {
-          transaction.status = 'pending';
-        }
-
-        // Update Paystack data
-        transaction.paystackData = paystackData;
-        await transaction.save();
-
-        res.status(200).json({
-          success: true,
-          message: 'Transaction verified successfully',
-          data: {
-            transaction: transaction,
-            status: transaction.status,
-            paystackStatus: paystackData.status,
-          },
-        });
-      } else {
-        // Paystack returned an error
-        transaction.status = 'failed';
-        transaction.paystackData = { error: paystackResponse.message };
-        await transaction.save();
-
-        return res.status(400).json({
-          success: false,
-          message: paystackResponse.message || 'Failed to verify transaction',
-        });
-      }
-    } catch (paystackError) {
-      // Handle Paystack API errors
-      transaction.status = 'failed';
-      transaction.paystackData = { error: paystackError.message };
+    const payload = await TransactionPayload.record(transaction, 'webhook', parsed.event.raw);
+    const options = { source: 'webhook', payloadId: payload._id };
+    const changed = parsed.event.refund
+      ? transaction.applyRefundUpdate(parsed.event.refund, options)
+      : transaction.applyProviderResult(parsed.event, options);
+    if (transaction.isModified()) {
       await transaction.save();
-
-      return res.status(500).json({
-        success: false,
-        message: paystackError.message || 'Failed to verify transaction with Paystack',
-      });
     }
-  } catch (error) {
-    console.error('Verify payment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify payment. Please try again.',
+
+    res.status(200).json({
+      success: true,
+      message: changed ? 'Transaction updated' : 'Transaction already up to date',
     });
+  } catch (error) {
+    // Always a 500, so the provider retries the event later
+    throw new AppError('Failed to process webhook.', { code: 'WEBHOOK_PROCESSING_FAILED', cause: error });
   }
-};
+});
 
 /**
- * Get User Transactions
+ * Refund Payment
  * 
- * Retrieves all transactions for the authenticated user.
+ * Issues a full or partial refund for a successful transaction through the
+ * provider that handled it. The transaction is leased for the duration, so a
+ * concurrent refund of the same payment gets 409 REFUND_IN_PROGRESS. Later
+ * refund status changes arrive through the webhook. The refund is recorded as
+ * soon as the provider accepts it; if that write fails, the provider refund ID
+ * is logged at error level and the request fails with REFUND_NOT_RECORDED.
  * 
- * GET /api/payments/my-transactions
+ * POST /api/payments/:reference/refund
  * 
- * Requires: Authentication (user role)
+ * Requires: Authentication + refunds:create permission
+ * 
+ * URL Parameters:
+ *   - reference: Transaction reference
+ * 
+ * Request Body:
+ *   - amount: integer (optional, in kobo; defaults to the remaining refundable amount)
+ *   - reason: string (optional)
  * 
  * Response:
- *   - transactions: Array of user's transactions
+ *   - transaction: Updated transaction object
+ *   - refund: The refund record that was created
  */
-const getMyTransactions = async (req, res) => {
+const refundPayment = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const { amount, reason } = req.body;
+  const user = req.user; // From authMiddleware
+
+  // Lease the transaction (as the reconciler does), so two refunds of the same
+  // payment never both pass the refundable check
+  const lockId = `refund:${crypto.randomUUID()}`;
+  const now = new Date();
+  let transaction = await Transaction.findOneAndUpdate(
+    {
+      reference,
+      status: { $in: REFUNDABLE_STATUSES },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedBy: lockId, lockedUntil: new Date(now.getTime() + REFUND_LOCK_TTL_MS) } },
+    { new: true }
+  );
+
+  if (!transaction) {
+    const existing = await Transaction.findOne({ reference }).select('status');
+
+    if (!existing) {
+      throw new NotFoundError('Transaction not found.', { code: 'TRANSACTION_NOT_FOUND' });
+    }
+
+    // Only settled payments can be refunded
+    if (!REFUNDABLE_STATUSES.includes(existing.status)) {
+      throw new ConflictError(
+        `Only successful transactions can be refunded. Current status: ${existing.status}.`,
+        { code: 'TRANSACTION_NOT_REFUNDABLE' }
+      );
+    }
+
+    throw new ConflictError(
+      'Another refund of this transaction is in progress. Please try again shortly.',
+      { code: 'REFUND_IN_PROGRESS' }
+    );
+  }
+
+  const transactionId = transaction._id;
+
   try {
-    const user = req.user; // From authMiddleware
+    const refundable = transaction.amount - transaction.refundedAmount();
+
+    if (refundable < 1) {
+      throw new ConflictError('Transaction has already been fully refunded.', { code: 'ALREADY_REFUNDED' });
+    }
+
+    // Default to refunding whatever is left
+    const refundAmount = amount === undefined ? refundable : amount;
+
+    if (refundAmount > refundable) {
+      throw ValidationError.forField(
+        'amount',
+        `Please provide a valid refund amount between 1 and ${refundable} kobo.`,
+        'out_of_range'
+      );
+    }
+
+    const provider = getPaymentProvider(transaction.provider);
+
+    const result = await provider.refund({
+      reference,
+      amount: refundAmount,
+      reason,
+    });
+
+    // The money has moved: record the refund before anything else, so a
+    // failure below can never make it look unrefunded (and refund it twice)
+    const refundEntry = transaction.refunds.create({
+      amount: refundAmount,
+      reason,
+      initiatedBy: user._id,
+      providerRefundId: result.id,
+      status: result.status,
+    });
+    let recorded = null;
+    let recordError = null;
+    try {
+      recorded = await Transaction.updateOne(
+        { _id: transaction._id, lockedBy: lockId },
+        { $push: { refunds: refundEntry.toObject() } }
+      );
+    } catch (updateError) {
+      recordError = updateError;
+    }
+
+    // Not recorded (write failed or the lease expired): log enough to reconcile it by hand
+    if (!recorded || recorded.matchedCount === 0) {
+      logger.error('Refund issued but not recorded', {
+        reference,
+        providerRefundId: result.id,
+        amount: refundAmount,
+        status: result.status,
+        err: recordError,
+      });
+      throw new AppError('Refund was issued but could not be recorded.', {
+        code: 'REFUND_NOT_RECORDED',
+        cause: recordError,
+      });
+    }
+
+    // Continue on the stored document, which now includes the refund
+    transaction = await Transaction.findById(transaction._id);
+
+    // A refund the provider rejected does not count, so the status stays as it was
+    const payload = await TransactionPayload.record(transaction, 'admin', result.raw);
+    transaction.transitionTo(transaction.refundStatus(), { source: 'admin', payloadId: payload._id });
 
-    // Find all transactions for the user, sorted by most recent
-    const transactions = await Transaction.find({ user: user._id })
-      .sort({ createdAt: -1 })
-      .select('-paystackData'); // Exclude large paystackData field
+    transaction.lockedBy = null;
+    transaction.lockedUntil = null;
+    await transaction.save();
 
     res.status(200).json({
       success: true,
-      count: transactions.length,
+      message: result.status === 'failed' ? 'Refund was rejected by the payment provider' : 'Refund initiated successfully',
       data: {
-        transactions,
+        transaction: transaction,
+        refund: transaction.refunds[transaction.refunds.length - 1],
       },
     });
   } catch (error) {
-    console.error('Get my transactions error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch transactions.',
-    });
+    await Transaction.updateOne(
+      { _id: transactionId, lockedBy: lockId },
+      { $set: { lockedBy: null, lockedUntil: null } }
+    ).catch(() => {});
+    throw error;
   }
-};
+});
+
+/**
+ * Get Transaction Payloads
+ * 
+ * Retrieves the raw provider payloads recorded for a transaction, oldest first.
+ * 
+ * GET /api/payments/:reference/payloads
+ * 
+ * Requires: Authentication + transactions:payloads:read permission
+ * 
+ * URL Parameters:
+ *   - reference: Transaction reference
+ * 
+ * Response:
+ *   - payloads: Array of raw provider payloads
+ */
+const getTransactionPayloads = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const transaction = await Transaction.findOne({ reference }).select('_id');
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found.', { code: 'TRANSACTION_NOT_FOUND' });
+  }
+
+  const payloads = await TransactionPayload.find({ transaction: transaction._id })
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: payloads.length,
+    data: {
+      payloads,
+    },
+  });
+});
 
 /**
- * Get All Transactions (Admin Only)
+ * Get User Transactions
+ * 
+ * Retrieves the authenticated user's transactions, one page at a time.
+ * 
+ * GET /api/payments/my-transactions
  * 
- * Retrieves all transactions in the system.
+ * Requires: Authentication + transactions:read:own permission
+ * 
+ * Query Parameters (all optional, see utils/transactionQuery.js):
+ *   - status, minAmount, maxAmount, from, to, reference
+ *   - sort, limit, cursor
+ * 
+ * Response:
+ *   - transactions: Page of user's transactions
+ *   - total: Number of transactions matching the filters
+ *   - nextCursor: Cursor for the next page (null on the last page)
+ */
+const getMyTransactions = asyncHandler(async (req, res) => {
+  const user = req.user; // From authMiddleware
+
+  const filter = {
+    ...buildTransactionFilter(req.query),
+    user: user._id,
+  };
+
+  const { transactions, total, nextCursor } = await paginateTransactions(
+    Transaction,
+    filter,
+    req.query,
+    (query) => query.select('-statusHistory') // Exclude history, available per transaction
+  );
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    nextCursor,
+    data: {
+      transactions,
+    },
+  });
+});
+
+/**
+ * Get All Transactions
+ * 
+ * Retrieves transactions across all users, one page at a time.
  * 
  * GET /api/payments/all
  * 
- * Requires: Authentication + Admin role
+ * Requires: Authentication + transactions:read:all permission
+ * 
+ * Query Parameters (all optional, see utils/transactionQuery.js):
+ *   - status, minAmount, maxAmount, from, to, reference, user
+ *   - sort, limit, cursor
  * 
  * Response:
- *   - transactions: Array of all transactions
+ *   - transactions: Page of transactions with user details
+ *   - total: Number of transactions matching the filters
+ *   - nextCursor: Cursor for the next page (null on the last page)
  */
-const getAllTransactions = async (req, res) => {
-  try {
-    // Find all transactions, sorted by most recent, with user details
-    const transactions = await Transaction.find()
-      .sort({ createdAt: -1 })
+const getAllTransactions = asyncHandler(async (req, res) => {
+  const filter = buildTransactionFilter(req.query, { allowUserFilter: true });
+
+  const { transactions, total, nextCursor } = await paginateTransactions(
+    Transaction,
+    filter,
+    req.query,
+    (query) => query
       .populate('user', 'name email role')
-      .select('-paystackData'); // Exclude large paystackData field
+      .select('-statusHistory') // Exclude history, available per transaction
+  );
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    nextCursor,
+    data: {
+      transactions,
+    },
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      count: transactions.length,
-      data: {
-        transactions,
-      },
-    });
-  } catch (error) {
-    console.error('Get all transactions error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch transactions.',
-    });
-  }
-};
+/**
+ * Export User Transactions
+ * 
+ * Downloads the authenticated user's transactions as CSV or XLSX.
+ * The file is streamed, so there is no page size limit.
+ * 
+ * GET /api/payments/my-transactions/export
+ * 
+ * Requires: Authentication + transactions:read:own permission
+ * 
+ * Query Parameters (all optional):
+ *   - format: csv (default) or xlsx
+ *   - status, minAmount, maxAmount, from, to, reference, sort
+ */
+const exportMyTransactions = asyncHandler(async (req, res) => {
+  const user = req.user; // From authMiddleware
+
+  const filter = {
+    ...buildTransactionFilter(req.query),
+    user: user._id,
+  };
+
+  await streamTransactionsExport(Transaction, filter, req.query, res, 'my-transactions');
+});
+
+/**
+ * Export All Transactions
+ * 
+ * Downloads transactions across all users as CSV or XLSX, including each
+ * customer's name and email. The file is streamed, so there is no page size limit.
+ * 
+ * GET /api/payments/export
+ * 
+ * Requires: Authentication + transactions:export:all permission
+ * 
+ * Query Parameters (all optional):
+ *   - format: csv (default) or xlsx
+ *   - status, minAmount, maxAmount, from, to, reference, user, sort
+ */
+const exportTransactions = asyncHandler(async (req, res) => {
+  const filter = buildTransactionFilter(req.query, { allowUserFilter: true });
+
+  await streamTransactionsExport(Transaction, filter, req.query, res, 'transactions');
+});
+
+/**
+ * Get Transaction Analytics
+ * 
+ * Summarizes payment volume and outcomes over a date range, grouped by
+ * day, week or month.
+ * 
+ * GET /api/payments/analytics
+ * 
+ * Requires: Authentication + analytics:read permission
+ * 
+ * Query Parameters (all optional, see utils/transactionAnalytics.js):
+ *   - from, to, groupBy, breakdown, topPayers
+ * 
+ * Response:
+ *   - range: Date range and grouping used
+ *   - summary: Volumes, counts, rates and average ticket size for the whole range
+ *   - timeline: The same figures per period
+ *   - topPayers: Users with the highest successful volume
+ *   - breakdowns: Figures per currency and/or channel, if requested
+ */
+const getAnalytics = asyncHandler(async (req, res) => {
+  const options = parseAnalyticsQuery(req.query);
+  const analytics = await getTransactionAnalytics(Transaction, options);
+
+  res.status(200).json({
+    success: true,
+    data: analytics,
+  });
+});
 
 module.exports = {
   initiatePayment,
   verifyPayment,
+  handlePaymentWebhook,
+  refundPayment,
+  getTransactionPayloads,
   getMyTransactions,
   getAllTransactions,
+  exportMyTransactions,
+  exportTransactions,
+  getAnalytics,
 };
@@ -0,0 +1,195 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  generateSecret,
+  verifyTotp,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  isAdminTwoFactorRequired,
+} = require('../utils/twoFactor');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+
+/**
+ * Two-Factor Controller
+ * 
+ * Handles TOTP two-factor enrollment for the authenticated user: setup,
+ * confirmation and disabling. The second login step lives in authController.
+ * Handlers throw application errors (utils/errors.js); asyncHandler passes
+ * them to the global error handler.
+ */
+
+/**
+ * Set Up Two-Factor Authentication
+ * 
+ * Generates a new TOTP secret for the user. 2FA is not active until the
+ * user confirms a code from their authenticator app.
+ * 
+ * POST /api/auth/2fa/setup
+ * 
+ * Requires: Authentication middleware
+ * 
+ * Response:
+ *   - secret: Base32 secret (for manual entry)
+ *   - otpauthUrl: Provisioning URI (render as a QR code)
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled.', {
+      code: 'TWO_FACTOR_ALREADY_ENABLED',
+    });
+  }
+
+  // Replaces any secret from an earlier, unconfirmed setup
+  const secret = generateSecret();
+  user.twoFactorSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+    data: {
+      secret,
+      otpauthUrl: buildProvisioningUri(secret, user.email),
+    },
+  });
+});
+
+/**
+ * Confirm Two-Factor Authentication
+ * 
+ * Turns 2FA on once the user proves their authenticator app works, and
+ * returns one-time recovery codes. Other sessions of the user are signed
+ * out, since they were not created with 2FA.
+ * 
+ * POST /api/auth/2fa/confirm
+ * 
+ * Requires: Authentication middleware
+ * 
+ * Request Body:
+ *   - code: string (required, 6-digit TOTP code)
+ * 
+ * Response:
+ *   - recoveryCodes: One-time codes for when the authenticator is unavailable (shown only once)
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled.', {
+      code: 'TWO_FACTOR_ALREADY_ENABLED',
+    });
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new ConflictError('Two-factor setup has not been started. Call /api/auth/2fa/setup first.', {
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+    });
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+
+  if (step === null) {
+    throw new ValidationError('Invalid two-factor code.', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorRecoveryCodeHashes = hashes;
+  user.twoFactorLastUsedStep = step;
+  await user.save();
+
+  await RefreshToken.revokeAllForUser(user._id, 'two_factor_enabled', {
+    exceptFamily: req.sessionId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+/**
+ * Disable Two-Factor Authentication
+ * 
+ * Turns 2FA off after checking the password and a current code. Admins
+ * cannot disable 2FA while REQUIRE_ADMIN_2FA is on.
+ * 
+ * POST /api/auth/2fa/disable
+ * 
+ * Requires: Authentication middleware
+ * 
+ * Request Body:
+ *   - password: string (required)
+ *   - code: string (required, 6-digit TOTP code or recovery code)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.id).select('+password +twoFactorSecret');
+
+  if (!user) {
+    throw new NotFoundError('User not found.', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is not enabled.', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  if (user.role === 'admin' && isAdminTwoFactorRequired()) {
+    throw new ForbiddenError('Two-factor authentication is required for admin accounts.', {
+      code: 'TWO_FACTOR_REQUIRED',
+    });
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    throw new AuthError('Invalid password.', { code: 'INVALID_PASSWORD' });
+  }
+
+  const method = await user.consumeTwoFactorCode(code);
+  if (!method) {
+    throw new AuthError('Invalid two-factor code.', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false, twoFactorEnabledAt: null },
+      $unset: { twoFactorSecret: 1, twoFactorRecoveryCodeHashes: 1, twoFactorLastUsedStep: 1 },
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+};
@@ -0,0 +1,223 @@
+const memoryStore = require('./memoryStore');
+const mongoStore = require('./mongoStore');
+const { readPositiveNumber } = require('../config/settings');
+
+/**
+ * Login Lockout
+ * 
+ * Brute-force protection for login. Failed attempts are counted per account
+ * (by email, whether or not it exists) and per client IP:
+ * 
+ *   - Each failed attempt on an account doubles the wait before the next one
+ *     is allowed (1s, 2s, 4s... capped), answered with 429 if tried too soon.
+ *   - After LOGIN_MAX_ACCOUNT_FAILURES failures the account is locked (423).
+ *   - After LOGIN_MAX_IP_FAILURES failures the IP is blocked from logging in (429).
+ *   - A successful login resets the account counter. Locks end on their own
+ *     after LOGIN_LOCKOUT_MINUTES, or when an admin unlocks the account.
+ * 
+ * Counters are kept in a pluggable store. Every store exposes:
+ * 
+ *   - name: string identifier
+ *   - get(key) → Promise<{ failures, nextAttemptAt, lockedUntil } | null>
+ *   - recordFailure(key, windowMs) → Promise<number> (failures so far)
+ *   - block(key, { nextAttemptAt, lockedUntil }) → Promise<void>
+ *   - reset(key) → Promise<void>
+ * 
+ * Environment:
+ *   LOGIN_ATTEMPT_STORE - Counter store: mongo (default) or memory
+ *   LOGIN_MAX_ACCOUNT_FAILURES - Failures before an account is locked (default: 5)
+ *   LOGIN_MAX_IP_FAILURES - Failures before an IP is blocked (default: 20)
+ *   LOGIN_FAILURE_WINDOW_MINUTES - How long failures are remembered (default: 15)
+ *   LOGIN_LOCKOUT_MINUTES - Lockout duration (default: 15)
+ *   LOGIN_DELAY_BASE_MS / LOGIN_DELAY_MAX_MS - Delay after the first failure and its cap (default: 1000 / 30000)
+ */
+const stores = {
+  [memoryStore.name]: memoryStore,
+  [mongoStore.name]: mongoStore,
+};
+
+/**
+ * Get Lockout Config
+ * 
+ * @returns {Object} Lockout settings read from the environment
+ */
+const getLockoutConfig = () => ({
+  maxAccountFailures: readPositiveNumber('LOGIN_MAX_ACCOUNT_FAILURES', 5),
+  maxIpFailures: readPositiveNumber('LOGIN_MAX_IP_FAILURES', 20),
+  windowMs: readPositiveNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+  lockoutMs: readPositiveNumber('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000,
+  delayBaseMs: readPositiveNumber('LOGIN_DELAY_BASE_MS', 1000),
+  delayMaxMs: readPositiveNumber('LOGIN_DELAY_MAX_MS', 30000),
+});
+
+/**
+ * Get Default Store Name
+ * 
+ * @returns {string} Name of the configured counter store
+ */
+const getDefaultStoreName = () => {
+  return (process.env.LOGIN_ATTEMPT_STORE?.trim() || mongoStore.name).toLowerCase();
+};
+
+/**
+ * Get Lockout Store
+ * 
+ * @param {string} [name] - Store name (defaults to LOGIN_ATTEMPT_STORE)
+ * @returns {Object} Counter store
+ * @throws {Error} If the store is not registered
+ */
+const getLockoutStore = (name) => {
+  const storeName = name || getDefaultStoreName();
+  const store = stores[storeName];
+
+  if (!store) {
+    throw new Error(`Unknown login attempt store: ${storeName}. Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return store;
+};
+
+/**
+ * Is Store Registered
+ * 
+ * @param {string} name - Store name
+ * @returns {boolean} True if a store with this name exists
+ */
+const isStoreRegistered = (name) => {
+  return Object.prototype.hasOwnProperty.call(stores, name);
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+/**
+ * Seconds Until
+ * 
+ * @returns {number} Whole seconds from now until the date (at least 1)
+ */
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Check Login Allowed
+ * 
+ * Call before checking the password.
+ * 
+ * @param {Object} attempt - { email, ip }
+ * @returns {Promise<Object>} { allowed: true } or
+ *   { allowed: false, statusCode: 423|429, message, retryAfter } (retryAfter in seconds)
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const store = getLockoutStore();
+  const now = new Date();
+  const [account, client] = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+
+  if (account?.lockedUntil && account.lockedUntil > now) {
+    const retryAfter = secondsUntil(account.lockedUntil);
+    return {
+      allowed: false,
+      statusCode: 423,
+      message: `Account temporarily locked after too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or contact support.`,
+      retryAfter,
+    };
+  }
+
+  if (client?.lockedUntil && client.lockedUntil > now) {
+    return {
+      allowed: false,
+      statusCode: 429,
+      message: 'Too many failed login attempts from this address. Please try again later.',
+      retryAfter: secondsUntil(client.lockedUntil),
+    };
+  }
+
+  if (account?.nextAttemptAt && account.nextAttemptAt > now) {
+    const retryAfter = secondsUntil(account.nextAttemptAt);
+    return {
+      allowed: false,
+      statusCode: 429,
+      message: `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`,
+      retryAfter,
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record Login Failure
+ * 
+ * Counts a failed attempt against the account and the IP, and applies the
+ * delay or lockout it triggers.
+ * 
+ * @param {Object} attempt - { email, ip }
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+  const store = getLockoutStore();
+  const config = getLockoutConfig();
+  const now = Date.now();
+
+  const [accountFailures, ipFailures] = await Promise.all([
+    store.recordFailure(accountKey(email), config.windowMs),
+    store.recordFailure(ipKey(ip), config.windowMs),
+  ]);
+
+  const delayMs = Math.min(config.delayBaseMs * 2 ** (accountFailures - 1), config.delayMaxMs);
+  await store.block(accountKey(email), {
+    nextAttemptAt: new Date(now + delayMs),
+    lockedUntil: accountFailures >= config.maxAccountFailures ? new Date(now + config.lockoutMs) : null,
+  });
+
+  if (ipFailures >= config.maxIpFailures) {
+    await store.block(ipKey(ip), { lockedUntil: new Date(now + config.lockoutMs) });
+  }
+};
+
+/**
+ * Record Login Success
+ * 
+ * Resets the account counter. The IP counter is kept, so one valid account
+ * cannot be used to keep guessing passwords of others.
+ * 
+ * @param {Object} attempt - { email }
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = ({ email }) => getLockoutStore().reset(accountKey(email));
+
+/**
+ * Unlock Account
+ * 
+ * Clears an account's failures, delay and lockout.
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const unlockAccount = (email) => getLockoutStore().reset(accountKey(email));
+
+/**
+ * Get Account Lock Status
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { locked, failures, lockedUntil }
+ */
+const getAccountLockStatus = async (email) => {
+  const counter = await getLockoutStore().get(accountKey(email));
+  const locked = Boolean(counter?.lockedUntil && counter.lockedUntil > new Date());
+
+  return {
+    locked,
+    failures: counter?.failures || 0,
+    lockedUntil: locked ? counter.lockedUntil : null,
+  };
+};
+
+module.exports = {
+  getLockoutStore,
+  getDefaultStoreName,
+  isStoreRegistered,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  getAccountLockStatus,
+};
@@ -0,0 +1,96 @@
+/**
+ * In-Memory Lockout Store
+ * 
+ * Keeps failed login counters in process memory. Fast and dependency-free,
+ * but counters are per process and lost on restart, so use the MongoDB store
+ * when running more than one instance.
+ */
+
+// Counters keyed by counter key
+const counters = new Map();
+
+/**
+ * Get Live Counter
+ * 
+ * @returns {Object|null} The counter, or null if missing or expired
+ */
+const getLive = (key) => {
+  const counter = counters.get(key);
+  if (!counter) {
+    return null;
+  }
+  if (counter.expiresAt <= new Date()) {
+    counters.delete(key);
+    return null;
+  }
+  return counter;
+};
+
+/**
+ * Get Counter
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { failures, nextAttemptAt, lockedUntil } or null
+ */
+const get = async (key) => {
+  const counter = getLive(key);
+  return counter ? { ...counter } : null;
+};
+
+/**
+ * Record Failure
+ * 
+ * @param {string} key - Counter key
+ * @param {number} windowMs - How long the counter lives after this failure
+ * @returns {Promise<number>} Failures in the current window, including this one
+ */
+const recordFailure = async (key, windowMs) => {
+  const counter = getLive(key) || { failures: 0, nextAttemptAt: null, lockedUntil: null };
+  const expiresAt = new Date(Date.now() + windowMs);
+
+  counter.failures += 1;
+  counter.expiresAt = counter.expiresAt && counter.expiresAt > expiresAt ? counter.expiresAt : expiresAt;
+  counters.set(key, counter);
+
+  return counter.failures;
+};
+
+/**
+ * Block
+ * 
+ * Sets the delay and/or lockout of a counter, keeping it alive at least until they end.
+ * 
+ * @param {string} key - Counter key
+ * @param {Object} until - { nextAttemptAt, lockedUntil }
+ * @returns {Promise<void>}
+ */
+const block = async (key, { nextAttemptAt = null, lockedUntil = null }) => {
+  const counter = getLive(key);
+  if (!counter) {
+    return;
+  }
+
+  counter.nextAttemptAt = nextAttemptAt;
+  counter.lockedUntil = lockedUntil;
+  if (lockedUntil && lockedUntil > counter.expiresAt) {
+    counter.expiresAt = lockedUntil;
+  }
+};
+
+/**
+ * Reset
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+module.exports = {
+  name: 'memory',
+  get,
+  recordFailure,
+  block,
+  reset,
+};
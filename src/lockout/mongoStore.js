@@ -0,0 +1,102 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * MongoDB Lockout Store
+ * 
+ * Keeps failed login counters in the LoginAttempt collection, so every API
+ * instance sees the same counters. Expired counters are ignored straight
+ * away and removed later by the TTL index.
+ */
+
+/**
+ * Get Counter
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { failures, nextAttemptAt, lockedUntil } or null
+ */
+const get = async (key) => {
+  const counter = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  if (!counter) {
+    return null;
+  }
+
+  return {
+    failures: counter.failures,
+    nextAttemptAt: counter.nextAttemptAt,
+    lockedUntil: counter.lockedUntil,
+  };
+};
+
+/**
+ * Record Failure
+ * 
+ * @param {string} key - Counter key
+ * @param {number} windowMs - How long the counter lives after this failure
+ * @returns {Promise<number>} Failures in the current window, including this one
+ */
+const recordFailure = async (key, windowMs) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMs);
+
+  // Start over if the previous counter expired but the TTL monitor has not removed it yet
+  await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+  try {
+    const counter = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $max: { expiresAt },
+      },
+      { upsert: true, new: true }
+    );
+    return counter.failures;
+  } catch (error) {
+    // Two first failures raced to create the counter; the other one won
+    if (error.code === 11000) {
+      const counter = await LoginAttempt.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $max: { expiresAt } },
+        { new: true }
+      );
+      return counter.failures;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Block
+ * 
+ * Sets the delay and/or lockout of a counter, keeping it alive at least until they end.
+ * 
+ * @param {string} key - Counter key
+ * @param {Object} until - { nextAttemptAt, lockedUntil }
+ * @returns {Promise<void>}
+ */
+const block = async (key, { nextAttemptAt = null, lockedUntil = null }) => {
+  const update = { $set: { nextAttemptAt, lockedUntil } };
+  if (lockedUntil) {
+    update.$max = { expiresAt: lockedUntil };
+  }
+
+  await LoginAttempt.updateOne({ key }, update);
+};
+
+/**
+ * Reset
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+const reset = async (key) => {
+  await LoginAttempt.deleteOne({ key });
+};
+
+module.exports = {
+  name: 'mongo',
+  get,
+  recordFailure,
+  block,
+  reset,
+};
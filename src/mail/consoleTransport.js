@@ -0,0 +1,38 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Console Mail Transport
+ * 
+ * Development transport that prints emails to the server log instead of
+ * sending them. The body is only logged outside production, since it holds
+ * password reset and verification tokens; config/env.js refuses this
+ * transport when NODE_ENV=production.
+ */
+
+let sent = 0;
+
+/**
+ * Send Mail
+ * 
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<Object>} { id }
+ */
+const send = async (message) => {
+  sent += 1;
+  const id = `console-${Date.now()}-${sent}`;
+
+  logger.info('Mail message', {
+    transport: 'console',
+    id,
+    to: message.to,
+    subject: message.subject,
+    ...(process.env.NODE_ENV !== 'production' && { text: message.text }),
+  });
+
+  return { id };
+};
+
+module.exports = {
+  name: 'console',
+  send,
+};
@@ -0,0 +1,81 @@
+const consoleTransport = require('./consoleTransport');
+const smtpTransport = require('./smtpTransport');
+
+/**
+ * Mail Transport Registry
+ * 
+ * Controllers send email only through this module, so the delivery method can
+ * be swapped by configuration. Every transport exposes:
+ * 
+ *   - name: string identifier
+ *   - send({ from, to, subject, text, html }) → Promise<{ id }>
+ * 
+ * `send` throws an Error when the message cannot be delivered.
+ * 
+ * Environment:
+ *   MAIL_TRANSPORT - Transport used for outgoing mail: console (default) or smtp
+ *   MAIL_FROM - Sender address (default: "Secure Transactions" <no-reply@example.com>)
+ */
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+/**
+ * Get Default Transport Name
+ * 
+ * @returns {string} Name of the configured mail transport
+ */
+const getDefaultTransportName = () => {
+  return (process.env.MAIL_TRANSPORT?.trim() || consoleTransport.name).toLowerCase();
+};
+
+/**
+ * Get Mail Transport
+ * 
+ * @param {string} [name] - Transport name (defaults to MAIL_TRANSPORT)
+ * @returns {Object} Mail transport
+ * @throws {Error} If the transport is not registered
+ */
+const getMailTransport = (name) => {
+  const transportName = name || getDefaultTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}. Available: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Is Transport Registered
+ * 
+ * @param {string} name - Transport name
+ * @returns {boolean} True if a transport with this name exists
+ */
+const isTransportRegistered = (name) => {
+  return Object.prototype.hasOwnProperty.call(transports, name);
+};
+
+/**
+ * Send Mail
+ * 
+ * Sends a message through the configured transport, filling in the sender.
+ * 
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { id }
+ */
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM?.trim() || '"Secure Transactions" <no-reply@example.com>',
+    ...message,
+  });
+};
+
+module.exports = {
+  getMailTransport,
+  getDefaultTransportName,
+  isTransportRegistered,
+  sendMail,
+};
@@ -0,0 +1,60 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Mail Transport
+ * 
+ * Sends email through any SMTP server (SendGrid, Mailgun, SES, Mailtrap...).
+ * 
+ * Environment:
+ *   SMTP_HOST - SMTP server host (required)
+ *   SMTP_PORT - SMTP server port (default: 587)
+ *   SMTP_SECURE - true to use TLS from the start, usually with port 465 (default: false)
+ *   SMTP_USER / SMTP_PASS - SMTP credentials (optional)
+ */
+
+// Created on first use so the env is read after dotenv has loaded
+let transporter = null;
+
+/**
+ * Get Transporter
+ * 
+ * @returns {Object} Nodemailer transporter
+ * @throws {Error} If SMTP_HOST is not configured
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  const host = process.env.SMTP_HOST?.trim();
+  if (!host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const user = process.env.SMTP_USER?.trim();
+  transporter = nodemailer.createTransport({
+    host,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: user ? { user, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return transporter;
+};
+
+/**
+ * Send Mail
+ * 
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<Object>} { id }
+ * @throws {Error} If the SMTP server rejects the message
+ */
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { id: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
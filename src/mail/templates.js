@@ -0,0 +1,121 @@
+/**
+ * Email Templates
+ * 
+ * Builds the subject, plain-text and HTML bodies of emails sent by the API.
+ * Each template returns { subject, text, html } ready for sendMail.
+ */
+
+/**
+ * Escape HTML
+ * 
+ * Escapes a value for safe use inside HTML.
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Build Action Link
+ * 
+ * Appends a token to a frontend URL, or returns null if no URL is configured.
+ * 
+ * @param {string|undefined} baseUrl - Frontend page URL
+ * @param {string} token - Token to pass as ?token=
+ * @returns {string|null}
+ */
+const buildActionLink = (baseUrl, token) => {
+  if (!baseUrl?.trim()) {
+    return null;
+  }
+  const url = new URL(baseUrl.trim());
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Password Reset Email
+ * 
+ * Environment:
+ *   PASSWORD_RESET_URL - Frontend page that receives ?token= (optional; without
+ *   it the email only contains the token)
+ * 
+ * @param {Object} data - { name, token, expiresInMinutes }
+ * @returns {Object} { subject, text, html }
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = buildActionLink(process.env.PASSWORD_RESET_URL, token);
+  const action = link
+    ? `Reset your password here: ${link}`
+    : `Use this token with POST /api/auth/reset-password: ${token}`;
+
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your password.',
+      action,
+      '',
+      `It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a reset, you can ignore this email.',
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(name)},</p>`,
+      '<p>We received a request to reset your password.</p>',
+      link
+        ? `<p><a href="${escapeHtml(link)}">Reset your password</a></p>`
+        : `<p>Use this token with <code>POST /api/auth/reset-password</code>:<br><code>${escapeHtml(token)}</code></p>`,
+      `<p>It expires in ${expiresInMinutes} minutes and can only be used once.</p>`,
+      '<p>If you did not request a reset, you can ignore this email.</p>',
+    ].join('\n'),
+  };
+};
+
+/**
+ * Email Verification Email
+ * 
+ * Environment:
+ *   EMAIL_VERIFICATION_URL - Frontend page that receives ?token= (optional;
+ *   without it the email only contains the token)
+ * 
+ * @param {Object} data - { name, token, expiresInHours }
+ * @returns {Object} { subject, text, html }
+ */
+const emailVerificationEmail = ({ name, token, expiresInHours }) => {
+  const link = buildActionLink(process.env.EMAIL_VERIFICATION_URL, token);
+  const action = link
+    ? `Verify your email here: ${link}`
+    : `Use this token with POST /api/auth/verify-email: ${token}`;
+
+  return {
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Please confirm that this is your email address.',
+      action,
+      '',
+      `It expires in ${expiresInHours} hours and can only be used once.`,
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(name)},</p>`,
+      '<p>Please confirm that this is your email address.</p>',
+      link
+        ? `<p><a href="${escapeHtml(link)}">Verify your email</a></p>`
+        : `<p>Use this token with <code>POST /api/auth/verify-email</code>:<br><code>${escapeHtml(token)}</code></p>`,
+      `<p>It expires in ${expiresInHours} hours and can only be used once.</p>`,
+      '<p>If you did not create an account, you can ignore this email.</p>',
+    ].join('\n'),
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+};
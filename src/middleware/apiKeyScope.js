@@ -0,0 +1,54 @@
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * API Key Scope Middleware
+ * 
+ * Controls which routes API keys can use. Requests authenticated with a JWT
+ * pass through both middlewares unchanged; the user's role still applies.
+ * Must be used AFTER authMiddleware to ensure req.user exists.
+ * 
+ * Usage:
+ *   router.post('/initiate', authMiddleware, requireScope('payments:write'), controller.handler);
+ *   router.get('/me', authMiddleware, rejectApiKey, controller.handler);
+ */
+
+/**
+ * Require Scope
+ * 
+ * Lets API keys that carry the scope through.
+ * 
+ * @param {string} scope - Scope the route needs (see utils/apiKeys.js)
+ * @returns {Function} Express middleware function
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return next(new ForbiddenError(`API key is missing the required scope: ${scope}`, {
+        code: 'API_KEY_SCOPE_MISSING',
+      }));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Reject API Key
+ * 
+ * Refuses API keys on routes that need a signed-in user, such as account
+ * settings and API key management.
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new ForbiddenError('This endpoint cannot be used with an API key. Please login instead.', {
+      code: 'API_KEY_NOT_ALLOWED',
+    }));
+  }
+
+  next();
+};
+
+module.exports = {
+  requireScope,
+  rejectApiKey,
+};
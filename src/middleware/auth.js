@@ -1,78 +1,129 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const { isApiKey } = require('../utils/apiKeys');
+const asyncHandler = require('../utils/asyncHandler');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Authenticate API Key
+ * 
+ * Attaches the key's user and the key itself (req.apiKey) to the request.
+ * What the key may do is checked per route by requireScope.
+ */
+const authenticateApiKey = async (apiKey, req, next) => {
+  const key = await ApiKey.authenticate(apiKey, { ip: req.ip });
+
+  if (!key) {
+    throw new AuthError('Invalid, expired or revoked API key.', { code: 'INVALID_API_KEY' });
+  }
+
+  const user = await User.findById(key.user).select('-password');
+
+  if (!user) {
+    throw new AuthError('User not found. API key may be invalid.', { code: 'INVALID_API_KEY' });
+  }
+
+  if (user.suspendedAt) {
+    throw ForbiddenError.accountSuspended();
+  }
+
+  req.user = user;
+  req.apiKey = key;
+  next();
+};
+
+/**
+ * Verify Access Token
+ * 
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Decoded token payload
+ * @throws {AuthError} If the token is invalid or expired
+ */
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('Token has expired. Please refresh your session or login again.', {
+        code: 'TOKEN_EXPIRED',
+      });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthError('Invalid token.', { code: 'INVALID_TOKEN' });
+    }
+    throw error;
+  }
+};
 
 /**
  * Authentication Middleware
  * 
  * Verifies JWT token from Authorization header and attaches user to request object.
+ * Tokens whose session has been revoked (logout, refresh token reuse) are rejected,
+ * as are all requests of suspended users.
+ * 
+ * API keys are accepted too, and additionally set req.apiKey. Routes must
+ * opt in to API keys with requireScope; others refuse them with rejectApiKey.
  * 
  * Usage:
  *   router.get('/protected', authMiddleware, controller.handler);
  * 
  * Token Format:
  *   Authorization: Bearer <jwt_token>
+ *   Authorization: Bearer <api_key>  or  X-API-Key: <api_key>
  */
-const authMiddleware = async (req, res, next) => {
-  try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
+const authMiddleware = asyncHandler(async (req, res, next) => {
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return authenticateApiKey(apiKeyHeader, req, next);
+  }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided. Please include a Bearer token in the Authorization header.',
-      });
-    }
+  // Get token from Authorization header
+  const authHeader = req.headers.authorization;
 
-    // Extract token (remove "Bearer " prefix)
-    const token = authHeader.substring(7);
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthError('No token provided. Please include a Bearer token in the Authorization header.', {
+      code: 'TOKEN_MISSING',
+    });
+  }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is missing.',
-      });
-    }
+  // Extract token (remove "Bearer " prefix)
+  const token = authHeader.substring(7);
 
-    try {
-      // Verify token and decode payload
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Find user by ID from token payload
-      const user = await User.findById(decoded.id).select('-password');
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found. Token may be invalid.',
-        });
-      }
-
-      // Attach user to request object for use in controllers
-      req.user = user;
-      next();
-    } catch (error) {
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token.',
-        });
-      }
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token has expired. Please login again.',
-        });
-      }
-      throw error;
-    }
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Authentication error. Please try again.',
-    });
+  if (!token) {
+    throw new AuthError('Token is missing.', { code: 'TOKEN_MISSING' });
   }
-};
+
+  if (isApiKey(token)) {
+    return authenticateApiKey(token, req, next);
+  }
+
+  // Verify token and decode payload
+  const decoded = verifyAccessToken(token);
+
+  // Tokens without a session predate refresh tokens and cannot be revoked
+  if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+    throw new AuthError('Session has been revoked. Please login again.', { code: 'SESSION_REVOKED' });
+  }
+
+  // Find user by ID from token payload
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new AuthError('User not found. Token may be invalid.', { code: 'INVALID_TOKEN' });
+  }
+
+  // Suspension applies straight away, even to unexpired tokens
+  if (user.suspendedAt) {
+    throw ForbiddenError.accountSuspended();
+  }
+
+  // Attach user to request object for use in controllers
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
+});
 
 module.exports = authMiddleware;
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { AppError, ValidationError, ConflictError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { readPositiveNumber } = require('../config/settings');
+
+// Longest Idempotency-Key header value accepted
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Get Key Window
+ * 
+ * Returns how long an idempotency key stays valid, in milliseconds.
+ */
+const getKeyWindowMs = () => {
+  return readPositiveNumber('IDEMPOTENCY_KEY_TTL_HOURS', 24) * 60 * 60 * 1000;
+};
+
+/**
+ * Get Lease
+ * 
+ * Returns how long a request may hold a key in progress before a retry can
+ * take it over, in milliseconds.
+ */
+const getLeaseMs = () => {
+  return readPositiveNumber('IDEMPOTENCY_LEASE_SECONDS', 60) * 1000;
+};
+
+/**
+ * Stable Stringify
+ * 
+ * Serializes a value to JSON with object keys sorted, so that the same body
+ * sent with keys in a different order produces the same hash.
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash Request
+ * 
+ * Fingerprints the parts of a request that must match for a replay.
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Claim Key
+ * 
+ * Atomically records a new in-progress key, or takes over an in-progress key
+ * with the same request whose lease has expired. Returns { claimId } when the
+ * request may run, or { existing } with the record when the user has already
+ * used the key.
+ */
+const claimKey = async (userId, key, requestHash) => {
+  const claimId = crypto.randomUUID();
+  const now = Date.now();
+
+  try {
+    await IdempotencyKey.create({
+      user: userId,
+      key,
+      requestHash,
+      claimId,
+      leaseExpiresAt: new Date(now + getLeaseMs()),
+      expiresAt: new Date(now + getKeyWindowMs()),
+    });
+    return { claimId };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key });
+
+  // Key expired but MongoDB has not purged it yet: free it and try again
+  if (!existing || existing.expiresAt <= new Date()) {
+    await IdempotencyKey.deleteOne({ user: userId, key, expiresAt: { $lte: new Date() } });
+    return claimKey(userId, key, requestHash);
+  }
+
+  // The first request crashed or hung: let this retry take over its lease
+  const leaseExpired = !existing.leaseExpiresAt || existing.leaseExpiresAt <= new Date();
+  if (existing.state === 'in_progress' && existing.requestHash === requestHash && leaseExpired) {
+    const reclaimed = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        state: 'in_progress',
+        claimId: existing.claimId,
+      },
+      { $set: { claimId, leaseExpiresAt: new Date(Date.now() + getLeaseMs()) } }
+    );
+
+    if (reclaimed) {
+      logger.warn('Idempotency key lease taken over', { key });
+      return { claimId };
+    }
+  }
+
+  return { existing };
+};
+
+/**
+ * Idempotency Middleware
+ * 
+ * Makes a route safe to retry by honouring the `Idempotency-Key` request header.
+ * Must be used AFTER authMiddleware, since keys are stored per user.
+ * 
+ * Behaviour:
+ *   - No header: the request is handled normally.
+ *   - New key: the request is handled and its response saved for the window.
+ *   - Same key, same body: the saved response is returned without re-running the handler.
+ *   - Same key, different body: 422 Unprocessable Entity (IDEMPOTENCY_KEY_REUSED).
+ *   - Same key while the first request is still running: 409 Conflict (IDEMPOTENCY_KEY_IN_PROGRESS).
+ *   - Same key after the first request's lease expired without a response
+ *     (crash or hang): the retry takes over the key and is handled.
+ * 
+ * Keys are trimmed, so surrounding whitespace does not make a different key.
+ * 
+ * Responses with a 5xx status are not saved, so the client can retry them.
+ * 
+ * Usage:
+ *   router.post('/initiate', authMiddleware, idempotencyMiddleware, controller.handler);
+ * 
+ * Environment:
+ *   IDEMPOTENCY_KEY_TTL_HOURS - How long keys are kept (default: 24)
+ *   IDEMPOTENCY_LEASE_SECONDS - How long a request holds its key before a retry
+ *     may take over (default: 60)
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const header = req.headers['idempotency-key'];
+
+  if (header === undefined) {
+    return next();
+  }
+
+  const key = header.trim();
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return next(new ValidationError(`Idempotency-Key header must be between 1 and ${MAX_KEY_LENGTH} characters.`, {
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    }));
+  }
+
+  try {
+    const userId = req.user._id;
+    const requestHash = hashRequest(req);
+    const { claimId, existing } = await claimKey(userId, key, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return next(new AppError('Idempotency-Key has already been used with a different request body.', {
+          statusCode: 422,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        }));
+      }
+
+      if (existing.state !== 'completed') {
+        return next(new ConflictError('A request with this Idempotency-Key is still being processed. Please retry shortly.', {
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        }));
+      }
+
+      // Replay the saved response
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Capture the handler's response so it can be saved once sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        if (res.statusCode >= 500 || responseBody === undefined) {
+          // Release the key so the client can retry
+          await IdempotencyKey.deleteOne({ user: userId, key, claimId });
+          return;
+        }
+
+        // Only the request still holding the key saves its response
+        await IdempotencyKey.updateOne(
+          { user: userId, key, claimId },
+          {
+            state: 'completed',
+            statusCode: res.statusCode,
+            responseBody,
+            leaseExpiresAt: null,
+          }
+        );
+      } catch (error) {
+        logger.error('Idempotency key save error', { requestId: req.id, key, err: error });
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotencyMiddleware;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const net = require('net');
+const { register, observeHttpRequest } = require('../utils/metrics');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { trackRoutePattern, getRoutePattern, getMountPath } = require('../utils/routePattern');
+
+/**
+ * Metrics Middleware
+ * 
+ * - httpMetrics: Records every request in the HTTP metrics (see
+ *   utils/metrics.js). Mount before the routes.
+ * - requireMetricsAccess: Guards GET /metrics.
+ * - metricsHandler: Serves all metrics in Prometheus text format.
+ * 
+ * Requests are labelled with the matched route pattern (e.g.
+ * /api/payments/verify/:reference). Requests that entered a router but no
+ * route, such as ones rejected by authentication on a whole router, are
+ * labelled with the router's mount path (e.g. /api/payments); requests that
+ * reached no router at all are labelled route="unmatched".
+ * 
+ * Environment:
+ *   METRICS_TOKEN - Scrapers must send Authorization: Bearer <token>
+ *   METRICS_ALLOWED_IPS - Comma-separated IPs or CIDR ranges allowed to scrape,
+ *     e.g. 10.0.0.0/8,127.0.0.1 (uses the client IP, see TRUST_PROXY)
+ * 
+ * When both are set, a scraper must pass both checks. With neither set, only
+ * loopback addresses (127.0.0.0/8, ::1) may scrape.
+ */
+
+const UNMATCHED_ROUTE = 'unmatched';
+
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  trackRoutePattern(req);
+
+  res.on('finish', () => {
+    observeHttpRequest({
+      method: req.method,
+      route: getRoutePattern(req) || getMountPath(req) || UNMATCHED_ROUTE,
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+    });
+  });
+
+  next();
+};
+
+/**
+ * Normalize IP
+ * 
+ * @param {string} ip - Client IP as reported by Express
+ * @returns {string} The IP, with IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) as plain IPv4
+ */
+const normalizeIp = (ip = '') => {
+  const mapped = ip.startsWith('::ffff:') ? ip.slice(7) : null;
+  return mapped && net.isIPv4(mapped) ? mapped : ip;
+};
+
+// Allowed when neither METRICS_TOKEN nor METRICS_ALLOWED_IPS is set
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+
+// Parsed METRICS_ALLOWED_IPS, rebuilt when the setting changes
+let allowlistCache = { source: null, blockList: null };
+
+/**
+ * Get Allowlist
+ * 
+ * Invalid entries are logged and ignored.
+ * 
+ * @returns {net.BlockList|null} Allowed addresses, or null if METRICS_ALLOWED_IPS is not set
+ */
+const getAllowlist = () => {
+  const source = process.env.METRICS_ALLOWED_IPS?.trim() || '';
+
+  if (allowlistCache.source !== source) {
+    let blockList = null;
+
+    if (source) {
+      blockList = new net.BlockList();
+      source.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+        try {
+          if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+            throw new Error('Not an IP address or CIDR range');
+          }
+
+          if (prefix === undefined) {
+            blockList.addAddress(address, type);
+          } else {
+            // Throws for a prefix longer than the address (e.g. /33 for IPv4)
+            blockList.addSubnet(address, Number(prefix), type);
+          }
+        } catch (error) {
+          logger.warn('Ignoring invalid METRICS_ALLOWED_IPS entry', { entry, err: error });
+        }
+      });
+    }
+
+    allowlistCache = { source, blockList };
+  }
+
+  return allowlistCache.blockList;
+};
+
+/**
+ * Is Allowed IP
+ * 
+ * @param {net.BlockList} allowlist - Allowed addresses
+ * @param {string} ip - Client IP
+ * @returns {boolean} True if the IP is on the list
+ */
+const isAllowedIp = (allowlist, ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  return family !== 0 && allowlist.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Tokens Match
+ * 
+ * Compares hashes so the comparison takes the same time whatever the input.
+ * 
+ * @param {string} given - Token sent by the scraper
+ * @param {string} expected - METRICS_TOKEN
+ * @returns {boolean} True if both tokens are equal
+ */
+const tokensMatch = (given, expected) => {
+  const givenHash = crypto.createHash('sha256').update(given).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(givenHash, expectedHash);
+};
+
+/**
+ * Has Metrics Token
+ * 
+ * Also used by GET /health/ready to decide whether to show check details.
+ * 
+ * @param {Object} req - Express request
+ * @returns {boolean} True if METRICS_TOKEN is set and the request sends it as a Bearer token
+ */
+const hasMetricsToken = (req) => {
+  const expectedToken = process.env.METRICS_TOKEN?.trim();
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  return Boolean(expectedToken && token && tokensMatch(token, expectedToken));
+};
+
+const requireMetricsAccess = (req, res, next) => {
+  const expectedToken = process.env.METRICS_TOKEN?.trim();
+  const allowlist = getAllowlist() || (expectedToken ? null : LOOPBACK);
+  if (allowlist && !isAllowedIp(allowlist, req.ip)) {
+    return next(new ForbiddenError('Access to metrics is not allowed from this address.', {
+      code: 'METRICS_FORBIDDEN',
+    }));
+  }
+
+  if (expectedToken && !hasMetricsToken(req)) {
+    return next(new AuthError('A valid metrics token is required.', { code: 'INVALID_METRICS_TOKEN' }));
+  }
+
+  next();
+};
+
+const metricsHandler = async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.status(200).send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  httpMetrics,
+  requireMetricsAccess,
+  hasMetricsToken,
+  metricsHandler,
+};
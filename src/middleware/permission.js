@@ -0,0 +1,46 @@
+const { hasPermission } = require('../utils/permissions');
+const { isAdminTwoFactorRequired } = require('../utils/twoFactor');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Permission Middleware
+ * 
+ * Restricts access to routes based on the permissions of the user's role
+ * (see utils/permissions.js).
+ * Must be used AFTER authMiddleware to ensure req.user exists.
+ * 
+ * When REQUIRE_ADMIN_2FA is on, admins without two-factor authentication are
+ * refused until they enroll at /api/auth/2fa/setup.
+ * 
+ * Usage:
+ *   router.get('/all', authMiddleware, requirePermission('transactions:read:all'), controller.handler);
+ * 
+ * @param {string} permission - Permission required to access the route
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    // Ensure user is authenticated (should be set by authMiddleware)
+    if (!req.user) {
+      return next(new AuthError('Authentication required.'));
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return next(new ForbiddenError(`Access denied. This route requires the ${permission} permission.`, {
+        code: 'PERMISSION_DENIED',
+      }));
+    }
+
+    if (req.user.role === 'admin' && !req.user.twoFactorEnabled && isAdminTwoFactorRequired()) {
+      return next(new ForbiddenError(
+        'Two-factor authentication is required for admin accounts. Enable it at /api/auth/2fa/setup.',
+        { code: 'TWO_FACTOR_REQUIRED' }
+      ));
+    }
+
+    // User has the permission, proceed to next middleware/controller
+    next();
+  };
+};
+
+module.exports = requirePermission;
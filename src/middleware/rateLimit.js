@@ -0,0 +1,143 @@
+const { getRateLimitStore } = require('../rateLimit');
+const { readPositiveNumber } = require('../config/settings');
+const { RateLimitError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Rate Limit Middleware
+ * 
+ * Limits how many requests a client can make to a group of routes. Clients
+ * are identified by user ID when authenticated, otherwise by IP, so place the
+ * limiter after authMiddleware to limit per user.
+ * 
+ * Uses a sliding window: the count of the previous fixed window is weighted
+ * by how much of it still overlaps the sliding window and added to the count
+ * of the current one. This avoids the burst allowed at fixed window edges
+ * while storing only two counters per client.
+ * 
+ * Every response carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+ * and RateLimit-Policy headers; refused requests get 429 with Retry-After.
+ * Counters are kept in the store chosen by RATE_LIMIT_STORE (see rateLimit/).
+ * If the store fails, requests are let through rather than refused.
+ * 
+ * Usage:
+ *   router.post('/login', authRateLimit, controller.login);
+ *   router.post('/initiate', authMiddleware, rateLimit({ name: 'initiate', max: 5, windowMs: 60000 }), controller.handler);
+ * 
+ * Environment:
+ *   RATE_LIMIT_ENABLED - false to turn all limiters off (default: true)
+ * 
+ * @param {Object} options
+ * @param {string} options.name - Limiter name; each limiter counts separately
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Function} Express middleware function
+ */
+const rateLimit = ({ name, max, windowMs }) => {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    const client = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const now = Date.now();
+    const windowIndex = Math.floor(now / windowMs);
+    const windowEnd = (windowIndex + 1) * windowMs;
+    const elapsed = now - windowIndex * windowMs;
+
+    let current;
+    let previous;
+    try {
+      const store = getRateLimitStore();
+      // A window's counter is still read during the whole next window
+      [current, previous] = await Promise.all([
+        store.increment(`${name}:${client}:${windowIndex}`, new Date(windowEnd + windowMs)),
+        store.get(`${name}:${client}:${windowIndex - 1}`),
+      ]);
+    } catch (error) {
+      logger.error('Rate limit store error', { limiter: name, err: error });
+      return next();
+    }
+
+    const previousWeight = (windowMs - elapsed) / windowMs;
+    const used = previous * previousWeight + current;
+    const resetSeconds = Math.max(1, Math.ceil((windowEnd - now) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, Math.floor(max - used))),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${max};w=${windowSeconds}`,
+    });
+
+    if (used <= max) {
+      return next();
+    }
+
+    // Wait until the previous window's share has faded enough, or else until
+    // this window is over
+    let retryAfter = resetSeconds;
+    if (current <= max && previous > 0) {
+      const fadedAt = windowMs * (1 - (max - current) / previous);
+      retryAfter = Math.max(1, Math.ceil((fadedAt - elapsed) / 1000));
+    }
+
+    // The error handler sets Retry-After
+    return next(new RateLimitError('Too many requests. Please try again later.', { retryAfter }));
+  };
+};
+
+/**
+ * Auth Rate Limit
+ * 
+ * Strict limit for public authentication endpoints (login, registration,
+ * password reset...), which are keyed by IP.
+ * 
+ * Environment:
+ *   RATE_LIMIT_AUTH_MAX - Requests per window (default: 20)
+ *   RATE_LIMIT_AUTH_WINDOW_MINUTES - Window length (default: 15)
+ */
+const authRateLimit = rateLimit({
+  name: 'auth',
+  max: readPositiveNumber('RATE_LIMIT_AUTH_MAX', 20),
+  windowMs: readPositiveNumber('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15) * 60 * 1000,
+});
+
+/**
+ * API Rate Limit
+ * 
+ * General limit for authenticated API routes.
+ * 
+ * Environment:
+ *   RATE_LIMIT_API_MAX - Requests per window (default: 100)
+ *   RATE_LIMIT_API_WINDOW_MINUTES - Window length (default: 1)
+ */
+const apiRateLimit = rateLimit({
+  name: 'api',
+  max: readPositiveNumber('RATE_LIMIT_API_MAX', 100),
+  windowMs: readPositiveNumber('RATE_LIMIT_API_WINDOW_MINUTES', 1) * 60 * 1000,
+});
+
+/**
+ * Payment Rate Limit
+ * 
+ * Limit for starting payments, each of which calls the payment provider.
+ * 
+ * Environment:
+ *   RATE_LIMIT_PAYMENT_MAX - Requests per window (default: 10)
+ *   RATE_LIMIT_PAYMENT_WINDOW_MINUTES - Window length (default: 1)
+ */
+const paymentRateLimit = rateLimit({
+  name: 'payment',
+  max: readPositiveNumber('RATE_LIMIT_PAYMENT_MAX', 10),
+  windowMs: readPositiveNumber('RATE_LIMIT_PAYMENT_WINDOW_MINUTES', 1) * 60 * 1000,
+});
+
+module.exports = {
+  rateLimit,
+  authRateLimit,
+  apiRateLimit,
+  paymentRateLimit,
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../utils/logger');
+const { trackRoutePattern, getRoutePattern } = require('../utils/routePattern');
+
+/**
+ * Request Logger Middleware
+ * 
+ * Gives every request an ID and logs one line when its response is sent.
+ * Mount before all other middleware.
+ * 
+ * The ID is taken from the X-Request-Id header when a proxy or client sends
+ * a usable one, and generated otherwise. It is returned in the X-Request-Id
+ * response header, available as req.id, attached to every log line written
+ * while the request is handled and sent along with Paystack calls.
+ * 
+ * Logged fields: method, route (the matched route pattern, e.g.
+ * /api/payments/verify/:reference), path (without query string, which may
+ * hold tokens), status, latencyMs, userId and apiKeyId. 5xx responses are
+ * logged as errors and 4xx responses as warnings. Health probes and metrics
+ * scrapes, which arrive every few seconds, are logged at debug when they
+ * succeed and as warnings otherwise.
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accepted incoming IDs: UUIDs and similar; anything else is replaced
+const VALID_REQUEST_ID = /^[\w.:@-]{1,128}$/;
+
+// Polled by load balancers and Prometheus
+const PROBE_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  trackRoutePattern(req);
+
+  const logCompleted = (aborted) => {
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const fields = {
+      requestId,
+      method: req.method,
+      route: getRoutePattern(req),
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      userId: req.user?._id,
+      apiKeyId: req.apiKey?._id,
+      ip: req.ip,
+    };
+
+    if (aborted) {
+      logger.warn('Request aborted', fields);
+    } else if (PROBE_PATHS.includes(fields.path)) {
+      // A 503 from /health/ready is expected while starting or during an outage
+      if (res.statusCode >= 400) {
+        logger.warn('Request completed', fields);
+      } else {
+        logger.debug('Request completed', fields);
+      }
+    } else if (res.statusCode >= 500) {
+      logger.error('Request completed', fields);
+    } else if (res.statusCode >= 400) {
+      logger.warn('Request completed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  };
+
+  res.on('finish', () => logCompleted(false));
+  res.on('close', () => {
+    // Client went away before the response was sent
+    if (!res.writableFinished) {
+      logCompleted(true);
+    }
+  });
+
+  runWithRequestId(requestId, next);
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,59 @@
+const { validationResult, matchedData } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Request parts that are cleaned down to the validated fields
+const LOCATIONS = ['body', 'query'];
+
+/**
+ * Validation Middleware
+ * 
+ * Runs express-validator chains (see src/validators) for a route. Invalid
+ * requests get 400 with one entry per invalid field:
+ * 
+ *   {
+ *     "success": false,
+ *     "message": "Validation error",
+ *     "code": "VALIDATION_ERROR",
+ *     "errors": [{ "field": "amount", "message": "...", "code": "invalid_integer" }]
+ *   }
+ * 
+ * Valid requests continue with req.body and req.query reduced to the fields
+ * the chains know about (unknown fields are dropped) and with sanitizers
+ * applied, e.g. amounts converted to numbers.
+ * 
+ * Usage:
+ *   router.post('/login', authRateLimit, validate(loginRules), login);
+ * 
+ * @param {ValidationChain[]} chains - Validation chains for the route
+ * @returns {Function} Express middleware function
+ */
+const validate = (chains) => {
+  return async (req, res, next) => {
+    try {
+      for (const chain of chains) {
+        await chain.run(req);
+      }
+
+      const result = validationResult(req);
+      if (!result.isEmpty()) {
+        return next(new ValidationError('Validation error', {
+          errors: result.array({ onlyFirstError: true }).map((error) => ({
+            field: error.path ?? null,
+            message: error.msg?.message ?? error.msg,
+            code: error.msg?.code ?? 'invalid_value',
+          })),
+        }));
+      }
+
+      LOCATIONS.forEach((location) => {
+        req[location] = matchedData(req, { locations: [location] });
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = validate;
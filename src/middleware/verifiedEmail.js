@@ -0,0 +1,36 @@
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Verified Email Middleware
+ * 
+ * Blocks users whose email address is not verified, when the
+ * REQUIRE_EMAIL_VERIFICATION setting is enabled. With the setting off (the
+ * default) every request passes through.
+ * Must be used AFTER authMiddleware to ensure req.user exists.
+ * 
+ * Usage:
+ *   router.post('/initiate', authMiddleware, requireVerifiedEmail, controller.handler);
+ * 
+ * Environment:
+ *   REQUIRE_EMAIL_VERIFICATION - true to enforce verification (default: false)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  // Ensure user is authenticated (should be set by authMiddleware)
+  if (!req.user) {
+    return next(new AuthError('Authentication required.'));
+  }
+
+  if (!req.user.emailVerified) {
+    return next(new ForbiddenError('Please verify your email address before making payments.', {
+      code: 'EMAIL_NOT_VERIFIED',
+    }));
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES, generateApiKey, hashApiKey } = require('../utils/apiKeys');
+
+/**
+ * API Key Model Schema
+ * 
+ * Long-lived credentials that let a user's backend services call the API
+ * without logging in. A key acts as its user, limited to its scopes.
+ * 
+ * Fields:
+ * - user: User the key belongs to
+ * - name: Label chosen by the user, e.g. "Checkout service"
+ * - prefix: Public start of the key, for identifying it in listings
+ * - keyHash: SHA-256 hash of the key (never returned)
+ * - scopes: What the key may be used for (see utils/apiKeys.js)
+ * - expiresAt: When the key stops working (null = never)
+ * - lastUsedAt / lastUsedIp: Most recent use of the key
+ * - revokedAt: When the key was revoked (null while active)
+ * - createdAt: Timestamp of key creation
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'API key must belong to a user'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+/**
+ * Indexes
+ * 
+ * - Unique index on keyHash (declared on the field) for authentication
+ * - Compound index on user and createdAt for listing a user's keys
+ */
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Skip rewriting lastUsedAt on every request of a busy key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Static Method: Issue
+ * 
+ * Creates a key for a user. The plain key is returned here only.
+ * 
+ * @param {Object} user - User document
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey, key } - Plain key and the stored document
+ */
+apiKeySchema.statics.issue = async function (user, { name, scopes, expiresAt = null }) {
+  const { apiKey, prefix, keyHash } = generateApiKey();
+
+  const key = await this.create({
+    user: user._id,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Static Method: Authenticate
+ * 
+ * Finds the active key matching a plain key and records its use.
+ * 
+ * @param {string} apiKey - Plain API key from the request
+ * @param {Object} [options] - { ip } of the client
+ * @returns {Promise<Object|null>} Key document, or null if unknown, revoked or expired
+ */
+apiKeySchema.statics.authenticate = async function (apiKey, { ip } = {}) {
+  const now = new Date();
+  const key = await this.findOne({
+    keyHash: hashApiKey(apiKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+
+  if (!key) {
+    return null;
+  }
+
+  if (!key.lastUsedAt || now - key.lastUsedAt >= LAST_USED_RESOLUTION_MS || key.lastUsedIp !== (ip || null)) {
+    await this.updateOne({ _id: key._id }, { $set: { lastUsedAt: now, lastUsedIp: ip || null } });
+    key.lastUsedAt = now;
+    key.lastUsedIp = ip || null;
+  }
+
+  return key;
+};
+
+/**
+ * Instance Method: Has Scope
+ * 
+ * @param {string} scope - Scope to check
+ * @returns {boolean}
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Instance Method: Remove Hash from JSON
+ */
+apiKeySchema.methods.toJSON = function () {
+  const keyObject = this.toObject();
+  delete keyObject.keyHash;
+  return keyObject;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
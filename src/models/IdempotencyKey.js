@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Model Schema
+ * 
+ * Stores the outcome of a request made with an `Idempotency-Key` header so that
+ * retries of the same request replay the saved response instead of repeating it.
+ * 
+ * Fields:
+ * - user: User who sent the request (keys are scoped per user)
+ * - key: Client-supplied Idempotency-Key header value
+ * - requestHash: Hash of the request method, path and body
+ * - state: in_progress while the first request is running, completed once saved
+ * - claimId: Identifies the request currently holding the key, so a request
+ *   whose lease was taken over cannot save its response over the new one
+ * - leaseExpiresAt: When an in_progress key may be taken over by a retry
+ *   (the first request crashed or hung)
+ * - statusCode: HTTP status of the saved response
+ * - responseBody: JSON body of the saved response
+ * - expiresAt: When the key may be reused (MongoDB removes expired keys)
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Idempotency key must belong to a user'],
+    },
+    key: {
+      type: String,
+      required: [true, 'Idempotency key is required'],
+      trim: true,
+    },
+    requestHash: {
+      type: String,
+      required: [true, 'Request hash is required'],
+    },
+    state: {
+      type: String,
+      enum: ['in_progress', 'completed'],
+      default: 'in_progress',
+    },
+    claimId: {
+      type: String,
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+/**
+ * Indexes
+ * 
+ * - Unique compound index on user and key so each user has their own key space
+ * - TTL index on expiresAt so MongoDB purges keys once the window has passed
+ */
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Attempt Model Schema
+ * 
+ * Failed login counters used by the MongoDB lockout store (see lockout/mongoStore.js),
+ * so lockouts are shared by every API instance and survive restarts.
+ * 
+ * Fields:
+ * - key: What is being counted, e.g. account:john@example.com or ip:203.0.113.7
+ * - failures: Failed attempts in the current window
+ * - nextAttemptAt: Earliest time the next attempt is allowed (increasing delay)
+ * - lockedUntil: End of the lockout, if locked
+ * - expiresAt: When the counter is forgotten (MongoDB removes expired counters)
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Counter key is required'],
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+/**
+ * Indexes
+ * 
+ * - TTL index on expiresAt so MongoDB purges counters once they expire
+ */
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Counter Model Schema
+ * 
+ * Request counters used by the MongoDB rate limit store (see rateLimit/mongoStore.js),
+ * so limits are shared by every API instance.
+ * 
+ * Fields:
+ * - key: Limiter, client and window, e.g. auth:ip:203.0.113.7:1893456
+ * - count: Requests counted in the window
+ * - expiresAt: When the counter is no longer needed (MongoDB removes expired counters)
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Counter key is required'],
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+/**
+ * Indexes
+ * 
+ * - TTL index on expiresAt so MongoDB purges counters once they expire
+ */
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AuthError } = require('../utils/errors');
+const hashToken = require('../utils/hashToken');
+const { readPositiveNumber } = require('../config/settings');
+
+/**
+ * Refresh Token Model Schema
+ * 
+ * One document per refresh token ever issued. Tokens are random strings that
+ * are only stored as a SHA-256 hash. Every login starts a new token family
+ * (a session); each refresh rotates the token, marking the old one as
+ * replaced and issuing a new one in the same family.
+ * 
+ * Presenting a token that was already replaced means it has leaked, so the
+ * whole family is revoked and every token in it stops working. Access tokens
+ * carry the family ID (`sid`), so revoking a family also ends the session for
+ * authMiddleware.
+ * 
+ * Fields:
+ * - user: User the session belongs to
+ * - family: Session ID shared by all rotated tokens of one login
+ * - tokenHash: SHA-256 hash of the refresh token
+ * - expiresAt: When the token expires (MongoDB removes expired tokens)
+ * - replacedAt: When the token was rotated (null while it is the current token)
+ * - revokedAt: When the family was revoked (logout, reuse, password change...)
+ * - revokedReason: Why it was revoked
+ * - createdByIp / userAgent: Client that received the token
+ * 
+ * Environment:
+ *   REFRESH_TOKEN_TTL_DAYS - Refresh token lifetime in days (default: 30)
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Refresh token must belong to a user'],
+    },
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+    replacedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+/**
+ * Indexes
+ * 
+ * - Compound index on family and revokedAt for session checks on every request
+ * - Index on user for revoking all of a user's sessions
+ * - TTL index on expiresAt so MongoDB purges expired tokens
+ */
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Get Refresh Token TTL
+ * 
+ * @returns {number} Refresh token lifetime in milliseconds
+ */
+const getRefreshTokenTtlMs = () => {
+  return readPositiveNumber('REFRESH_TOKEN_TTL_DAYS', 30) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Invalid Refresh Token Error
+ * 
+ * Creates an AuthError (401) with code INVALID_REFRESH_TOKEN.
+ */
+const invalidToken = (message) => new AuthError(message, { code: 'INVALID_REFRESH_TOKEN' });
+
+/**
+ * Static Method: Issue
+ * 
+ * Creates a refresh token. Without a family, a new session is started.
+ * 
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {string} [options.family] - Existing family to add the token to
+ * @param {string} [options.ip] - Client IP address
+ * @param {string} [options.userAgent] - Client User-Agent header
+ * @returns {Promise<Object>} { refreshToken, family, expiresAt }
+ */
+refreshTokenSchema.statics.issue = async function (user, { family, ip, userAgent } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+  const tokenFamily = family || crypto.randomUUID();
+
+  await this.create({
+    user: user._id,
+    family: tokenFamily,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    createdByIp: ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+  });
+
+  return { refreshToken, family: tokenFamily, expiresAt };
+};
+
+/**
+ * Static Method: Rotate
+ * 
+ * Exchanges a refresh token for a new one in the same family. Reusing a token
+ * that was already rotated revokes the whole family.
+ * 
+ * @param {string} refreshToken - Plain refresh token from the client
+ * @param {Object} [options] - { ip, userAgent } of the client
+ * @returns {Promise<Object>} { user, refreshToken, family, expiresAt }
+ * @throws {AuthError} If the token is unknown, expired, revoked or reused,
+ *   or the user is suspended
+ */
+refreshTokenSchema.statics.rotate = async function (refreshToken, { ip, userAgent } = {}) {
+  const stored = await this.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw invalidToken('Invalid or expired refresh token. Please login again.');
+  }
+
+  if (stored.revokedAt) {
+    throw invalidToken('Session has been revoked. Please login again.');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await this.findOneAndUpdate(
+    { _id: stored._id, replacedAt: null, revokedAt: null },
+    { $set: { replacedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await this.revokeFamily(stored.family, 'reuse_detected');
+    throw invalidToken('Refresh token reuse detected. This session has been revoked; please login again.');
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(stored.user);
+  if (!user) {
+    await this.revokeFamily(stored.family, 'user_deleted');
+    throw invalidToken('User not found. Please login again.');
+  }
+
+  if (user.suspendedAt) {
+    await this.revokeFamily(stored.family, 'user_suspended');
+    throw invalidToken('Your account has been suspended. Please contact support.');
+  }
+
+  const next = await this.issue(user, { family: stored.family, ip, userAgent });
+  return { user, ...next };
+};
+
+/**
+ * Static Method: Revoke Family
+ * 
+ * Revokes every token of one session.
+ * 
+ * @param {string} family - Session ID
+ * @param {string} reason - Why the session is revoked
+ * @returns {Promise<Object>} MongoDB update result
+ */
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Static Method: Revoke All For User
+ * 
+ * Revokes every session of a user (e.g. after a password change).
+ * 
+ * @param {string} userId - User's MongoDB ObjectId
+ * @param {string} reason - Why the sessions are revoked
+ * @param {Object} [options]
+ * @param {string} [options.exceptFamily] - Session to keep (e.g. the current one)
+ * @returns {Promise<Object>} MongoDB update result
+ */
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason, { exceptFamily } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) {
+    filter.family = { $ne: exceptFamily };
+  }
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+/**
+ * Static Method: Revoke Token
+ * 
+ * Revokes the session a refresh token belongs to, if it exists.
+ * 
+ * @param {string} refreshToken - Plain refresh token
+ * @param {string} reason - Why the session is revoked
+ * @returns {Promise<boolean>} True if a session was found
+ */
+refreshTokenSchema.statics.revokeToken = async function (refreshToken, reason) {
+  const stored = await this.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    return false;
+  }
+  await this.revokeFamily(stored.family, reason);
+  return true;
+};
+
+/**
+ * Static Method: Is Session Active
+ * 
+ * A session is active while it has an unexpired token that was not revoked.
+ * 
+ * @param {string} family - Session ID from the access token
+ * @returns {Promise<boolean>}
+ */
+refreshTokenSchema.statics.isSessionActive = async function (family) {
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(active);
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -1,19 +1,123 @@
 const mongoose = require('mongoose');
+const {
+  TRANSACTION_STATUSES,
+  STATUS_SOURCES,
+  assertTransition,
+  canTransition,
+} = require('./transactionStateMachine');
+const { recordTransactionStatusChange } = require('../utils/metrics');
 
 /**
  * Transaction Model Schema
  * 
  * Represents a payment transaction in the system.
- * Each transaction is linked to a user and contains payment details from Paystack.
+ * Each transaction is linked to a user and contains payment details from the payment provider.
  * 
  * Fields:
  * - user: Reference to the User who made the transaction
  * - amount: Transaction amount in the smallest currency unit (kobo for Naira)
- * - reference: Unique Paystack transaction reference
- * - status: Current status of the transaction (pending/success/failed)
- * - paystackData: Additional data from Paystack (optional, for debugging)
+ * - reference: Unique transaction reference
+ * - provider: Payment provider that handled the transaction (paystack/mock)
+ * - status: Current status of the transaction (pending/success/failed/abandoned/partially_refunded/refunded)
+ * - channel, currency, paidAt, fees, gatewayResponse, customerCode, card:
+ *   Payment details copied from the provider's verify response or webhook
+ * - refunds: Refunds issued against the transaction
+ * - statusHistory: Every status change, with its source and provider payload
+ * 
+ * Raw provider payloads live in the TransactionPayload collection (admin only).
+ * - lockedBy / lockedUntil: Lease held by a reconciliation worker or a refund in progress
+ * - lastReconciledAt: When a reconciliation worker last checked the transaction
  * - createdAt: Timestamp of transaction creation
  */
+
+/**
+ * Refund Sub-schema
+ * 
+ * One refund request sent to the payment provider for this transaction.
+ * Its status is updated by refund webhooks until it is processed or failed.
+ * 
+ * Fields:
+ * - amount: Refunded amount in kobo
+ * - reason: Why the refund was issued
+ * - initiatedBy: Admin who started the refund
+ * - providerRefundId: Refund ID returned by the payment provider
+ * - status: Refund status reported by the provider (pending/processing/processed/failed)
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [1, 'Refund amount must be greater than 0'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters'],
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Refund must record who initiated it'],
+    },
+    providerRefundId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      default: 'pending',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Status History Sub-schema
+ * 
+ * One status change, recorded by transitionTo().
+ * 
+ * Fields:
+ * - from: Previous status (null for the initial pending entry)
+ * - to: New status
+ * - source: What triggered the change (initiate/verify/webhook/reconciler/admin)
+ * - payload: TransactionPayload holding the provider data behind the change (optional)
+ * - changedAt: When the change happened
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...TRANSACTION_STATUSES, null],
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: TRANSACTION_STATUSES,
+      required: [true, 'Status history entry must have a target status'],
+    },
+    source: {
+      type: String,
+      enum: STATUS_SOURCES,
+      required: [true, 'Status history entry must have a source'],
+    },
+    payload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransactionPayload',
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const transactionSchema = new mongoose.Schema(
   {
     user: {
@@ -34,11 +138,80 @@ const transactionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'success', 'failed'],
+      enum: TRANSACTION_STATUSES,
       default: 'pending',
     },
-    paystackData: {
-      type: mongoose.Schema.Types.Mixed,
+    provider: {
+      type: String,
+      required: [true, 'Payment provider is required'],
+      default: 'paystack',
+      trim: true,
+    },
+    channel: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    fees: {
+      type: Number,
+      min: [0, 'Fees cannot be negative'],
+      default: null,
+    },
+    gatewayResponse: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    customerCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    card: {
+      brand: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      last4: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      bank: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+    },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastReconciledAt: {
+      type: Date,
       default: null,
     },
   },
@@ -52,9 +225,220 @@ const transactionSchema = new mongoose.Schema(
  * 
  * - Compound index on user and createdAt for efficient user transaction queries
  * - Index on reference for fast lookups during verification
+ * - Compound index on status and createdAt for finding stale pending transactions
+ * - Indexes on channel, paidAt and customerCode for reporting and customer lookups
+ * - Indexes on createdAt and amount for sorted, paginated admin listings
  */
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ reference: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
+transactionSchema.index({ channel: 1 });
+transactionSchema.index({ paidAt: -1 });
+transactionSchema.index({ customerCode: 1 }, { sparse: true });
+transactionSchema.index({ createdAt: -1, _id: -1 });
+transactionSchema.index({ amount: -1, _id: -1 });
+
+// Payment detail fields a provider result may fill in
+const PAYMENT_DETAIL_FIELDS = [
+  'channel',
+  'currency',
+  'paidAt',
+  'fees',
+  'gatewayResponse',
+  'customerCode',
+  'card',
+];
+
+// Refund statuses that never change again
+const FINAL_REFUND_STATUSES = ['processed', 'failed'];
+
+// Statuses of a paid transaction, depending on how much has been refunded
+const REFUND_TRANSACTION_STATUSES = ['partially_refunded', 'refunded'];
+
+/**
+ * Instance Method: Refunded Amount
+ * 
+ * Total amount refunded so far, ignoring refunds that the provider reported as failed.
+ * 
+ * @returns {number} Refunded amount in kobo
+ */
+transactionSchema.methods.refundedAmount = function () {
+  return this.refunds
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+};
+
+/**
+ * Instance Method: Refund Status
+ * 
+ * Status a paid transaction should have given the refunds recorded so far.
+ * 
+ * @returns {string} success, partially_refunded or refunded
+ */
+transactionSchema.methods.refundStatus = function () {
+  const refunded = this.refundedAmount();
+
+  if (refunded >= this.amount) {
+    return 'refunded';
+  }
+  return refunded > 0 ? 'partially_refunded' : 'success';
+};
+
+/**
+ * Instance Method: Apply Refund Update
+ * 
+ * Records a refund status reported later by the provider (refund webhook) and
+ * moves the transaction to match, e.g. back to success when its only refund
+ * failed. The refund is matched by provider refund ID, or, when the provider
+ * does not send one, by amount among refunds still in progress. Processed and
+ * failed refunds are final, so replayed events are ignored. Does not save.
+ * 
+ * @param {Object} update - { id, amount, status } from the provider
+ * @param {Object} options
+ * @param {string} options.source - webhook
+ * @param {ObjectId} [options.payloadId] - TransactionPayload holding the raw event
+ * @returns {boolean} True if the refund changed
+ */
+transactionSchema.methods.applyRefundUpdate = function ({ id, amount, status }, { source, payloadId = null } = {}) {
+  const refund = this.refunds.find((entry) => (id && entry.providerRefundId
+    ? entry.providerRefundId === id
+    : !FINAL_REFUND_STATUSES.includes(entry.status) && entry.amount === amount));
+
+  if (!refund || !status || FINAL_REFUND_STATUSES.includes(refund.status) || refund.status === status) {
+    return false;
+  }
+
+  refund.status = status;
+  this.transitionTo(this.refundStatus(), { source, payloadId });
+  return true;
+};
+
+/**
+ * Instance Method: Transition To
+ * 
+ * The only supported way to change a transaction's status. Checks the change
+ * against the state machine and appends it to statusHistory. Does not save.
+ * 
+ * @param {string} status - New status
+ * @param {Object} options
+ * @param {string} options.source - initiate, verify, webhook, reconciler or admin
+ * @param {ObjectId} [options.payloadId] - TransactionPayload behind the change
+ * @returns {boolean} True if the status changed, false if it was already set
+ * @throws {InvalidTransitionError} If the change is not allowed
+ */
+transactionSchema.methods.transitionTo = function (status, { source, payloadId = null } = {}) {
+  if (this.status === status) {
+    return false;
+  }
+
+  assertTransition(this.status, status);
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    source,
+    payload: payloadId,
+    changedAt: new Date(),
+  });
+  this.status = status;
+  return true;
+};
+
+/**
+ * Instance Method: Apply Provider Result
+ * 
+ * Updates the transaction from a provider's verify result or webhook event.
+ * Results that the state machine does not allow (e.g. a stale `pending` after
+ * `success`) are ignored rather than rejected, so replayed or out-of-order
+ * provider data is safe to apply more than once. Refunded transactions are
+ * left alone; only refund updates change them. Does not save.
+ * 
+ * @param {Object} result - Normalized provider result ({ status, details })
+ * @param {Object} options
+ * @param {string} options.source - verify, webhook or reconciler
+ * @param {ObjectId} [options.payloadId] - TransactionPayload holding the raw result
+ * @returns {boolean} True if the status changed
+ */
+transactionSchema.methods.applyProviderResult = function (result, { source, payloadId = null } = {}) {
+  if (REFUND_TRANSACTION_STATUSES.includes(this.status) || !canTransition(this.status, result.status)) {
+    return false;
+  }
+
+  this.applyPaymentDetails(result.details);
+  return this.transitionTo(result.status, { source, payloadId });
+};
+
+/**
+ * Instance Method: Apply Payment Details
+ * 
+ * Copies normalized payment details (channel, fees, card, ...) onto the
+ * transaction. Fields the provider did not report are left unchanged.
+ * 
+ * @param {Object} [details] - Normalized payment details from a provider
+ */
+transactionSchema.methods.applyPaymentDetails = function (details) {
+  if (!details) {
+    return;
+  }
+
+  PAYMENT_DETAIL_FIELDS.forEach((field) => {
+    if (details[field] !== undefined && details[field] !== null) {
+      this.set(field, details[field]);
+    }
+  });
+};
+
+/**
+ * Instance Method: Payment Details
+ * 
+ * @returns {Object} Current payment detail fields, e.g. for an atomic $set
+ */
+transactionSchema.methods.paymentDetails = function () {
+  return PAYMENT_DETAIL_FIELDS.reduce((details, field) => {
+    const value = this.get(field);
+    details[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+    return details;
+  }, {});
+};
+
+/**
+ * Status Guards
+ * 
+ * - New transactions start with an initial pending history entry.
+ * - Saving a document whose status was assigned directly (bypassing
+ *   transitionTo) is still checked against the state machine.
+ * - Status changes are counted in the metrics once saved (see
+ *   utils/metrics.js); the reconciler, which writes with an update query,
+ *   counts its own.
+ */
+transactionSchema.post('init', function () {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedHistoryLength = this.statusHistory.length;
+});
+
+transactionSchema.pre('save', function (next) {
+  try {
+    if (this.isNew) {
+      if (this.statusHistory.length === 0) {
+        this.statusHistory.push({ from: null, to: this.status, source: 'initiate' });
+      }
+    } else if (this.isModified('status')) {
+      assertTransition(this.$locals.persistedStatus, this.status);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+transactionSchema.post('save', function () {
+  this.statusHistory
+    .slice(this.$locals.persistedHistoryLength || 0)
+    .forEach((entry) => recordTransactionStatusChange(entry.to, entry.source));
+
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedHistoryLength = this.statusHistory.length;
+});
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
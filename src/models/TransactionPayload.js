@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { STATUS_SOURCES } = require('./transactionStateMachine');
+
+/**
+ * Transaction Payload Model Schema
+ * 
+ * Raw data exchanged with a payment provider (initialize, verify, webhook and
+ * refund responses, or the error that replaced them). Kept out of the
+ * Transaction document so list queries stay small; only admins can read it.
+ * 
+ * Fields:
+ * - transaction: Transaction the payload belongs to
+ * - reference: Transaction reference (denormalized for lookups)
+ * - provider: Payment provider that produced the payload
+ * - source: What produced it (initiate/verify/webhook/reconciler/admin)
+ * - data: Raw provider payload
+ * - createdAt: When the payload was received
+ */
+const transactionPayloadSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: [true, 'Payload must belong to a transaction'],
+    },
+    reference: {
+      type: String,
+      required: [true, 'Transaction reference is required'],
+      trim: true,
+    },
+    provider: {
+      type: String,
+      required: [true, 'Payment provider is required'],
+    },
+    source: {
+      type: String,
+      enum: STATUS_SOURCES,
+      required: [true, 'Payload source is required'],
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Indexes for Performance
+ * 
+ * - Compound index on transaction and createdAt for listing a transaction's payloads
+ * - Index on reference for admin lookups
+ */
+transactionPayloadSchema.index({ transaction: 1, createdAt: 1 });
+transactionPayloadSchema.index({ reference: 1 });
+
+/**
+ * Static Method: Record
+ * 
+ * Stores a raw provider payload for a transaction.
+ * 
+ * @param {Object} transaction - Transaction document
+ * @param {string} source - initiate, verify, webhook, reconciler or admin
+ * @param {Object} data - Raw provider payload
+ * @returns {Promise<Object>} Created payload document
+ */
+transactionPayloadSchema.statics.record = function (transaction, source, data) {
+  return this.create({
+    transaction: transaction._id,
+    reference: transaction.reference,
+    provider: transaction.provider,
+    source,
+    data,
+  });
+};
+
+const TransactionPayload = mongoose.model('TransactionPayload', transactionPayloadSchema);
+
+module.exports = TransactionPayload;
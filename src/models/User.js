@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyTotp, hashRecoveryCode } = require('../utils/twoFactor');
+const { ROLES } = require('../utils/permissions');
+const { readPositiveNumber } = require('../config/settings');
+const hashToken = require('../utils/hashToken');
 
 /**
  * User Model Schema
@@ -10,7 +15,21 @@ const bcrypt = require('bcryptjs');
  * - name: User's full name
  * - email: Unique email address (indexed for fast lookups)
  * - password: Hashed password (never returned in queries)
- * - role: Either 'user' or 'admin' for RBAC
+ * - role: user, support, finance or admin; grants permissions (see utils/permissions.js)
+ * - emailVerified: Whether the user proved they own the email address
+ * - emailVerifiedAt: When the email was verified
+ * - emailVerificationTokenHash: SHA-256 hash of the pending verification token (never returned)
+ * - emailVerificationExpiresAt: When the pending verification token expires (never returned)
+ * - twoFactorEnabled: Whether login requires a TOTP or recovery code
+ * - twoFactorEnabledAt: When 2FA was turned on
+ * - twoFactorSecret: Base32 TOTP secret, set at enrollment (never returned)
+ * - twoFactorRecoveryCodeHashes: SHA-256 hashes of unused recovery codes (never returned)
+ * - twoFactorLastUsedStep: Time step of the last accepted TOTP code, to block replays (never returned)
+ * - passwordResetTokenHash: SHA-256 hash of the pending password reset token (never returned)
+ * - passwordResetExpiresAt: When the pending reset token expires (never returned)
+ * - passwordChangedAt: When the password was last changed
+ * - suspendedAt: When an admin suspended the account (null while active)
+ * - suspendedReason: Why the account was suspended
  * - createdAt: Timestamp of account creation
  */
 const userSchema = new mongoose.Schema(
@@ -38,15 +57,99 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES,
       default: 'user',
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodeHashes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspendedReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+      default: null,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
   }
 );
 
+/**
+ * Indexes
+ * 
+ * - Sparse indexes on the token hashes for reset and verification lookups
+ * - Index on createdAt and _id for the admin user listing (newest first)
+ */
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ createdAt: -1, _id: -1 });
+
+/**
+ * Create One-Time Token
+ * 
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+const createOneTimeToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+};
+
 /**
  * Pre-save Hook: Hash Password
  * 
@@ -59,6 +162,11 @@ userSchema.pre('save', async function (next) {
     return next();
   }
 
+  // Record password changes (not the initial password)
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     // Hash password with salt rounds of 12
     const salt = await bcrypt.genSalt(12);
@@ -81,6 +189,128 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Instance Method: Create Password Reset Token
+ * 
+ * Generates a single-use reset token and stores its hash and expiry on the
+ * user, replacing any earlier token. The caller must save the user.
+ * 
+ * Environment:
+ *   PASSWORD_RESET_TOKEN_TTL_MINUTES - Token lifetime in minutes (default: 30)
+ * 
+ * @returns {Object} { token, expiresInMinutes } - Plain token to email to the user
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const expiresInMinutes = readPositiveNumber('PASSWORD_RESET_TOKEN_TTL_MINUTES', 30);
+  const { token, tokenHash, expiresAt } = createOneTimeToken(expiresInMinutes * 60 * 1000);
+
+  this.passwordResetTokenHash = tokenHash;
+  this.passwordResetExpiresAt = expiresAt;
+
+  return { token, expiresInMinutes };
+};
+
+/**
+ * Static Method: Consume Password Reset Token
+ * 
+ * Atomically clears a valid, unexpired reset token so it cannot be used twice.
+ * 
+ * @param {string} token - Plain reset token from the email
+ * @returns {Promise<Object|null>} User the token belonged to, or null if invalid or expired
+ */
+userSchema.statics.consumePasswordResetToken = function (token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Instance Method: Create Email Verification Token
+ * 
+ * Generates a single-use email verification token and stores its hash and
+ * expiry on the user, replacing any earlier token. The caller must save the user.
+ * 
+ * Environment:
+ *   EMAIL_VERIFICATION_TOKEN_TTL_HOURS - Token lifetime in hours (default: 24)
+ * 
+ * @returns {Object} { token, expiresInHours } - Plain token to email to the user
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const expiresInHours = readPositiveNumber('EMAIL_VERIFICATION_TOKEN_TTL_HOURS', 24);
+  const { token, tokenHash, expiresAt } = createOneTimeToken(expiresInHours * 60 * 60 * 1000);
+
+  this.emailVerificationTokenHash = tokenHash;
+  this.emailVerificationExpiresAt = expiresAt;
+
+  return { token, expiresInHours };
+};
+
+/**
+ * Static Method: Consume Email Verification Token
+ * 
+ * Atomically marks the user's email as verified and clears the token.
+ * 
+ * @param {string} token - Plain verification token from the email
+ * @returns {Promise<Object|null>} Verified user, or null if the token is invalid or expired
+ */
+userSchema.statics.consumeEmailVerificationToken = function (token) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Instance Method: Consume Two-Factor Code
+ * 
+ * Checks a TOTP code against the user's secret, or else a recovery code.
+ * Each TOTP code and each recovery code is accepted only once; both checks
+ * are atomic so concurrent requests cannot reuse a code.
+ * The user must be loaded with +twoFactorSecret.
+ * 
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery' if accepted, null otherwise
+ */
+userSchema.methods.consumeTwoFactorCode = async function (code) {
+  if (!this.twoFactorSecret || !code) {
+    return null;
+  }
+
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { twoFactorLastUsedStep: { $exists: false } },
+          { twoFactorLastUsedStep: { $lt: step } },
+        ],
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodeHashes: codeHash },
+    { $pull: { twoFactorRecoveryCodeHashes: codeHash } }
+  );
+  return result.modifiedCount === 1 ? 'recovery' : null;
+};
+
 /**
  * Instance Method: Remove Password from JSON
  * 
@@ -89,6 +319,13 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpiresAt;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpiresAt;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodeHashes;
+  delete userObject.twoFactorLastUsedStep;
   return userObject;
 };
 
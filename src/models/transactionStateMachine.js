@@ -0,0 +1,87 @@
+const { ConflictError } = require('../utils/errors');
+
+/**
+ * Transaction State Machine
+ * 
+ * Single source of truth for which Transaction status changes are legal.
+ * The Transaction model routes every status change through this module and
+ * records each one in its statusHistory.
+ * 
+ * failed and abandoned may still become success, because a provider can report
+ * a late or retried payment. A refund that the provider fails after it was
+ * counted moves a refunded transaction back to partially_refunded or success.
+ * Nothing ever moves back to pending.
+ */
+
+// All statuses a transaction can have
+const TRANSACTION_STATUSES = [
+  'pending',
+  'success',
+  'failed',
+  'abandoned',
+  'partially_refunded',
+  'refunded',
+];
+
+// Where a status change came from
+const STATUS_SOURCES = ['initiate', 'verify', 'webhook', 'reconciler', 'admin'];
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  pending: ['success', 'failed', 'abandoned'],
+  failed: ['success'],
+  abandoned: ['success', 'failed'],
+  success: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded', 'success'],
+  refunded: ['partially_refunded', 'success'],
+};
+
+/**
+ * Invalid Transition Error
+ * 
+ * Thrown when code attempts an illegal status change, e.g. success → pending.
+ * A ConflictError (409) with code INVALID_STATUS_TRANSITION.
+ */
+class InvalidTransitionError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot change transaction status from ${from} to ${to}.`, { code: 'INVALID_STATUS_TRANSITION' });
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Can Transition
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the change is allowed (staying on the same status is always allowed)
+ */
+const canTransition = (from, to) => {
+  if (from === to) {
+    return true;
+  }
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Assert Transition
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {InvalidTransitionError} If the change is not allowed
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+};
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  STATUS_SOURCES,
+  TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  assertTransition,
+};
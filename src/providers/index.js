@@ -0,0 +1,78 @@
+const paystackProvider = require('./paystackProvider');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Payment Provider Registry
+ * 
+ * Controllers talk to payment gateways only through this module, so a gateway
+ * can be swapped by configuration. Every provider exposes:
+ * 
+ *   - name: string identifier stored on each Transaction
+ *   - initialize({ amount, email, reference, callbackUrl })
+ *       → Promise<{ authorizationUrl, accessCode, reference, raw }>
+ *   - verify(reference)
+ *       → Promise<{ status: 'pending'|'success'|'failed', providerStatus, details, raw }>
+ *   - refund({ reference, amount, reason })
+ *       → Promise<{ id, status, raw }>
+ *   - parseWebhook(rawBody, headers)
+ *       → { valid, event: null | { type, reference, status, details, raw } }
+ *       Refund events carry refund: { id, amount, status } instead of status and details.
+ * 
+ * `details` holds normalized payment fields copied onto the Transaction:
+ * { channel, currency, paidAt, fees, gatewayResponse, customerCode, card: { brand, last4, bank } }.
+ * `raw` is the untouched provider payload, stored in TransactionPayload.
+ * 
+ * Methods throw a ProviderError (utils/errors.js) when the gateway rejects a
+ * request or cannot be reached, and parseWebhook throws a ValidationError for
+ * malformed payloads.
+ * 
+ * Environment:
+ *   PAYMENT_PROVIDER - Provider used for new payments: paystack (default) or mock
+ */
+const providers = {
+  [paystackProvider.name]: paystackProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Get Default Provider Name
+ * 
+ * @returns {string} Name of the provider configured for new payments
+ */
+const getDefaultProviderName = () => {
+  return (process.env.PAYMENT_PROVIDER?.trim() || paystackProvider.name).toLowerCase();
+};
+
+/**
+ * Get Payment Provider
+ * 
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Payment provider
+ * @throws {Error} If the provider is not registered
+ */
+const getPaymentProvider = (name) => {
+  const providerName = name || getDefaultProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Is Provider Registered
+ * 
+ * @param {string} name - Provider name
+ * @returns {boolean} True if a provider with this name exists
+ */
+const isProviderRegistered = (name) => {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+};
+
+module.exports = {
+  getPaymentProvider,
+  getDefaultProviderName,
+  isProviderRegistered,
+};
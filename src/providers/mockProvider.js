@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { ValidationError, ProviderError } = require('../utils/errors');
+
+/**
+ * Mock Payment Provider
+ * 
+ * Offline stand-in for a real gateway, used for local development and demos.
+ * Initializing a payment returns a link to a simulated hosted checkout page
+ * (see routes/mockCheckoutRoutes.js) where the payer chooses to succeed or fail.
+ * 
+ * Sessions are kept in memory, so they are lost when the process restarts.
+ * 
+ * Environment:
+ *   APP_BASE_URL - Public base URL used to build checkout links (default: http://localhost:PORT)
+ *   MOCK_PROVIDER_SECRET - Secret used to sign mock webhooks (default: mock_secret)
+ */
+
+// Checkout sessions keyed by transaction reference
+const sessions = new Map();
+
+/**
+ * Get Base URL
+ * 
+ * Returns the public base URL of this API, used to build checkout links.
+ */
+const getBaseUrl = () => {
+  const fallback = `http://localhost:${process.env.PORT || 5000}`;
+  return (process.env.APP_BASE_URL?.trim() || fallback).replace(/\/+$/, '');
+};
+
+/**
+ * Get Webhook Secret
+ * 
+ * Returns the secret used to sign and verify mock webhook payloads.
+ */
+const getWebhookSecret = () => {
+  return process.env.MOCK_PROVIDER_SECRET?.trim() || 'mock_secret';
+};
+
+/**
+ * Sign Webhook Payload
+ * 
+ * Computes the x-mock-signature header for a raw webhook body, so tests and
+ * tools can send mock webhooks the same way Paystack signs real ones.
+ * 
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA512 signature
+ */
+const signWebhookPayload = (rawBody) => {
+  return crypto.createHmac('sha512', getWebhookSecret()).update(rawBody).digest('hex');
+};
+
+/**
+ * Normalize Details
+ * 
+ * Builds the payment details stored on a Transaction from a mock session,
+ * shaped like what the Paystack adapter reports for a card payment.
+ * 
+ * @param {Object} session - Mock checkout session
+ * @returns {Object} { channel, currency, paidAt, fees, gatewayResponse, customerCode, card }
+ */
+const normalizeDetails = (session) => {
+  if (session.status === 'pending') {
+    return { channel: 'mock', currency: 'NGN' };
+  }
+
+  return {
+    channel: 'mock',
+    currency: 'NGN',
+    paidAt: session.paidAt ? new Date(session.paidAt) : null,
+    fees: 0,
+    gatewayResponse: session.status === 'success' ? 'Approved' : 'Declined',
+    customerCode: null,
+    card: {
+      brand: 'visa',
+      last4: '4081',
+      bank: 'Mock Bank',
+    },
+  };
+};
+
+/**
+ * Initialize Payment
+ * 
+ * @param {Object} paymentData - { amount, email, reference, callbackUrl }
+ * @returns {Promise<Object>} { authorizationUrl, accessCode, reference, raw }
+ * @throws {ProviderError} If amount, email or reference is missing
+ */
+const initialize = async ({ amount, email, reference, callbackUrl }) => {
+  if (!amount || !email || !reference) {
+    throw new ProviderError('Missing required payment data: amount, email, or reference', {
+      code: 'PROVIDER_REJECTED',
+      provider: 'mock',
+    });
+  }
+
+  const session = {
+    reference,
+    amount,
+    email,
+    callbackUrl: callbackUrl || null,
+    accessCode: crypto.randomBytes(8).toString('hex'),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    paidAt: null,
+  };
+  sessions.set(reference, session);
+
+  return {
+    authorizationUrl: `${getBaseUrl()}/mock-checkout/${encodeURIComponent(reference)}`,
+    accessCode: session.accessCode,
+    reference,
+    raw: { ...session },
+  };
+};
+
+/**
+ * Verify Payment
+ * 
+ * @param {string} reference - Transaction reference
+ * @returns {Promise<Object>} { status, providerStatus, details, raw }
+ * @throws {ProviderError} If no checkout session exists for the reference
+ */
+const verify = async (reference) => {
+  const session = sessions.get(reference);
+
+  if (!session) {
+    throw new ProviderError('Transaction not found. Invalid reference.', {
+      code: 'PROVIDER_NOT_FOUND',
+      provider: 'mock',
+    });
+  }
+
+  return {
+    status: session.status,
+    providerStatus: session.status,
+    details: normalizeDetails(session),
+    raw: { ...session },
+  };
+};
+
+/**
+ * Refund Payment
+ * 
+ * Refunds are processed immediately.
+ * 
+ * @param {Object} refundData - { reference, amount, reason }
+ * @returns {Promise<Object>} { id, status, raw }
+ * @throws {ProviderError} If the checkout session was not paid
+ */
+const refund = async ({ reference, amount, reason }) => {
+  const session = sessions.get(reference);
+
+  if (session && session.status !== 'success') {
+    throw new ProviderError('Only successful transactions can be refunded.', {
+      code: 'PROVIDER_REJECTED',
+      provider: 'mock',
+    });
+  }
+
+  const raw = {
+    id: `MOCK-RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    transaction: reference,
+    amount,
+    reason: reason || null,
+    status: 'processed',
+  };
+
+  return {
+    id: raw.id,
+    status: raw.status,
+    raw,
+  };
+};
+
+/**
+ * Parse Webhook
+ * 
+ * Verifies the x-mock-signature header and extracts the transaction update.
+ * Accepts the same { event, data: { reference, status } } shape as Paystack.
+ * 
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { valid, event } where event is null for events we do not track
+ * @throws {ValidationError} If the payload is not valid JSON
+ */
+const parseWebhook = (rawBody, headers) => {
+  const signature = String(headers['x-mock-signature'] || '');
+  const expected = signWebhookPayload(rawBody);
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { valid: false, event: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (parseError) {
+    throw new ValidationError('Invalid webhook payload.', { code: 'INVALID_WEBHOOK_PAYLOAD' });
+  }
+
+  const type = payload?.event;
+  const data = payload?.data;
+
+  // Events without a string type are ignored like unknown event types
+  if (typeof type !== 'string' || !type.startsWith('charge.') || !data?.reference) {
+    return { valid: true, event: null };
+  }
+
+  return {
+    valid: true,
+    event: {
+      type,
+      reference: data.reference,
+      status: ['success', 'failed'].includes(data.status) ? data.status : 'pending',
+      details: {
+        channel: 'mock',
+        currency: 'NGN',
+        paidAt: data.paidAt ? new Date(data.paidAt) : null,
+        gatewayResponse: data.gatewayResponse || null,
+      },
+      raw: data,
+    },
+  };
+};
+
+/**
+ * Get Checkout Session
+ * 
+ * @param {string} reference - Transaction reference
+ * @returns {Object|null} Copy of the session, or null if unknown
+ */
+const getSession = (reference) => {
+  const session = sessions.get(reference);
+  return session ? { ...session } : null;
+};
+
+/**
+ * Complete Checkout
+ * 
+ * Records the payer's choice on the simulated checkout page. Only pending
+ * sessions can be completed.
+ * 
+ * @param {string} reference - Transaction reference
+ * @param {string} outcome - 'success' or 'failed'
+ * @returns {Object|null} Updated copy of the session, or null if unknown
+ */
+const completeCheckout = (reference, outcome) => {
+  const session = sessions.get(reference);
+
+  if (!session) {
+    return null;
+  }
+
+  if (session.status === 'pending') {
+    session.status = outcome === 'success' ? 'success' : 'failed';
+    session.paidAt = session.status === 'success' ? new Date().toISOString() : null;
+  }
+
+  return { ...session };
+};
+
+module.exports = {
+  name: 'mock',
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  getSession,
+  completeCheckout,
+  signWebhookPayload,
+};
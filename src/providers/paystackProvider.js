@@ -0,0 +1,221 @@
+const {
+  initializeTransaction,
+  verifyTransaction,
+  createRefund,
+  verifyWebhookSignature,
+} = require('../utils/paystack');
+const { ValidationError, ProviderError } = require('../utils/errors');
+const { getRequestId } = require('../utils/logger');
+
+/**
+ * Paystack Payment Provider
+ * 
+ * Adapts the Paystack API client in utils/paystack.js to the payment provider
+ * interface described in providers/index.js.
+ */
+
+/**
+ * Map Paystack Status
+ * 
+ * Translates a Paystack transaction status into a Transaction status.
+ * 
+ * @param {string} paystackStatus - Status reported by Paystack
+ * @returns {string} One of pending, success, failed
+ */
+const mapStatus = (paystackStatus) => {
+  if (paystackStatus === 'success') {
+    return 'success';
+  }
+  if (paystackStatus === 'failed' || paystackStatus === 'reversed') {
+    return 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Normalize Details
+ * 
+ * Picks the payment details we store on a Transaction out of Paystack
+ * transaction data (verify response or charge webhook).
+ * 
+ * @param {Object} data - Paystack transaction data
+ * @returns {Object} { channel, currency, paidAt, fees, gatewayResponse, customerCode, card }
+ */
+const normalizeDetails = (data) => {
+  const authorization = data.authorization || {};
+  const paidAt = data.paid_at || data.paidAt;
+
+  return {
+    channel: data.channel || null,
+    currency: data.currency || null,
+    paidAt: paidAt ? new Date(paidAt) : null,
+    fees: typeof data.fees === 'number' ? data.fees : null,
+    gatewayResponse: data.gateway_response || null,
+    customerCode: data.customer?.customer_code || null,
+    card: {
+      brand: authorization.brand || authorization.card_type || null,
+      last4: authorization.last4 || null,
+      bank: authorization.bank || null,
+    },
+  };
+};
+
+/**
+ * Rejected
+ * 
+ * Creates the error for a Paystack response that does not report success.
+ * 
+ * @param {Object} response - Paystack response body
+ * @param {string} fallbackMessage - Message if Paystack did not send one
+ * @returns {ProviderError} With code PROVIDER_REJECTED
+ */
+const rejected = (response, fallbackMessage) => {
+  return new ProviderError(response.message || fallbackMessage, {
+    code: 'PROVIDER_REJECTED',
+    provider: 'paystack',
+    requestId: getRequestId(),
+  });
+};
+
+/**
+ * Initialize Payment
+ * 
+ * @param {Object} paymentData - { amount, email, reference, callbackUrl }
+ * @returns {Promise<Object>} { authorizationUrl, accessCode, reference, raw }
+ * @throws {ProviderError} If Paystack rejects the request
+ */
+const initialize = async ({ amount, email, reference, callbackUrl }) => {
+  const response = await initializeTransaction({
+    amount,
+    email,
+    reference,
+    callback_url: callbackUrl,
+  });
+
+  if (response.status !== true || !response.data) {
+    throw rejected(response, 'Failed to initialize payment');
+  }
+
+  return {
+    authorizationUrl: response.data.authorization_url,
+    accessCode: response.data.access_code,
+    reference: response.data.reference || reference,
+    raw: response.data,
+  };
+};
+
+/**
+ * Verify Payment
+ * 
+ * @param {string} reference - Transaction reference
+ * @returns {Promise<Object>} { status, providerStatus, details, raw }
+ * @throws {ProviderError} If Paystack rejects the request
+ */
+const verify = async (reference) => {
+  const response = await verifyTransaction(reference);
+
+  if (response.status !== true || !response.data) {
+    throw rejected(response, 'Failed to verify transaction');
+  }
+
+  return {
+    status: mapStatus(response.data.status),
+    providerStatus: response.data.status,
+    details: normalizeDetails(response.data),
+    raw: response.data,
+  };
+};
+
+/**
+ * Refund Payment
+ * 
+ * @param {Object} refundData - { reference, amount, reason }
+ * @returns {Promise<Object>} { id, status, raw }
+ * @throws {ProviderError} If Paystack rejects the request
+ */
+const refund = async ({ reference, amount, reason }) => {
+  const response = await createRefund({ reference, amount, reason });
+
+  if (response.status !== true || !response.data) {
+    throw rejected(response, 'Failed to create refund');
+  }
+
+  return {
+    id: response.data.id ? String(response.data.id) : null,
+    status: response.data.status || 'pending',
+    raw: response.data,
+  };
+};
+
+/**
+ * Parse Webhook
+ * 
+ * Verifies the x-paystack-signature header and extracts the transaction
+ * update (charge.* events) or refund update (refund.* events).
+ * 
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { valid, event } where event is null for events we do not track
+ * @throws {ValidationError} If the payload is not valid JSON
+ */
+const parseWebhook = (rawBody, headers) => {
+  if (!verifyWebhookSignature(rawBody, headers['x-paystack-signature'])) {
+    return { valid: false, event: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (parseError) {
+    throw new ValidationError('Invalid webhook payload.', { code: 'INVALID_WEBHOOK_PAYLOAD' });
+  }
+
+  const type = payload?.event;
+  const data = payload?.data;
+
+  // Events without a string type are ignored like unknown event types
+  if (typeof type !== 'string') {
+    return { valid: true, event: null };
+  }
+
+  // Refund events name the transaction by transaction_reference
+  if (type.startsWith('refund.') && data?.transaction_reference) {
+    return {
+      valid: true,
+      event: {
+        type,
+        reference: data.transaction_reference,
+        refund: {
+          id: data.id ? String(data.id) : null,
+          amount: Number(data.amount),
+          status: data.status || type.slice('refund.'.length),
+        },
+        raw: data,
+      },
+    };
+  }
+
+  // Only charge events carry a transaction status we track
+  if (!type.startsWith('charge.') || !data?.reference) {
+    return { valid: true, event: null };
+  }
+
+  return {
+    valid: true,
+    event: {
+      type,
+      reference: data.reference,
+      status: mapStatus(data.status),
+      details: normalizeDetails(data),
+      raw: data,
+    },
+  };
+};
+
+module.exports = {
+  name: 'paystack',
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+};
@@ -0,0 +1,63 @@
+const memoryStore = require('./memoryStore');
+const mongoStore = require('./mongoStore');
+
+/**
+ * Rate Limit Store Registry
+ * 
+ * The rate limit middleware keeps its counters in one of these stores,
+ * chosen by configuration. Every store exposes:
+ * 
+ *   - name: string identifier
+ *   - increment(key, expiresAt) → Promise<number> (count after this request)
+ *   - get(key) → Promise<number>
+ * 
+ * Environment:
+ *   RATE_LIMIT_STORE - Counter store: memory (default) or mongo
+ */
+const stores = {
+  [memoryStore.name]: memoryStore,
+  [mongoStore.name]: mongoStore,
+};
+
+/**
+ * Get Default Store Name
+ * 
+ * @returns {string} Name of the configured counter store
+ */
+const getDefaultStoreName = () => {
+  return (process.env.RATE_LIMIT_STORE?.trim() || memoryStore.name).toLowerCase();
+};
+
+/**
+ * Get Rate Limit Store
+ * 
+ * @param {string} [name] - Store name (defaults to RATE_LIMIT_STORE)
+ * @returns {Object} Counter store
+ * @throws {Error} If the store is not registered
+ */
+const getRateLimitStore = (name) => {
+  const storeName = name || getDefaultStoreName();
+  const store = stores[storeName];
+
+  if (!store) {
+    throw new Error(`Unknown rate limit store: ${storeName}. Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return store;
+};
+
+/**
+ * Is Store Registered
+ * 
+ * @param {string} name - Store name
+ * @returns {boolean} True if a store with this name exists
+ */
+const isStoreRegistered = (name) => {
+  return Object.prototype.hasOwnProperty.call(stores, name);
+};
+
+module.exports = {
+  getRateLimitStore,
+  getDefaultStoreName,
+  isStoreRegistered,
+};
@@ -0,0 +1,74 @@
+/**
+ * In-Memory Rate Limit Store
+ * 
+ * Keeps request counters in process memory. Fast and dependency-free, but
+ * each process counts separately, so use the MongoDB store when running more
+ * than one instance.
+ */
+
+// Expired counters are swept at this interval
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters keyed by counter key: { count, expiresAt }
+const counters = new Map();
+
+let sweepTimer = null;
+
+/**
+ * Start Sweeper
+ * 
+ * Periodically drops expired counters so clients that never come back do not
+ * keep using memory. The timer does not keep the process alive.
+ */
+const startSweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+};
+
+/**
+ * Increment
+ * 
+ * @param {string} key - Counter key
+ * @param {Date} expiresAt - When the counter can be forgotten
+ * @returns {Promise<number>} Count after this request
+ */
+const increment = async (key, expiresAt) => {
+  startSweeper();
+
+  const counter = counters.get(key);
+  if (counter && counter.expiresAt > Date.now()) {
+    counter.count += 1;
+    return counter.count;
+  }
+
+  counters.set(key, { count: 1, expiresAt: expiresAt.getTime() });
+  return 1;
+};
+
+/**
+ * Get Count
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<number>} Current count (0 if missing or expired)
+ */
+const get = async (key) => {
+  const counter = counters.get(key);
+  return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+};
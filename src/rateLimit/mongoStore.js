@@ -0,0 +1,49 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * MongoDB Rate Limit Store
+ * 
+ * Keeps request counters in the RateLimitCounter collection, so every API
+ * instance enforces the same limits. Counters are removed by the TTL index
+ * once their window is over.
+ */
+
+/**
+ * Increment
+ * 
+ * @param {string} key - Counter key
+ * @param {Date} expiresAt - When the counter can be forgotten
+ * @returns {Promise<number>} Count after this request
+ */
+const increment = async (key, expiresAt) => {
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+
+  try {
+    const counter = await RateLimitCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    return counter.count;
+  } catch (error) {
+    // Two first requests raced to create the counter; the other one won
+    if (error.code === 11000) {
+      const counter = await RateLimitCounter.findOneAndUpdate({ key }, update, { new: true });
+      return counter.count;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get Count
+ * 
+ * @param {string} key - Counter key
+ * @returns {Promise<number>} Current count (0 if missing)
+ */
+const get = async (key) => {
+  const counter = await RateLimitCounter.findOne({ key }).select('count').lean();
+  return counter ? counter.count : 0;
+};
+
+module.exports = {
+  name: 'mongo',
+  increment,
+  get,
+};
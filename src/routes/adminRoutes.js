@@ -0,0 +1,463 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  unlockUser,
+} = require('../controllers/adminController');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { rejectApiKey } = require('../middleware/apiKeyScope');
+const validate = require('../middleware/validate');
+const { updateUserRoleRules, suspendUserRules } = require('../validators/adminValidators');
+
+/**
+ * Admin Routes
+ * 
+ * Handles administrative endpoints. Every route requires the users:manage
+ * permission (admin role).
+ * 
+ * Base path: /api/admin
+ */
+router.use(authMiddleware, rejectApiKey, requirePermission('users:manage'));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users (Admin only)
+ *     description: Lists users newest first, one page at a time. Filter by a search string, role or account status. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserSearchParam'
+ *       - $ref: '#/components/parameters/RoleFilter'
+ *       - $ref: '#/components/parameters/AccountStatusFilter'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   description: Users on this page
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   description: Users matching the filters
+ *                   example: 137
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as cursor to get the next page (null on the last page)
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid filter or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/users', listUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get user details (Admin only)
+ *     description: Returns the user with their transaction totals and login lockout status. Successful totals include payments that were later refunded. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     transactions:
+ *                       type: object
+ *                       properties:
+ *                         count:
+ *                           type: integer
+ *                           example: 12
+ *                         successfulCount:
+ *                           type: integer
+ *                           example: 9
+ *                         successfulAmount:
+ *                           type: integer
+ *                           description: Amount in kobo
+ *                           example: 4500000
+ *                         byStatus:
+ *                           type: object
+ *                           description: Count and amount (kobo) per transaction status
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               count:
+ *                                 type: integer
+ *                               amount:
+ *                                 type: integer
+ *                           example:
+ *                             success: { count: 9, amount: 4500000 }
+ *                             failed: { count: 3, amount: 150000 }
+ *                     lockout:
+ *                       type: object
+ *                       properties:
+ *                         locked:
+ *                           type: boolean
+ *                           example: false
+ *                         failures:
+ *                           type: integer
+ *                           example: 0
+ *                         lockedUntil:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/users/:id', getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Change user role (Admin only)
+ *     description: Changes the user's role. The new permissions apply from the user's next request. Admins cannot change their own role. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, support, finance, admin]
+ *                 example: support
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Role changed to support
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID or role, or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/users/:id/role', validate(updateUserRoleRules), updateUserRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend user account (Admin only)
+ *     description: Blocks the user from the API. All their sessions are revoked, and their access tokens and API keys are refused with 403 from the next request on. Admins cannot suspend themselves. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Chargeback investigation
+ *     responses:
+ *       200:
+ *         description: Account suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User suspended
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID or reason, or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is already suspended (code ALREADY_SUSPENDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/users/:id/suspend', validate(suspendUserRules), suspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate suspended user account (Admin only)
+ *     description: Lifts a suspension. The user has to log in again, since their sessions were revoked on suspension. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User reactivated
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is not suspended (code NOT_SUSPENDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/users/:id/reactivate', reactivateUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock user account (Admin only)
+ *     description: Clears the user's failed login attempts and any lockout caused by them, so the user can log in again immediately. Requires the `users:manage` permission (admin role).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Account unlocked
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                           example: 507f1f77bcf86cd799439011
+ *                         email:
+ *                           type: string
+ *                           example: john@example.com
+ *                     wasLocked:
+ *                       type: boolean
+ *                       example: true
+ *                     failures:
+ *                       type: integer
+ *                       description: Failed attempts that were cleared
+ *                       example: 5
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/users/:id/unlock', unlockUser);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const { createApiKey, listApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { rejectApiKey } = require('../middleware/apiKeyScope');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { createApiKeyRules } = require('../validators/apiKeyValidators');
+
+/**
+ * API Key Routes
+ * 
+ * Handles API key management. Keys are managed from a login session only,
+ * so a leaked key cannot be used to create more keys.
+ * 
+ * Base path: /api/api-keys
+ */
+router.use(authMiddleware, rejectApiKey, apiRateLimit, requirePermission('apiKeys:manage:own'));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create API key
+ *     description: Creates an API key for server-to-server calls on behalf of the authenticated user. The key is returned only in this response and is stored hashed. Send it as `X-API-Key` or as a Bearer token.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label for the key
+ *                 example: Checkout service
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ApiKeyScope'
+ *                 example: [payments:write, transactions:read]
+ *               expiresInDays:
+ *                 type: number
+ *                 description: Days until the key expires (omit for a key that never expires)
+ *                 exclusiveMinimum: true
+ *                 minimum: 0
+ *                 maximum: 3650
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API key created. Copy it now; it will not be shown again.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKey:
+ *                       type: string
+ *                       description: The API key (shown only once)
+ *                       example: stx_1a2b3c4d_Jm0tX1bWc3Rk8yqz5Vv2Lr9Hs6Ne4Pa7Gd1Fo3Ku8Ti
+ *                     key:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Missing name, missing or unknown scopes, or invalid expiry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Called with an API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List API keys
+ *     description: Lists the authenticated user's API keys, newest first, including revoked and expired ones. Keys themselves are never returned, only their prefix.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', validate(createApiKeyRules), createApiKey);
+router.get('/', listApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke API key
+ *     description: Revokes an API key immediately. Users can revoke their own keys; admins can revoke any key.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API key revoked
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid API key ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
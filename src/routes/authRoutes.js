@@ -1,14 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  getMe,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+} = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/auth');
+const { authRateLimit, apiRateLimit } = require('../middleware/rateLimit');
+const { rejectApiKey } = require('../middleware/apiKeyScope');
+const validate = require('../middleware/validate');
+const {
+  registerRules,
+  loginRules,
+  verifyTwoFactorLoginRules,
+  confirmTwoFactorRules,
+  disableTwoFactorRules,
+  refreshTokenRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  verifyEmailRules,
+  noBodyRules,
+} = require('../validators/authValidators');
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Creates a new user account and returns a JWT token for authentication
+ *     description: Creates a new user account and returns a short-lived access token and a refresh token
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -54,8 +85,12 @@ const authMiddleware = require('../middleware/auth');
  *                   example: User registered successfully
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for /api/auth/refresh
+ *                   example: 3q2-7wH0n8J5v1Kc0S1m6h2yO8Zr4Qf...
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
@@ -68,8 +103,12 @@ const authMiddleware = require('../middleware/auth');
  *               success: false
  *               message: Validation error
  *               errors:
- *                 email: Please provide a valid email address
- *                 password: Password must be at least 6 characters
+ *                 - field: email
+ *                   message: email must be a valid email address.
+ *                   code: invalid_email
+ *                 - field: password
+ *                   message: password must be at least 6 characters.
+ *                   code: too_short
  *       409:
  *         description: Email already registered
  *         content:
@@ -79,15 +118,17 @@ const authMiddleware = require('../middleware/auth');
  *             example:
  *               success: false
  *               message: Email already registered. Please use a different email or login.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/register', register);
+router.post('/register', authRateLimit, validate(registerRules), register);
 
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login user
- *     description: Authenticates a user and returns a JWT token
+ *     description: Authenticates a user and returns a short-lived access token and a refresh token. Users with two-factor authentication instead get `mfaRequired` and an `mfaToken` to exchange at /api/auth/2fa/verify. Failed attempts are counted per account and per IP; retries are delayed (429) and the account is locked (423) after too many failures.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -125,10 +166,23 @@ router.post('/register', register);
  *                   example: Login successful
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for /api/auth/refresh
+ *                   example: 3q2-7wH0n8J5v1Kc0S1m6h2yO8Zr4Qf...
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Present for admins without 2FA when REQUIRE_ADMIN_2FA is on
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: True for users with 2FA; no tokens are returned, exchange mfaToken at /api/auth/2fa/verify
+ *                 mfaToken:
+ *                   type: string
+ *                   description: Short-lived MFA challenge token (only with mfaRequired)
  *       400:
  *         description: Missing email or password
  *         content:
@@ -137,7 +191,11 @@ router.post('/register', register);
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Please provide email and password.
+ *               message: Validation error
+ *               errors:
+ *                 - field: password
+ *                   message: password is required.
+ *                   code: required
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -147,8 +205,568 @@ router.post('/register', register);
  *             example:
  *               success: false
  *               message: Invalid email or password.
+ *       403:
+ *         description: Account suspended by an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lockout ends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginBlocked'
+ *       429:
+ *         description: Retried too soon after a failed attempt, too many failures from this IP, or rate limit exceeded
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginBlocked'
+ */
+router.post('/login', authRateLimit, validate(loginRules), login);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Second login step for users with two-factor authentication. Exchanges the mfaToken from login and a TOTP code (or an unused recovery code) for an access token and refresh token.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: MFA challenge token from login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or a recovery code
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful (same body as /api/auth/login)
+ *       400:
+ *         description: Missing mfaToken or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or expired MFA challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account suspended by an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lockout ends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginBlocked'
+ *       429:
+ *         description: Retried too soon after a failed attempt, too many failures from this IP, or rate limit exceeded
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginBlocked'
+ */
+router.post('/2fa/verify', authRateLimit, validate(verifyTwoFactorLoginRules), verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret and provisioning URI for the authenticated user. 2FA is not active until confirmed with a code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: Provisioning URI to show as a QR code
+ *                       example: otpauth://totp/Secure%20Transactions%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Secure%20Transactions&algorithm=SHA1&digits=6&period=30
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Two-factor authentication is already enabled (TWO_FACTOR_ALREADY_ENABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/2fa/setup', authMiddleware, rejectApiKey, authRateLimit, validate(noBodyRules), setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enables two-factor authentication after checking a code from the authenticator app, and returns one-time recovery codes (shown only once). Other sessions of the user are signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [a1b2c-3d4e5, f6a7b-8c9d0]
+ *       400:
+ *         description: Missing or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Setup not started (TWO_FACTOR_SETUP_REQUIRED) or already enabled (TWO_FACTOR_ALREADY_ENABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  '/2fa/confirm',
+  authMiddleware,
+  rejectApiKey,
+  authRateLimit,
+  validate(confirmTwoFactorRules),
+  confirmTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turns two-factor authentication off after checking the password and a current TOTP or recovery code. Not allowed for admins while REQUIRE_ADMIN_2FA is on.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admins must keep 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Two-factor authentication is not enabled (TWO_FACTOR_NOT_ENABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  '/2fa/disable',
+  authMiddleware,
+  rejectApiKey,
+  authRateLimit,
+  validate(disableTwoFactorRules),
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new access token and refresh token. Each refresh token works once; presenting one that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token from login, register or the previous refresh
+ *     responses:
+ *       200:
+ *         description: Token refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed
+ *                 token:
+ *                   type: string
+ *                   description: New JWT access token
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token (replaces the one sent)
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid or expired refresh token. Please login again.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/refresh', apiRateLimit, validate(refreshTokenRules), refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Revokes the session the refresh token belongs to. Its refresh tokens and access tokens stop working immediately.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Current refresh token of the session
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/logout', apiRateLimit, validate(refreshTokenRules), logout);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Emails a single-use password reset token to the user. The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *             example:
+ *               success: true
+ *               message: If an account exists for this email, a password reset link has been sent.
+ *       400:
+ *         description: Missing email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/forgot-password', authRateLimit, validate(forgotPasswordRules), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Sets a new password using the token from the reset email. The token works once, and all existing sessions of the user are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the password reset email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: New password (minimum 6 characters)
+ *                 example: newPassword123
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing fields, password too short, or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid or expired password reset token.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/reset-password', authRateLimit, validate(resetPasswordRules), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Marks the user's email as verified using the token from the verification email sent at registration.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing, invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid or expired verification token.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/verify-email', authRateLimit, validate(verifyEmailRules), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Sends a new verification email to the authenticated user. Earlier verification tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - No token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email is already verified (EMAIL_ALREADY_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Email could not be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', login);
+router.post(
+  '/resend-verification',
+  authMiddleware,
+  rejectApiKey,
+  authRateLimit,
+  validate(noBodyRules),
+  resendVerification
+);
 
 /**
  * @swagger
@@ -187,7 +805,9 @@ router.post('/login', login);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.get('/me', authMiddleware, getMe);
+router.get('/me', authMiddleware, rejectApiKey, apiRateLimit, validate(noBodyRules), getMe);
 
 module.exports = router;
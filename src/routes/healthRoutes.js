@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { health, live, ready } = require('../controllers/healthController');
+
+/**
+ * Health Routes
+ * 
+ * Liveness and readiness probes. Public, without rate limits.
+ * 
+ * Base path: /health
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     description: Check if the server is running. Same as /health/live; kept for existing monitors. Does not check dependencies, use /health/ready for that.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Server is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Server is running
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2024-01-01T12:00:00.000Z
+ */
+router.get('/', health);
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers 200 as long as the process can handle requests. Does not check MongoDB or Paystack, so an outage of either does not get the process restarted.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 uptime:
+ *                   type: integer
+ *                   description: Seconds since the process started
+ *                   example: 3600
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2024-01-01T12:00:00.000Z
+ */
+router.get('/live', live);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: |
+ *       Answers 200 when this instance can serve traffic: startup has finished, the MongoDB
+ *       connection is open and the configuration is valid. With READINESS_CHECK_PAYSTACK=true
+ *       (and PAYMENT_PROVIDER=paystack), Paystack must also be reachable.
+ * 
+ *       Answers 503 while starting up (code SERVER_STARTING) or when a check is down (code NOT_READY).
+ * 
+ *       Each check only reports `up` or `down`. Check details (database state, configuration
+ *       errors, Paystack latency) are included when the request sends the metrics token
+ *       (`Authorization: Bearer <METRICS_TOKEN>`), and are logged whenever readiness changes.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Starting up or a dependency is down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *             example:
+ *               success: false
+ *               status: not_ready
+ *               message: Server is not ready to handle requests.
+ *               code: NOT_READY
+ *               checks:
+ *                 startup:
+ *                   status: up
+ *                 database:
+ *                   status: down
+ *                 config:
+ *                   status: up
+ *               timestamp: 2024-01-01T12:00:00.000Z
+ */
+router.get('/ready', ready);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const mockProvider = require('../providers/mockProvider');
+
+/**
+ * Mock Checkout Routes
+ * 
+ * Simulated hosted checkout page for the mock payment provider. Only mounted
+ * by app.js when PAYMENT_PROVIDER=mock. Not part of the public API, so these
+ * routes are not documented in Swagger.
+ * 
+ * Base path: /mock-checkout
+ */
+
+/**
+ * Escape HTML
+ * 
+ * Escapes a value for safe interpolation into the checkout page.
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Render Page
+ * 
+ * Wraps page content in a minimal HTML document.
+ */
+const renderPage = (title, body) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 420px; margin: 60px auto; }
+    button { padding: 10px 18px; margin-right: 8px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+};
+
+// Show the checkout page for a pending mock payment
+router.get('/:reference', (req, res) => {
+  const session = mockProvider.getSession(req.params.reference);
+
+  if (!session) {
+    return res.status(404).send(renderPage('Payment not found', '<p>Unknown payment reference.</p>'));
+  }
+
+  const action = `/mock-checkout/${encodeURIComponent(session.reference)}`;
+  const details = `
+  <p>Reference: <code>${escapeHtml(session.reference)}</code></p>
+  <p>Amount: ${escapeHtml(session.amount)} kobo</p>
+  <p>Email: ${escapeHtml(session.email)}</p>
+  <p>Status: <strong>${escapeHtml(session.status)}</strong></p>`;
+
+  if (session.status !== 'pending') {
+    return res.status(200).send(renderPage('Mock Checkout', details));
+  }
+
+  res.status(200).send(renderPage('Mock Checkout', `${details}
+  <form method="post" action="${action}">
+    <button type="submit" name="outcome" value="success">Pay successfully</button>
+    <button type="submit" name="outcome" value="failed">Fail payment</button>
+  </form>`));
+});
+
+// Record the payer's choice and return them to the merchant (or show the result)
+router.post('/:reference', (req, res) => {
+  const outcome = req.body?.outcome;
+
+  if (!['success', 'failed'].includes(outcome)) {
+    return res.status(400).send(renderPage('Invalid outcome', '<p>Outcome must be success or failed.</p>'));
+  }
+
+  const session = mockProvider.completeCheckout(req.params.reference, outcome);
+
+  if (!session) {
+    return res.status(404).send(renderPage('Payment not found', '<p>Unknown payment reference.</p>'));
+  }
+
+  if (session.callbackUrl) {
+    const separator = session.callbackUrl.includes('?') ? '&' : '?';
+    return res.redirect(`${session.callbackUrl}${separator}reference=${encodeURIComponent(session.reference)}`);
+  }
+
+  res.status(200).send(renderPage(
+    session.status === 'success' ? 'Payment successful' : 'Payment failed',
+    `<p>Reference: <code>${escapeHtml(session.reference)}</code></p>
+  <p>Call <code>GET /api/payments/verify/${escapeHtml(session.reference)}</code> to update the transaction.</p>`
+  ));
+});
+
+module.exports = router;
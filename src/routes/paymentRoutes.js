@@ -3,11 +3,33 @@ const router = express.Router();
 const {
   initiatePayment,
   verifyPayment,
+  handlePaymentWebhook,
+  refundPayment,
+  getTransactionPayloads,
   getMyTransactions,
   getAllTransactions,
+  exportMyTransactions,
+  exportTransactions,
+  getAnalytics,
 } = require('../controllers/paymentController');
 const authMiddleware = require('../middleware/auth');
-const roleMiddleware = require('../middleware/role');
+const requirePermission = require('../middleware/permission');
+const idempotencyMiddleware = require('../middleware/idempotency');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+const { apiRateLimit, paymentRateLimit } = require('../middleware/rateLimit');
+const { requireScope } = require('../middleware/apiKeyScope');
+const validate = require('../middleware/validate');
+const {
+  initiatePaymentRules,
+  verifyPaymentRules,
+  myTransactionsRules,
+  myTransactionsExportRules,
+  allTransactionsRules,
+  transactionsExportRules,
+  analyticsRules,
+  refundPaymentRules,
+  transactionPayloadsRules,
+} = require('../validators/paymentValidators');
 
 /**
  * Payment Routes
@@ -17,18 +39,153 @@ const roleMiddleware = require('../middleware/role');
  * Base path: /api/payments
  */
 
-// All payment routes require authentication
-router.use(authMiddleware);
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Paystack webhook
+ *     description: |
+ *       Receives event notifications from Paystack and updates the matching transaction.
+ *       The request must carry an `x-paystack-signature` header containing the HMAC-SHA512
+ *       of the raw body signed with the Paystack secret key. Events are processed idempotently,
+ *       so replayed or out-of-order deliveries never move a transaction backwards.
+ * 
+ *       `refund.*` events (data carries `transaction_reference`) update the matching refund.
+ *       A failed refund moves the transaction back to `partially_refunded` or `success`.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: x-paystack-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA512 signature of the raw request body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: charge.success
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                     example: PAY-1704110400000-ABC123
+ *                   status:
+ *                     type: string
+ *                     example: success
+ *     responses:
+ *       200:
+ *         description: Event acknowledged (processed or ignored)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Payload is not valid JSON
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error (Paystack will retry)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Webhooks are authenticated by signature, so they are registered before authMiddleware
+router.post('/webhook', handlePaymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment provider webhook
+ *     description: |
+ *       Provider-specific webhook endpoint. Each provider checks its own signature header
+ *       (`x-paystack-signature` for Paystack, `x-mock-signature` for the mock provider).
+ *       Processing is idempotent, as for `/api/payments/webhook`.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paystack, mock]
+ *         description: Payment provider that sent the event
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event acknowledged (processed or ignored)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Payload is not valid JSON
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown payment provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+// All other payment routes require authentication and are rate limited per user
+router.use(authMiddleware, apiRateLimit);
 
 /**
  * @swagger
  * /api/payments/initiate:
  *   post:
  *     summary: Initialize payment
- *     description: Creates a new payment transaction and returns Paystack authorization URL
+ *     description: |
+ *       Creates a new payment transaction and returns the payment provider's hosted checkout URL.
+ *       Send an `Idempotency-Key` header to make retries safe: repeating a request with the
+ *       same key and body returns the saved response instead of creating a second transaction.
+ *       API keys need the `payments:write` scope.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique client-generated key for this payment attempt (kept for 24 hours by default)
+ *         example: 3f6c2a8e-1b7d-4e0a-9c55-2d1e8f7a6b90
  *     requestBody:
  *       required: true
  *       content:
@@ -68,7 +225,7 @@ router.use(authMiddleware);
  *                     authorization_url:
  *                       type: string
  *                       format: uri
- *                       description: Paystack payment URL
+ *                       description: Hosted checkout URL (Paystack, or the mock checkout page)
  *                       example: https://checkout.paystack.com/xxxxx
  *                     reference:
  *                       type: string
@@ -80,6 +237,10 @@ router.use(authMiddleware);
  *                     access_code:
  *                       type: string
  *                       example: xxxxx
+ *                     provider:
+ *                       type: string
+ *                       description: Payment provider handling the transaction
+ *                       example: paystack
  *       400:
  *         description: Invalid amount or validation error
  *         content:
@@ -88,7 +249,11 @@ router.use(authMiddleware);
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Please provide a valid amount (minimum 1 kobo).
+ *               message: Validation error
+ *               errors:
+ *                 - field: amount
+ *                   message: amount must be a whole number of kobo.
+ *                   code: invalid_integer
  *       401:
  *         description: Unauthorized - Authentication required
  *         content:
@@ -96,32 +261,53 @@ router.use(authMiddleware);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Insufficient permissions
+ *         description: Forbidden - Insufficient permissions, or email not verified (when REQUIRE_EMAIL_VERIFICATION is on)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Paystack API error or server error
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: Failed to initialize payment with Paystack
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *       502:
+ *         $ref: '#/components/responses/ProviderError'
+ *       503:
+ *         $ref: '#/components/responses/ProviderError'
  */
-router.post('/initiate', roleMiddleware('user', 'admin'), initiatePayment);
+router.post(
+  '/initiate',
+  requirePermission('payments:create'),
+  requireScope('payments:write'),
+  paymentRateLimit,
+  requireVerifiedEmail,
+  validate(initiatePaymentRules),
+  idempotencyMiddleware,
+  initiatePayment
+);
 
 /**
  * @swagger
  * /api/payments/verify/{reference}:
  *   get:
  *     summary: Verify payment
- *     description: Verifies a payment transaction with Paystack and updates transaction status
+ *     description: Verifies a payment transaction with Paystack and updates transaction status. Requires the `payments:create` permission, plus `transactions:verify:all` for other users' transactions. API keys need the `payments:write` scope.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: reference
@@ -151,13 +337,19 @@ router.post('/initiate', roleMiddleware('user', 'admin'), initiatePayment);
  *                       $ref: '#/components/schemas/Transaction'
  *                     status:
  *                       type: string
- *                       enum: [pending, success, failed]
+ *                       enum: [pending, success, failed, abandoned, partially_refunded, refunded]
+ *                       example: success
+ *                     providerStatus:
+ *                       type: string
+ *                       description: Raw status reported by the payment provider
  *                       example: success
  *                     paystackStatus:
  *                       type: string
+ *                       deprecated: true
+ *                       description: Same as providerStatus
  *                       example: success
  *       400:
- *         description: Missing reference or Paystack verification failed
+ *         description: Invalid reference
  *         content:
  *           application/json:
  *             schema:
@@ -181,23 +373,40 @@ router.post('/initiate', roleMiddleware('user', 'admin'), initiatePayment);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Paystack API error or server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ServerError'
+ *       502:
+ *         $ref: '#/components/responses/ProviderError'
+ *       503:
+ *         $ref: '#/components/responses/ProviderError'
  */
-router.get('/verify/:reference', roleMiddleware('user', 'admin'), verifyPayment);
+router.get(
+  '/verify/:reference',
+  requirePermission('payments:create'),
+  requireScope('payments:write'),
+  validate(verifyPaymentRules),
+  verifyPayment
+);
 
 /**
  * @swagger
  * /api/payments/my-transactions:
  *   get:
  *     summary: Get my transactions
- *     description: Retrieves all transactions for the authenticated user
+ *     description: Retrieves the authenticated user's transactions with cursor-based pagination, filters and sorting. API keys need the `transactions:read` scope.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/MinAmountFilter'
+ *       - $ref: '#/components/parameters/MaxAmountFilter'
+ *       - $ref: '#/components/parameters/FromFilter'
+ *       - $ref: '#/components/parameters/ToFilter'
+ *       - $ref: '#/components/parameters/ReferencePrefixFilter'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: Transactions retrieved successfully
@@ -211,8 +420,17 @@ router.get('/verify/:reference', roleMiddleware('user', 'admin'), verifyPayment)
  *                   example: true
  *                 count:
  *                   type: number
- *                   description: Number of transactions
- *                   example: 5
+ *                   description: Number of transactions in this page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: Number of transactions matching the filters
+ *                   example: 42
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *                   example: eyJmIjoiY3JlYXRlZEF0IiwiZCI6LTEsInYiOiIyMDI0LTAxLTAxVDEyOjAwOjAwLjAwMFoiLCJpZCI6IjY1OTJjIn0
  *                 data:
  *                   type: object
  *                   properties:
@@ -220,6 +438,63 @@ router.get('/verify/:reference', roleMiddleware('user', 'admin'), verifyPayment)
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Invalid filter, sort, limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/my-transactions',
+  requirePermission('transactions:read:own'),
+  requireScope('transactions:read'),
+  validate(myTransactionsRules),
+  getMyTransactions
+);
+
+/**
+ * @swagger
+ * /api/payments/my-transactions/export:
+ *   get:
+ *     summary: Export user transactions
+ *     description: Downloads the authenticated user's transactions as CSV or XLSX, using the same filters and sort as /my-transactions. Amounts are in major units (e.g. Naira). The file is streamed, so it is not paginated. API keys need the `transactions:read` scope.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormatParam'
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/MinAmountFilter'
+ *       - $ref: '#/components/parameters/MaxAmountFilter'
+ *       - $ref: '#/components/parameters/FromFilter'
+ *       - $ref: '#/components/parameters/ToFilter'
+ *       - $ref: '#/components/parameters/ReferencePrefixFilter'
+ *       - $ref: '#/components/parameters/SortParam'
+ *     responses:
+ *       200:
+ *         description: Export file download (Content-Disposition attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, filter or sort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - Authentication required
  *         content:
@@ -227,17 +502,35 @@ router.get('/verify/:reference', roleMiddleware('user', 'admin'), verifyPayment)
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/my-transactions', roleMiddleware('user', 'admin'), getMyTransactions);
+router.get(
+  '/my-transactions/export',
+  requirePermission('transactions:read:own'),
+  requireScope('transactions:read'),
+  validate(myTransactionsExportRules),
+  exportMyTransactions
+);
 
 /**
  * @swagger
  * /api/payments/all:
  *   get:
- *     summary: Get all transactions (Admin only)
- *     description: Retrieves all transactions in the system. Requires admin role.
+ *     summary: Get all transactions (Staff only)
+ *     description: Retrieves transactions across all users with cursor-based pagination, filters and sorting. Requires the `transactions:read:all` permission (support, finance and admin roles). API keys need the `transactions:read` scope.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/MinAmountFilter'
+ *       - $ref: '#/components/parameters/MaxAmountFilter'
+ *       - $ref: '#/components/parameters/FromFilter'
+ *       - $ref: '#/components/parameters/ToFilter'
+ *       - $ref: '#/components/parameters/ReferencePrefixFilter'
+ *       - $ref: '#/components/parameters/UserFilter'
+ *       - $ref: '#/components/parameters/SortParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *     responses:
  *       200:
  *         description: All transactions retrieved successfully
@@ -251,8 +544,17 @@ router.get('/my-transactions', roleMiddleware('user', 'admin'), getMyTransaction
  *                   example: true
  *                 count:
  *                   type: number
- *                   description: Total number of transactions
- *                   example: 25
+ *                   description: Number of transactions in this page
+ *                   example: 20
+ *                 total:
+ *                   type: number
+ *                   description: Number of transactions matching the filters
+ *                   example: 1250
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *                   example: eyJmIjoiY3JlYXRlZEF0IiwiZCI6LTEsInYiOiIyMDI0LTAxLTAxVDEyOjAwOjAwLjAwMFoiLCJpZCI6IjY1OTJjIn0
  *                 data:
  *                   type: object
  *                   properties:
@@ -265,6 +567,70 @@ router.get('/my-transactions', roleMiddleware('user', 'admin'), getMyTransaction
  *                             properties:
  *                               user:
  *                                 $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid filter, sort, limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - transactions:read:all permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/all',
+  requirePermission('transactions:read:all'),
+  requireScope('transactions:read'),
+  validate(allTransactionsRules),
+  getAllTransactions
+);
+
+/**
+ * @swagger
+ * /api/payments/export:
+ *   get:
+ *     summary: Export all transactions (Finance and admin only)
+ *     description: Downloads transactions across all users as CSV or XLSX with customer name and email, using the same filters and sort as /all. Amounts are in major units (e.g. Naira). The file is streamed, so it is not paginated. Requires the `transactions:export:all` permission (finance and admin roles). API keys need the `transactions:read` scope.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormatParam'
+ *       - $ref: '#/components/parameters/StatusFilter'
+ *       - $ref: '#/components/parameters/MinAmountFilter'
+ *       - $ref: '#/components/parameters/MaxAmountFilter'
+ *       - $ref: '#/components/parameters/FromFilter'
+ *       - $ref: '#/components/parameters/ToFilter'
+ *       - $ref: '#/components/parameters/ReferencePrefixFilter'
+ *       - $ref: '#/components/parameters/UserFilter'
+ *       - $ref: '#/components/parameters/SortParam'
+ *     responses:
+ *       200:
+ *         description: Export file download (Content-Disposition attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, filter or sort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - Authentication required
  *         content:
@@ -272,12 +638,339 @@ router.get('/my-transactions', roleMiddleware('user', 'admin'), getMyTransaction
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Forbidden - transactions:export:all permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/export',
+  requirePermission('transactions:export:all'),
+  requireScope('transactions:read'),
+  validate(transactionsExportRules),
+  exportTransactions
+);
+
+/**
+ * @swagger
+ * /api/payments/analytics:
+ *   get:
+ *     summary: Get revenue and success-rate analytics (Finance and admin only)
+ *     description: Summarizes transaction volume, success/failure/abandoned rates, average ticket size and top payers over a date range, grouped by day, week or month (UTC). Amounts are in kobo and rates are fractions between 0 and 1. Requires the `analytics:read` permission (finance and admin roles). API keys need the `transactions:read` scope.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (default 30 days before `to`)
+ *         example: '2024-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (default now)
+ *         example: '2024-01-31T23:59:59Z'
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Timeline period; weeks are ISO weeks (e.g. 2024-W05)
+ *       - in: query
+ *         name: breakdown
+ *         schema:
+ *           type: string
+ *         description: Comma-separated extra breakdowns (currency, channel)
+ *         example: currency,channel
+ *       - in: query
+ *         name: topPayers
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Number of top payers to return
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                         groupBy:
+ *                           type: string
+ *                           example: day
+ *                     summary:
+ *                       $ref: '#/components/schemas/AnalyticsSummary'
+ *                     timeline:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               period:
+ *                                 type: string
+ *                                 example: '2024-01-15'
+ *                           - $ref: '#/components/schemas/AnalyticsSummary'
+ *                     topPayers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                           successfulVolume:
+ *                             type: number
+ *                             example: 250000
+ *                           successfulCount:
+ *                             type: number
+ *                             example: 12
+ *                     breakdowns:
+ *                       type: object
+ *                       description: Present keys match the requested breakdowns
+ *                       properties:
+ *                         currency:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - type: object
+ *                                 properties:
+ *                                   currency:
+ *                                     type: string
+ *                                     example: NGN
+ *                               - $ref: '#/components/schemas/AnalyticsSummary'
+ *                         channel:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - type: object
+ *                                 properties:
+ *                                   channel:
+ *                                     type: string
+ *                                     example: card
+ *                               - $ref: '#/components/schemas/AnalyticsSummary'
+ *       400:
+ *         description: Invalid date range, groupBy, breakdown or topPayers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - analytics:read permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/analytics',
+  requirePermission('analytics:read'),
+  requireScope('transactions:read'),
+  validate(analyticsRules),
+  getAnalytics
+);
+
+/**
+ * @swagger
+ * /api/payments/{reference}/refund:
+ *   post:
+ *     summary: Refund payment (Finance and admin only)
+ *     description: Issues a full or partial refund for a successful transaction through the provider that handled it. Requires the `refunds:create` permission (finance and admin roles). API keys need the `refunds:write` scope.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Paystack transaction reference
+ *         example: PAY-1704110400000-ABC123
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Amount to refund in kobo. Defaults to the remaining refundable amount.
+ *                 example: 2500
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the refund
+ *                 example: Customer requested cancellation
+ *     responses:
+ *       200:
+ *         description: Refund initiated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Refund initiated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       $ref: '#/components/schemas/Transaction'
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Invalid amount, or more than the refundable amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - refunds:create permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transaction is not refundable (TRANSACTION_NOT_REFUNDABLE), already fully refunded (ALREADY_REFUNDED), or another refund of it is in progress (REFUND_IN_PROGRESS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *       502:
+ *         $ref: '#/components/responses/ProviderError'
+ *       503:
+ *         $ref: '#/components/responses/ProviderError'
+ */
+router.post(
+  '/:reference/refund',
+  requirePermission('refunds:create'),
+  requireScope('refunds:write'),
+  validate(refundPaymentRules),
+  refundPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/{reference}/payloads:
+ *   get:
+ *     summary: Get raw provider payloads (Admin only)
+ *     description: Retrieves the raw payment provider payloads (initialize, verify, webhook, refund) recorded for a transaction, oldest first. Requires the `transactions:payloads:read` permission (admin role only). API keys need the `transactions:read` scope.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction reference
+ *         example: PAY-1704110400000-ABC123
+ *     responses:
+ *       200:
+ *         description: Payloads retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 3
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payloads:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TransactionPayload'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - transactions:payloads:read permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Transaction not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/all', roleMiddleware('admin'), getAllTransactions);
+router.get(
+  '/:reference/payloads',
+  requirePermission('transactions:payloads:read'),
+  requireScope('transactions:read'),
+  validate(transactionPayloadsRules),
+  getTransactionPayloads
+);
 
 module.exports = router;
@@ -1,11 +1,19 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startReconciler } = require('./workers/reconciler');
+const { checkConfig } = require('./config/env');
+const { markStarted } = require('./utils/readiness');
+const { logger } = require('./utils/logger');
 
 /**
  * Server Bootstrap
  * 
  * Initializes the server and connects to the database.
+ * 
+ * The server starts listening straight away, so liveness probes pass, and
+ * reports ready (GET /health/ready) once the database connection is open.
+ * The connection is retried with backoff until MongoDB is reachable.
  */
 
 // Get port from environment or default to 5000
@@ -13,41 +21,50 @@ const PORT = process.env.PORT || 5000;
 
 // Validate environment variables
 const validateEnv = () => {
-  const required = ['MONGO_URI', 'JWT_SECRET', 'PAYSTACK_SECRET_KEY'];
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    console.error(' Missing required environment variables:', missing.join(', '));
-    console.error('Please check your .env file');
+  const { errors, warnings } = checkConfig();
+
+  if (errors.length > 0) {
+    errors.forEach((problem) => logger.error('Invalid configuration. Please check your .env file', { problem }));
     process.exit(1);
   }
-  
-  // Validate Paystack key format
-  const paystackKey = process.env.PAYSTACK_SECRET_KEY?.trim();
-  if (paystackKey && !paystackKey.startsWith('sk_test_') && !paystackKey.startsWith('sk_live_')) {
-    console.warn(' Warning: PAYSTACK_SECRET_KEY should start with sk_test_ or sk_live_');
-    console.warn('   Current key starts with:', paystackKey.substring(0, 10) + '...');
-  }
-  
-  console.log('Environment variables validated');
+
+  warnings.forEach((problem) => logger.warn(problem));
+
+  logger.info('Environment variables validated');
 };
 
 // Validate environment before starting
 validateEnv();
 
-// Connect to MongoDB
-connectDB();
-
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+  logger.info('Server running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    healthCheck: `http://localhost:${PORT}/health/ready`,
+  });
+});
+
+// Connect to MongoDB (retries until it succeeds), then finish starting up
+connectDB().then(() => {
+  // Re-check stale pending transactions in the background
+  if (process.env.RECONCILE_ENABLED !== 'false') {
+    startReconciler();
+  }
+
+  if (server.listening) {
+    markStarted();
+  } else {
+    server.once('listening', markStarted);
+  }
+}).catch(() => {
+  // Only happens with DB_CONNECT_MAX_ATTEMPTS set; connectDB logged the error
+  process.exit(1);
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Promise Rejection:', err.message);
+  logger.error('Unhandled Promise Rejection', { err });
   // Close server & exit process
   server.close(() => {
     process.exit(1);
@@ -56,6 +73,6 @@ process.on('unhandledRejection', (err) => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error(' Uncaught Exception:', err.message);
+  logger.error('Uncaught Exception', { err });
   process.exit(1);
 });
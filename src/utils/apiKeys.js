@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * API Key Utility
+ * 
+ * Generates and recognizes API keys for server-to-server integrations.
+ * 
+ * Keys look like stx_1a2b3c4d_<43 random characters>. The part up to the
+ * second underscore is the key's public prefix, shown in listings so a key
+ * can be identified without revealing it. Only a SHA-256 hash of the full key
+ * is stored.
+ */
+
+const API_KEY_PREFIX = 'stx_';
+
+/**
+ * API Key Scopes
+ * 
+ * What a key may be used for. A key also never exceeds the role of the user
+ * it belongs to (e.g. only an admin's key can refund).
+ * 
+ * - payments:write: Initialize and verify payments
+ * - transactions:read: List and export transactions, and read analytics
+ * - refunds:write: Refund payments
+ */
+const API_KEY_SCOPES = ['payments:write', 'transactions:read', 'refunds:write'];
+
+/**
+ * Generate API Key
+ * 
+ * @returns {Object} { apiKey, prefix, keyHash } - Plain key to show once, its prefix and hash
+ */
+const generateApiKey = () => {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const apiKey = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { apiKey, prefix, keyHash: hashApiKey(apiKey) };
+};
+
+/**
+ * Hash API Key
+ * 
+ * @param {string} apiKey - Plain API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+/**
+ * Is API Key
+ * 
+ * Tells API keys apart from JWTs in the Authorization header.
+ * 
+ * @param {string} token - Bearer token or X-API-Key value
+ * @returns {boolean}
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+};
@@ -0,0 +1,19 @@
+/**
+ * Async Handler
+ * 
+ * Wraps an async route handler or middleware so that errors it throws, or
+ * promises it rejects, reach the global error handler through next().
+ * 
+ * Usage:
+ *   const getMe = asyncHandler(async (req, res) => { ... });
+ * 
+ * @param {Function} handler - async (req, res, next) => void
+ * @returns {Function} Express middleware function
+ */
+const asyncHandler = (handler) => {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+};
+
+module.exports = asyncHandler;
@@ -1,9 +1,30 @@
+const mongoose = require('mongoose');
+const {
+  AppError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+} = require('./errors');
+const { logger } = require('./logger');
+
 /**
  * Error Handler Utility
  * 
- * Provides consistent error response formatting across the application.
+ * Turns every error that reaches Express (thrown through asyncHandler or
+ * passed to next()) into one response format:
+ * 
+ *   { "success": false, "message": "...", "code": "...", "errors": [...] }
+ * 
+ * Application errors (utils/errors.js) keep their status and code. Known
+ * library errors (Mongoose validation, duplicate keys, bad JSON, JWT) are
+ * mapped to the matching application error. Anything else is a 500 whose
+ * message is only shown outside production.
  */
 
+// Message sent instead of internal error messages in production
+const INTERNAL_ERROR_MESSAGE = 'Something went wrong. Please try again later.';
+
 /**
  * Format Error Response
  * 
@@ -11,15 +32,20 @@
  * 
  * @param {string} message - Error message
  * @param {number} [statusCode=500] - HTTP status code
- * @param {Object} [errors=null] - Additional error details (optional)
+ * @param {Object[]} [errors=null] - Field errors as { field, message, code } (optional)
+ * @param {string} [code] - Stable error code (optional)
  * @returns {Object} Formatted error response
  */
-const formatError = (message, statusCode = 500, errors = null) => {
+const formatError = (message, statusCode = 500, errors = null, code = undefined) => {
   const errorResponse = {
     success: false,
     message,
   };
 
+  if (code) {
+    errorResponse.code = code;
+  }
+
   // Add validation errors if provided
   if (errors) {
     errorResponse.errors = errors;
@@ -29,37 +55,76 @@ const formatError = (message, statusCode = 500, errors = null) => {
 };
 
 /**
- * Handle Mongoose Validation Errors
+ * Format Validation Errors
  * 
- * Extracts and formats Mongoose validation errors into a readable format.
+ * Lists Mongoose validation errors in the same shape the validate middleware
+ * uses. The code is the Mongoose validator kind, e.g. required or maxlength.
  * 
  * @param {Error} error - Mongoose validation error
- * @returns {Object} Formatted error response
+ * @returns {Object[]} Field errors as { field, message, code }
  */
-const handleValidationError = (error) => {
-  const errors = {};
+const formatValidationErrors = (error) => {
+  return Object.entries(error.errors || {}).map(([field, fieldError]) => ({
+    field,
+    message: fieldError.message,
+    code: String(fieldError.kind || 'invalid_value').toLowerCase().replace(/\s+/g, '_'),
+  }));
+};
+
+/**
+ * To App Error
+ * 
+ * @param {Error} err - Any error
+ * @returns {AppError} The error itself, or the application error it maps to
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError('Validation error', { errors: formatValidationErrors(err) });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${err.path}.`, { code: 'INVALID_ID' });
+  }
 
-  // Extract field-specific errors
-  if (error.errors) {
-    Object.keys(error.errors).forEach((key) => {
-      errors[key] = error.errors[key].message;
+  // MongoDB duplicate key, e.g. a unique email
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || {})[0] || 'value';
+    return new ConflictError(`${field} already exists. Please use a different ${field}.`, {
+      code: 'DUPLICATE_KEY',
     });
   }
 
-  return formatError('Validation error', 400, errors);
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    return new AuthError('Invalid or expired token', { code: 'INVALID_TOKEN' });
+  }
+
+  // Raised by express.json() and express.urlencoded()
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON.', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large.', { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // Plain errors from code that only sets a client error status
+  if (Number.isInteger(err.statusCode) && err.statusCode >= 400 && err.statusCode < 500) {
+    return new AppError(err.message, { statusCode: err.statusCode, code: 'REQUEST_ERROR' });
+  }
+
+  return new AppError(err.message || 'Internal server error', { cause: err });
 };
 
 /**
- * Handle Mongoose Duplicate Key Error
+ * Not Found Handler
  * 
- * Formats duplicate key errors (e.g., duplicate email).
- * 
- * @param {Error} error - Mongoose duplicate key error
- * @returns {Object} Formatted error response
+ * Answers requests that matched no route. Mount after all routes.
  */
-const handleDuplicateKeyError = (error) => {
-  const field = Object.keys(error.keyPattern)[0];
-  return formatError(`${field} already exists. Please use a different ${field}.`, 409);
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.originalUrl} not found`, { code: 'ROUTE_NOT_FOUND' }));
 };
 
 /**
@@ -74,41 +139,41 @@ const handleDuplicateKeyError = (error) => {
  * @param {Function} next - Express next function
  */
 const globalErrorHandler = (err, req, res, next) => {
-  let errorResponse;
-  let statusCode = 500;
-
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    const result = handleValidationError(err);
-    errorResponse = result.errorResponse;
-    statusCode = result.statusCode;
-  } else if (err.code === 11000) {
-    // Mongoose duplicate key error
-    const result = handleDuplicateKeyError(err);
-    errorResponse = result.errorResponse;
-    statusCode = result.statusCode;
-  } else if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
-    errorResponse = formatError('Invalid or expired token', 401).errorResponse;
-    statusCode = 401;
-  } else {
-    // Generic error
-    errorResponse = formatError(
-      err.message || 'Internal server error',
-      err.statusCode || 500
-    ).errorResponse;
-
-    // Log unexpected errors in development
-    if (process.env.NODE_ENV === 'development') {
-      console.error('Error:', err);
-    }
+  // The response already started (e.g. a streamed export): let Express end it
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+
+  // Client errors are expected; server errors need a look
+  if (error.statusCode >= 500) {
+    logger.error('Request error', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      err,
+    });
+  }
+
+  const message = error.expose || process.env.NODE_ENV !== 'production'
+    ? error.message
+    : INTERNAL_ERROR_MESSAGE;
+
+  const { errorResponse } = formatError(message, error.statusCode, error.errors, error.code);
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+    errorResponse.retryAfter = error.retryAfter;
   }
 
-  res.status(statusCode).json(errorResponse);
+  res.status(error.statusCode).json(errorResponse);
 };
 
 module.exports = {
   formatError,
-  handleValidationError,
-  handleDuplicateKeyError,
+  formatValidationErrors,
+  toAppError,
+  notFoundHandler,
   globalErrorHandler,
 };
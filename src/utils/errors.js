@@ -0,0 +1,173 @@
+/**
+ * Application Errors
+ * 
+ * Typed errors for request handling. Controllers and middleware throw them
+ * (or pass them to next()), and the global error handler turns them into
+ * responses:
+ * 
+ *   { "success": false, "message": "...", "code": "NOT_FOUND" }
+ * 
+ * `code` is stable and meant for clients to branch on; the message may change.
+ * Every class has a default code, and callers pass a more specific one where
+ * a client may need to tell cases apart (e.g. INVALID_CREDENTIALS).
+ * 
+ * Errors with a status below 500 are exposed as they are. Messages of 5xx
+ * errors are internal and are replaced with a generic one in production,
+ * unless created with { expose: true }.
+ */
+
+/**
+ * App Error
+ * 
+ * Base class of all application errors.
+ * 
+ * @param {string} message - Human readable message
+ * @param {Object} [options]
+ * @param {number} [options.statusCode=500] - HTTP status code
+ * @param {string} [options.code=INTERNAL_ERROR] - Stable error code
+ * @param {Object[]} [options.errors] - Field errors as { field, message, code }
+ * @param {number} [options.retryAfter] - Seconds until a retry may succeed (sent as Retry-After)
+ * @param {boolean} [options.expose] - Send the message in production (default: status below 500)
+ * @param {Error} [options.cause] - Underlying error, for logs
+ */
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', errors, retryAfter, expose, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.expose = expose ?? statusCode < 500;
+
+    if (errors) {
+      this.errors = errors;
+    }
+    if (retryAfter !== undefined) {
+      this.retryAfter = retryAfter;
+    }
+  }
+}
+
+/**
+ * Validation Error (400)
+ * 
+ * The request is malformed or asks for something its input does not allow.
+ */
+class ValidationError extends AppError {
+  constructor(message = 'Validation error', options = {}) {
+    super(message, { statusCode: 400, code: 'VALIDATION_ERROR', ...options });
+  }
+
+  /**
+   * For Field
+   * 
+   * @param {string} field - Invalid request field
+   * @param {string} message - Human readable message
+   * @param {string} [code=invalid_value] - Field error code, as used by the validate middleware
+   * @returns {ValidationError} Error listing the one invalid field
+   */
+  static forField(field, message, code = 'invalid_value') {
+    return new ValidationError(message, { errors: [{ field, message, code }] });
+  }
+}
+
+/**
+ * Auth Error (401)
+ * 
+ * Missing or invalid credentials.
+ */
+class AuthError extends AppError {
+  constructor(message = 'Authentication required.', options = {}) {
+    super(message, { statusCode: 401, code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+/**
+ * Forbidden Error (403)
+ * 
+ * The caller is known but may not do this.
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied.', options = {}) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', ...options });
+  }
+
+  /**
+   * Account Suspended
+   * 
+   * Refuses a suspended account, whether it logs in or uses a token or API key.
+   * 
+   * @returns {ForbiddenError} Error with code ACCOUNT_SUSPENDED
+   */
+  static accountSuspended() {
+    return new ForbiddenError('Your account has been suspended. Please contact support.', {
+      code: 'ACCOUNT_SUSPENDED',
+    });
+  }
+}
+
+/**
+ * Not Found Error (404)
+ */
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found.', options = {}) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * Conflict Error (409)
+ * 
+ * The request clashes with the current state, e.g. an email already in use.
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Conflict with the current state of the resource.', options = {}) {
+    super(message, { statusCode: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+/**
+ * Rate Limit Error (429)
+ */
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', options = {}) {
+    super(message, { statusCode: 429, code: 'RATE_LIMITED', ...options });
+  }
+}
+
+/**
+ * Provider Error (502 by default)
+ * 
+ * A payment provider call failed. Its message is shown to clients, since it
+ * tells them why the payment did not go through, unless the status is 500
+ * (a problem on our side). Codes:
+ *   - PROVIDER_REJECTED: The provider refused the request (its message is exposed)
+ *   - PROVIDER_NOT_FOUND: The provider has no record of the transaction or refund
+ *   - PROVIDER_UNAVAILABLE: The provider could not be reached or failed (503)
+ *   - PROVIDER_NOT_CONFIGURED: Credentials are missing or invalid (500, message hidden in production)
+ * 
+ * @param {string} message - Human readable message
+ * @param {Object} [options] - AppError options, plus:
+ * @param {string} [options.provider] - Provider name, e.g. paystack
+ * @param {number} [options.providerStatus] - HTTP status the provider answered with
+ * @param {string} [options.requestId] - ID of the request the call was made for (see middleware/requestLogger.js)
+ */
+class ProviderError extends AppError {
+  constructor(message = 'Payment provider request failed.', { provider, providerStatus, requestId, ...options } = {}) {
+    const statusCode = options.statusCode ?? 502;
+    super(message, { code: 'PROVIDER_ERROR', expose: statusCode !== 500, ...options, statusCode });
+    this.provider = provider || null;
+    this.providerStatus = providerStatus ?? null;
+    this.requestId = requestId || null;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ProviderError,
+};
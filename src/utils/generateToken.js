@@ -3,21 +3,28 @@ const jwt = require('jsonwebtoken');
 /**
  * Generate JWT Token
  * 
- * Creates a JSON Web Token for user authentication.
+ * Creates a short-lived JSON Web Token (access token) for user authentication.
+ * The token carries the session ID so authMiddleware can reject it once the
+ * session is revoked; clients get a new one from POST /api/auth/refresh.
+ * 
+ * Environment:
+ *   JWT_ACCESS_EXPIRES_IN - Access token lifetime (default: 15m)
  * 
  * @param {string} userId - User's MongoDB ObjectId
  * @param {string} role - User's role (user/admin)
+ * @param {string} sessionId - Refresh token family the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (userId, role) => {
+const generateToken = (userId, role, sessionId) => {
   return jwt.sign(
     {
       id: userId,
       role: role,
+      sid: sessionId,
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: '7d', // Token expires in 7 days
+      expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
     }
   );
 };
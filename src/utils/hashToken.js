@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Hash Token
+ * 
+ * Hashes a random one-time or refresh token for storage, so a leaked
+ * database does not hand out usable tokens. Tokens are long and random, so
+ * a plain SHA-256 (no salt or slow hash) is enough.
+ * 
+ * @param {string} token - Plain token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = hashToken;
@@ -0,0 +1,261 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger
+ * 
+ * Structured logger that writes one JSON object per line to stdout:
+ * 
+ *   {"time":"...","level":"info","msg":"Request completed","requestId":"...","status":200}
+ * 
+ * Levels, lowest first: debug, info, warn, error. LOG_LEVEL sets the lowest
+ * level written (default: info); `silent` turns logging off.
+ * 
+ * Inside a request (see middleware/requestLogger.js) every line carries the
+ * request's ID, so code deep in the call stack does not have to pass it on.
+ * 
+ * Fields are redacted before they are written: values under keys that look
+ * like credentials or card data (password, token, secret, authorization,
+ * card, cvv, ...) are replaced, as are bearer tokens, Paystack keys and card
+ * numbers found inside strings.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+const DEFAULT_LEVEL = 'info';
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SENSITIVE_KEY = /password|passcode|secret|token|authorization|cookie|api[-_]?key$|signature|recovery|card|^(pin|pan|cvv|cvc|otp)$/i;
+
+// Secrets that may turn up inside strings (messages, URLs, provider responses)
+const BEARER_TOKEN = /\bBearer\s+[\w.~+/=-]+/gi;
+const PAYSTACK_KEY = /\b[sp]k_(test|live)_\w+/g;
+const DIGIT_RUN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 8;
+
+// Holds { requestId } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Get Level
+ * 
+ * @returns {string} Level set with LOG_LEVEL, or the default
+ */
+const getLevel = () => {
+  const level = process.env.LOG_LEVEL?.trim().toLowerCase();
+  return level && LEVELS[level] !== undefined ? level : DEFAULT_LEVEL;
+};
+
+/**
+ * Is Level Enabled
+ * 
+ * @param {string} level - debug, info, warn or error
+ * @returns {boolean} True if lines of this level are written
+ */
+const isLevelEnabled = (level) => LEVELS[level] >= LEVELS[getLevel()];
+
+/**
+ * Passes Luhn
+ * 
+ * Card numbers pass the Luhn checksum; most other long numbers (timestamps,
+ * amounts, IDs) do not, so they are left readable.
+ * 
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Redact String
+ * 
+ * @param {string} value - Any string
+ * @returns {string} The string with bearer tokens, Paystack keys and card numbers masked
+ */
+const redactString = (value) => value
+  .replace(BEARER_TOKEN, `Bearer ${REDACTED}`)
+  .replace(PAYSTACK_KEY, REDACTED)
+  .replace(DIGIT_RUN, (match) => (passesLuhn(match.replace(/\D/g, '')) ? REDACTED : match));
+
+/**
+ * Serialize Error
+ * 
+ * @param {Error} error - Any error
+ * @returns {Object} Plain object with the error's name, message, code, status and stack
+ */
+const serializeError = (error, depth = 0, seen = new WeakSet()) => {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+  };
+
+  // Extra properties of application errors (see utils/errors.js)
+  ['code', 'statusCode', 'provider', 'providerStatus', 'requestId'].forEach((key) => {
+    if (error[key] !== undefined && error[key] !== null) {
+      serialized[key] = error[key];
+    }
+  });
+
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  if (error.cause) {
+    serialized.cause = redact(error.cause, depth + 1, seen);
+  }
+
+  return redact(serialized, depth, seen);
+};
+
+/**
+ * Redact
+ * 
+ * Turns a value into plain JSON-safe data with sensitive values masked.
+ * Errors are serialized, Mongoose documents and ObjectIds converted.
+ * 
+ * @param {*} value - Value to log
+ * @returns {*} Redacted copy
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (typeof value.toHexString === 'function') {
+    // ObjectId
+    return value.toHexString();
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return serializeError(value, depth, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  if (typeof value.toJSON === 'function') {
+    // Mongoose documents and similar
+    return redact(value.toJSON(), depth + 1, seen);
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1, seen);
+  });
+  return result;
+};
+
+/**
+ * Get Request ID
+ * 
+ * @returns {string|undefined} ID of the request being handled, if any
+ */
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Run With Request ID
+ * 
+ * Runs a function so that log lines and Paystack calls made from it, also
+ * after awaits, carry the given request ID.
+ * 
+ * @param {string} requestId - Request ID
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+/**
+ * Write
+ * 
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - Message
+ * @param {Object} bindings - Fields of the (child) logger
+ * @param {Object|Error} [fields] - Fields of this line; an Error is logged as `err`
+ */
+const write = (level, msg, bindings, fields) => {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: getRequestId(),
+    ...bindings,
+    ...extra,
+  });
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+
+  process.stdout.write(`${line}\n`);
+};
+
+/**
+ * Create Logger
+ * 
+ * @param {Object} [bindings] - Fields added to every line
+ * @returns {Object} { debug, info, warn, error, child, isLevelEnabled }
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, bindings, fields),
+  info: (msg, fields) => write('info', msg, bindings, fields),
+  warn: (msg, fields) => write('warn', msg, bindings, fields),
+  error: (msg, fields) => write('error', msg, bindings, fields),
+  child: (fields) => createLogger({ ...bindings, ...fields }),
+  isLevelEnabled,
+});
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  getRequestId,
+  runWithRequestId,
+  redact,
+  serializeError,
+};
@@ -0,0 +1,128 @@
+const client = require('prom-client');
+
+/**
+ * Metrics
+ * 
+ * Prometheus metrics of this process, served in text format at GET /metrics
+ * (see middleware/metrics.js). Besides Node.js process metrics (CPU, memory,
+ * event loop lag, ...) it records:
+ * 
+ *   - http_requests_total{method, route, status}
+ *   - http_request_duration_seconds{method, route, status} (histogram)
+ *   - paystack_requests_total{operation, outcome}
+ *   - paystack_request_duration_seconds{operation, outcome} (histogram)
+ *   - transaction_status_changes_total{status, source}
+ *   - login_attempts_total{outcome, reason}
+ * 
+ * Label values come from fixed lists (route patterns, not paths), so the
+ * number of series stays bounded.
+ */
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+// Request latencies: 5ms to 10s
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Paystack calls take longer: 50ms to 30s (axios has no timeout by default)
+const PAYSTACK_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, matched route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method, matched route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: HTTP_DURATION_BUCKETS,
+  registers: [register],
+});
+
+const paystackRequestsTotal = new client.Counter({
+  name: 'paystack_requests_total',
+  help: 'Paystack API calls, by operation and outcome',
+  labelNames: ['operation', 'outcome'],
+  registers: [register],
+});
+
+const paystackRequestDuration = new client.Histogram({
+  name: 'paystack_request_duration_seconds',
+  help: 'Paystack API call latency in seconds, by operation and outcome',
+  labelNames: ['operation', 'outcome'],
+  buckets: PAYSTACK_DURATION_BUCKETS,
+  registers: [register],
+});
+
+const transactionStatusChangesTotal = new client.Counter({
+  name: 'transaction_status_changes_total',
+  help: 'Saved transaction status changes, by new status and source (new transactions count as pending)',
+  labelNames: ['status', 'source'],
+  registers: [register],
+});
+
+const loginAttemptsTotal = new client.Counter({
+  name: 'login_attempts_total',
+  help: 'Login attempts (password and two-factor steps), by outcome and failure reason',
+  labelNames: ['outcome', 'reason'],
+  registers: [register],
+});
+
+/**
+ * Observe HTTP Request
+ * 
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Matched route pattern, or "unmatched"
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationSeconds - Time until the response was sent
+ */
+const observeHttpRequest = ({ method, route, status, durationSeconds }) => {
+  const labels = { method, route, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+/**
+ * Observe Paystack Request
+ * 
+ * @param {string} operation - e.g. initialize_transaction
+ * @param {string} outcome - success, rejected, not_found, unavailable, not_configured or error
+ * @param {number} durationSeconds - Call latency
+ */
+const observePaystackRequest = (operation, outcome, durationSeconds) => {
+  paystackRequestsTotal.inc({ operation, outcome });
+  paystackRequestDuration.observe({ operation, outcome }, durationSeconds);
+};
+
+/**
+ * Record Transaction Status Change
+ * 
+ * @param {string} status - New status
+ * @param {string} source - initiate, verify, webhook, reconciler or admin
+ */
+const recordTransactionStatusChange = (status, source) => {
+  transactionStatusChangesTotal.inc({ status, source });
+};
+
+/**
+ * Record Login Attempt
+ * 
+ * @param {string} outcome - success or failure
+ * @param {string} [reason] - Why it failed, e.g. invalid_credentials or locked
+ */
+const recordLoginAttempt = (outcome, reason = '') => {
+  loginAttemptsTotal.inc({ outcome, reason });
+};
+
+module.exports = {
+  register,
+  observeHttpRequest,
+  observePaystackRequest,
+  recordTransactionStatusChange,
+  recordLoginAttempt,
+};
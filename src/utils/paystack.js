@@ -1,19 +1,45 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { ProviderError } = require('./errors');
+const { logger, getRequestId } = require('./logger');
+const { observePaystackRequest } = require('./metrics');
 
 /**
  * Paystack API Client
  * 
  * Handles all interactions with Paystack API.
  * Uses test mode keys from environment variables.
+ * 
+ * Failed calls throw a ProviderError (see utils/errors.js) whose code tells
+ * the cases apart: PROVIDER_NOT_CONFIGURED, PROVIDER_UNAVAILABLE,
+ * PROVIDER_NOT_FOUND or PROVIDER_REJECTED.
+ * 
+ * Calls made while handling a request send its ID in the X-Request-Id header
+ * (see middleware/requestLogger.js), and failures carry it as requestId.
+ * Every call is counted by operation and outcome, with its latency, in the
+ * Paystack metrics (see utils/metrics.js).
  */
 
-// Base URL for Paystack API
-const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+const PROVIDER_NAME = 'paystack';
+
+// Default base URL for Paystack API
+const DEFAULT_PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+/**
+ * Get Base URL
+ * 
+ * Returns the Paystack API base URL, overridable with PAYSTACK_BASE_URL
+ * (e.g. to point at a sandbox proxy).
+ */
+const getBaseUrl = () => {
+  return (process.env.PAYSTACK_BASE_URL?.trim() || DEFAULT_PAYSTACK_BASE_URL).replace(/\/+$/, '');
+};
 
 /**
  * Get Authorization Header
  * 
- * Returns the Authorization header with Bearer token for Paystack API requests.
+ * Returns the Authorization header with Bearer token for Paystack API requests,
+ * plus the X-Request-Id of the request being handled, if any.
  */
 const getAuthHeader = () => {
   // Get and trim the secret key to remove any whitespace
@@ -21,18 +47,144 @@ const getAuthHeader = () => {
   
   // Validate that the key exists
   if (!secretKey) {
-    throw new Error('PAYSTACK_SECRET_KEY is not set in environment variables');
+    throw new ProviderError('PAYSTACK_SECRET_KEY is not set in environment variables', {
+      statusCode: 500,
+      code: 'PROVIDER_NOT_CONFIGURED',
+      provider: PROVIDER_NAME,
+      requestId: getRequestId(),
+    });
   }
   
   // Validate key format (should start with sk_test_ or sk_live_)
   if (!secretKey.startsWith('sk_test_') && !secretKey.startsWith('sk_live_')) {
-    throw new Error('PAYSTACK_SECRET_KEY format is invalid. It should start with sk_test_ or sk_live_');
+    throw new ProviderError('PAYSTACK_SECRET_KEY format is invalid. It should start with sk_test_ or sk_live_', {
+      statusCode: 500,
+      code: 'PROVIDER_NOT_CONFIGURED',
+      provider: PROVIDER_NAME,
+      requestId: getRequestId(),
+    });
   }
   
-  return {
+  const headers = {
     Authorization: `Bearer ${secretKey}`,
     'Content-Type': 'application/json',
   };
+
+  const requestId = getRequestId();
+  if (requestId) {
+    headers['X-Request-Id'] = requestId;
+  }
+
+  return headers;
+};
+
+/**
+ * To Provider Error
+ * 
+ * Converts an error from an axios call to Paystack into a ProviderError.
+ * Other errors (e.g. from getAuthHeader) are returned unchanged. The axios
+ * error is not kept as the cause, because its request config holds the
+ * secret key.
+ * 
+ * @param {Error} error - Error thrown by axios
+ * @param {string} fallbackMessage - Message if Paystack did not send one
+ * @param {string} [notFoundMessage] - Message for a 404 (PROVIDER_NOT_FOUND); without it a 404 counts as rejected
+ * @returns {Error} ProviderError, or the original error
+ */
+const toProviderError = (error, fallbackMessage, notFoundMessage) => {
+  const requestId = getRequestId();
+
+  if (error.response) {
+    // Paystack returned an error response
+    const statusCode = error.response.status;
+    const errorData = error.response.data;
+    const errorMessage = errorData?.message || fallbackMessage;
+    const options = { provider: PROVIDER_NAME, providerStatus: statusCode, requestId };
+
+    // The response body is logged at debug level only; the logger masks card data in it
+    logger.warn('Paystack API error', {
+      method: error.config?.method?.toUpperCase(),
+      url: error.config?.url,
+      status: statusCode,
+      statusText: error.response.statusText,
+      message: errorMessage,
+    });
+    logger.debug('Paystack API error response', { status: statusCode, data: errorData });
+
+    if (statusCode === 404 && notFoundMessage) {
+      return new ProviderError(notFoundMessage, { ...options, code: 'PROVIDER_NOT_FOUND' });
+    }
+
+    // Paystack refused the secret key
+    if (statusCode === 401 || statusCode === 403) {
+      return new ProviderError(`Paystack rejected the API key: ${errorMessage}`, {
+        ...options,
+        statusCode: 500,
+        code: 'PROVIDER_NOT_CONFIGURED',
+      });
+    }
+
+    if (statusCode >= 500) {
+      return new ProviderError('Paystack is temporarily unavailable. Please try again later.', {
+        ...options,
+        statusCode: 503,
+        code: 'PROVIDER_UNAVAILABLE',
+      });
+    }
+
+    return new ProviderError(errorMessage, { ...options, code: 'PROVIDER_REJECTED' });
+  }
+
+  if (error.request) {
+    // Request was made but no response received
+    logger.warn('Paystack API unreachable', {
+      method: error.config?.method?.toUpperCase(),
+      url: error.config?.url,
+      errorCode: error.code,
+      message: error.message,
+    });
+
+    return new ProviderError('Network error: Could not reach Paystack API. Please check your internet connection.', {
+      statusCode: 503,
+      code: 'PROVIDER_UNAVAILABLE',
+      provider: PROVIDER_NAME,
+      requestId,
+    });
+  }
+
+  // Something else happened (like a configuration error from getAuthHeader)
+  return error;
+};
+
+// Metrics outcome for each ProviderError code; other errors count as "error"
+const METRIC_OUTCOMES = {
+  PROVIDER_REJECTED: 'rejected',
+  PROVIDER_NOT_FOUND: 'not_found',
+  PROVIDER_UNAVAILABLE: 'unavailable',
+  PROVIDER_NOT_CONFIGURED: 'not_configured',
+};
+
+/**
+ * Instrument
+ * 
+ * Wraps a Paystack API call so its latency and outcome are recorded.
+ * 
+ * @param {string} operation - Operation label, e.g. initialize_transaction
+ * @param {Function} call - Async function making the call
+ * @returns {Function} Function with the same arguments and result
+ */
+const instrument = (operation, call) => async (...args) => {
+  const startedAt = process.hrtime.bigint();
+  let outcome = 'success';
+
+  try {
+    return await call(...args);
+  } catch (error) {
+    outcome = METRIC_OUTCOMES[error.code] || 'error';
+    throw error;
+  } finally {
+    observePaystackRequest(operation, outcome, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
 };
 
 /**
@@ -47,9 +199,9 @@ const getAuthHeader = () => {
  * @param {string} [paymentData.callback_url] - Optional callback URL
  * 
  * @returns {Promise<Object>} Paystack API response
- * @throws {Error} If API request fails
+ * @throws {ProviderError} If API request fails
  */
-const initializeTransaction = async (paymentData) => {
+const initializeTransaction = instrument('initialize_transaction', async (paymentData) => {
   try {
     // Validate required fields
     if (!paymentData.amount || !paymentData.email || !paymentData.reference) {
@@ -57,7 +209,7 @@ const initializeTransaction = async (paymentData) => {
     }
 
     const response = await axios.post(
-      `${PAYSTACK_BASE_URL}/transaction/initialize`,
+      `${getBaseUrl()}/transaction/initialize`,
       {
         amount: paymentData.amount,
         email: paymentData.email,
@@ -71,32 +223,9 @@ const initializeTransaction = async (paymentData) => {
 
     return response.data;
   } catch (error) {
-    // Handle Paystack API errors
-    if (error.response) {
-      // Paystack returned an error response
-      const errorData = error.response.data;
-      const errorMessage = errorData?.message || 'Failed to initialize payment with Paystack';
-      
-      // Log detailed error for debugging (only in development)
-      if (process.env.NODE_ENV !== 'production') {
-        console.error('Paystack API Error:', {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          message: errorMessage,
-          data: errorData,
-        });
-      }
-      
-      throw new Error(errorMessage);
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new Error('Network error: Could not reach Paystack API. Please check your internet connection.');
-    } else {
-      // Something else happened (like validation error from getAuthHeader)
-      throw error;
-    }
+    throw toProviderError(error, 'Failed to initialize payment with Paystack');
   }
-};
+});
 
 /**
  * Verify Payment Transaction
@@ -106,16 +235,16 @@ const initializeTransaction = async (paymentData) => {
  * @param {string} reference - Paystack transaction reference
  * 
  * @returns {Promise<Object>} Paystack API response with transaction details
- * @throws {Error} If API request fails or transaction not found
+ * @throws {ProviderError} If API request fails or transaction not found
  */
-const verifyTransaction = async (reference) => {
+const verifyTransaction = instrument('verify_transaction', async (reference) => {
   try {
     if (!reference) {
       throw new Error('Transaction reference is required');
     }
 
     const response = await axios.get(
-      `${PAYSTACK_BASE_URL}/transaction/verify/${reference}`,
+      `${getBaseUrl()}/transaction/verify/${reference}`,
       {
         headers: getAuthHeader(),
       }
@@ -123,37 +252,120 @@ const verifyTransaction = async (reference) => {
 
     return response.data;
   } catch (error) {
-    // Handle Paystack API errors
-    if (error.response) {
-      const statusCode = error.response.status;
-      const errorData = error.response.data;
-      const errorMessage = errorData?.message || 'Failed to verify transaction with Paystack';
-      
-      if (statusCode === 404) {
-        throw new Error('Transaction not found. Invalid reference.');
-      }
-      
-      // Log detailed error for debugging (only in development)
-      if (process.env.NODE_ENV !== 'production') {
-        console.error('Paystack API Error:', {
-          status: statusCode,
-          statusText: error.response.statusText,
-          message: errorMessage,
-          data: errorData,
-        });
-      }
-      
-      throw new Error(errorMessage);
-    } else if (error.request) {
-      throw new Error('Network error: Could not reach Paystack API. Please check your internet connection.');
-    } else {
-      // Something else happened (like validation error from getAuthHeader)
-      throw error;
+    throw toProviderError(error, 'Failed to verify transaction with Paystack', 'Transaction not found. Invalid reference.');
+  }
+});
+
+/**
+ * Create Refund
+ * 
+ * Requests a full or partial refund of a successful transaction on Paystack.
+ * 
+ * @param {Object} refundData - Refund data
+ * @param {string} refundData.reference - Reference of the transaction to refund
+ * @param {number} [refundData.amount] - Amount in kobo (defaults to the full transaction amount)
+ * @param {string} [refundData.reason] - Reason for the refund (sent as merchant note)
+ * 
+ * @returns {Promise<Object>} Paystack API response with refund details
+ * @throws {ProviderError} If API request fails
+ */
+const createRefund = instrument('create_refund', async (refundData) => {
+  try {
+    if (!refundData.reference) {
+      throw new Error('Transaction reference is required');
     }
+
+    const response = await axios.post(
+      `${getBaseUrl()}/refund`,
+      {
+        transaction: refundData.reference,
+        amount: refundData.amount,
+        merchant_note: refundData.reason,
+      },
+      {
+        headers: getAuthHeader(),
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    throw toProviderError(error, 'Failed to create refund with Paystack');
+  }
+});
+
+/**
+ * Check Reachable
+ * 
+ * Checks that the Paystack API answers, for the readiness probe. Sends no
+ * credentials and is not counted in the Paystack metrics. Any answer below
+ * 500 counts as reachable.
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000] - Give up after this long
+ * @returns {Promise<Object>} { reachable, status, latencyMs, error }
+ */
+const checkReachable = async ({ timeoutMs = 2000 } = {}) => {
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.get(`${getBaseUrl()}/`, {
+      timeout: timeoutMs,
+      validateStatus: () => true,
+    });
+
+    return {
+      reachable: response.status < 500,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      reachable: false,
+      latencyMs: Date.now() - startedAt,
+      error: error.code || error.message,
+    };
   }
 };
 
+/**
+ * Verify Webhook Signature
+ * 
+ * Checks the `x-paystack-signature` header sent with Paystack webhook events.
+ * Paystack signs the raw request body with HMAC-SHA512 using the secret key,
+ * so the body must be the exact bytes received (not re-serialized JSON).
+ * 
+ * @param {Buffer|string} rawBody - Raw request body as received
+ * @param {string} signature - Value of the x-paystack-signature header
+ * 
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY?.trim();
+
+  if (!secretKey || !signature || !rawBody) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha512', secretKey)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(String(signature), 'utf8');
+
+  // Lengths must match before a constant-time comparison
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
 module.exports = {
   initializeTransaction,
   verifyTransaction,
+  createRefund,
+  checkReachable,
+  verifyWebhookSignature,
 };
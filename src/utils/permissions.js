@@ -0,0 +1,112 @@
+/**
+ * Permissions
+ * 
+ * Maps roles to what they are allowed to do. Routes check permissions with
+ * requirePermission rather than naming roles, so a role's access can change
+ * here without touching the routes.
+ * 
+ * Permissions:
+ * - payments:create: Initialize payments and verify one's own
+ * - transactions:read:own: List and export one's own transactions
+ * - transactions:read:all: List every user's transactions and read any transaction
+ * - transactions:verify:all: Verify any user's transaction with the provider
+ * - transactions:export:all: Export every user's transactions
+ * - transactions:payloads:read: Read raw payment provider payloads
+ * - analytics:read: Read transaction analytics
+ * - refunds:create: Refund payments
+ * - apiKeys:manage:own: Create, list and revoke one's own API keys
+ * - apiKeys:revoke:all: Revoke any user's API key
+ * - users:manage: Administer user accounts
+ */
+
+// Every role can act as a customer
+const CUSTOMER_PERMISSIONS = ['payments:create', 'transactions:read:own', 'apiKeys:manage:own'];
+
+/**
+ * Role Permissions
+ * 
+ * - user: Customer (default role)
+ * - support: Read-only access to every transaction, for answering customer questions
+ * - finance: Refunds, exports and analytics
+ * - admin: Everything
+ */
+const ROLE_PERMISSIONS = {
+  user: [...CUSTOMER_PERMISSIONS],
+  support: [...CUSTOMER_PERMISSIONS, 'transactions:read:all'],
+  finance: [
+    ...CUSTOMER_PERMISSIONS,
+    'transactions:read:all',
+    'transactions:export:all',
+    'analytics:read',
+    'refunds:create',
+  ],
+  admin: [
+    ...CUSTOMER_PERMISSIONS,
+    'transactions:read:all',
+    'transactions:verify:all',
+    'transactions:export:all',
+    'transactions:payloads:read',
+    'analytics:read',
+    'refunds:create',
+    'apiKeys:revoke:all',
+    'users:manage',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Get Permissions
+ * 
+ * @param {string} role - User role
+ * @returns {string[]} Permissions of the role (empty for unknown roles)
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Has Permission
+ * 
+ * @param {Object|string} userOrRole - User (with a role) or role name
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+const hasPermission = (userOrRole, permission) => {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  return getPermissions(role).includes(permission);
+};
+
+/**
+ * Can Access Transaction
+ * 
+ * Resource-level check: owners may act on their own transactions with the
+ * "own" permission, everyone else needs the "all" permission. Verifying is
+ * an action, so owners need payments:create, the permission its route
+ * requires, and everyone else transactions:verify:all.
+ * 
+ * @param {Object} user - Authenticated user
+ * @param {Object} transaction - Transaction (its user may be an ID or populated)
+ * @param {string} action - 'read' or 'verify'
+ * @returns {boolean}
+ */
+const canAccessTransaction = (user, transaction, action) => {
+  const ownerId = transaction.user?._id || transaction.user;
+  const isOwner = String(ownerId) === String(user._id);
+
+  if (action === 'verify') {
+    return isOwner
+      ? hasPermission(user, 'payments:create')
+      : hasPermission(user, 'transactions:verify:all');
+  }
+
+  return isOwner
+    ? hasPermission(user, 'transactions:read:own')
+    : hasPermission(user, 'transactions:read:all');
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  canAccessTransaction,
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { checkConfig } = require('../config/env');
+const { readNonNegativeNumber } = require('../config/settings');
+const { checkReachable } = require('./paystack');
+const { getDefaultProviderName } = require('../providers');
+const { logger } = require('./logger');
+
+/**
+ * Readiness Utility
+ * 
+ * Decides whether this instance should receive traffic (GET /health/ready).
+ * Every check reports { status: 'up' | 'down', ... }; the instance is ready
+ * when all of them are up:
+ * 
+ *   - startup: server.js has finished starting (listening and first database connection)
+ *   - database: the Mongoose connection is open
+ *   - config: checkConfig() (config/env.js) finds no errors
+ *   - paystack (optional): the Paystack API answers
+ * 
+ * Check details (e.g. configuration errors) are logged whenever the set of
+ * failing checks changes, since the public probe only shows up/down.
+ * 
+ * Environment:
+ *   READINESS_CHECK_PAYSTACK - true to include the Paystack check when
+ *     PAYMENT_PROVIDER=paystack (default: false)
+ *   READINESS_PAYSTACK_TIMEOUT_MS - Paystack check timeout (default: 2000)
+ *   READINESS_PAYSTACK_CACHE_SECONDS - Reuse a Paystack result this long (default: 30)
+ */
+
+let started = false;
+
+// Failing checks at the last probe, to log only changes
+let lastDownChecks = null;
+
+// Last Paystack result, so frequent probes do not call Paystack every time
+let paystackCache = { result: null, checkedAt: 0, pending: null };
+
+/**
+ * Mark Started
+ * 
+ * Called by server.js once startup has finished.
+ */
+const markStarted = () => {
+  started = true;
+};
+
+/**
+ * Check Database
+ * 
+ * @returns {Object} { status, state } - state is the Mongoose connection state, e.g. connecting
+ */
+const checkDatabase = () => {
+  const { readyState } = mongoose.connection;
+
+  return {
+    status: readyState === mongoose.ConnectionStates.connected ? 'up' : 'down',
+    state: mongoose.ConnectionStates[readyState] || 'unknown',
+  };
+};
+
+/**
+ * Check Configuration
+ * 
+ * @returns {Object} { status, errors, warnings }
+ */
+const checkConfiguration = () => {
+  const { errors, warnings } = checkConfig();
+
+  return {
+    status: errors.length === 0 ? 'up' : 'down',
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Check Paystack
+ * 
+ * @returns {Promise<Object>} { status, httpStatus, latencyMs, error, checkedAt }
+ */
+const checkPaystack = async () => {
+  const cacheMs = readNonNegativeNumber('READINESS_PAYSTACK_CACHE_SECONDS', 30) * 1000;
+
+  if (paystackCache.result && Date.now() - paystackCache.checkedAt < cacheMs) {
+    return paystackCache.result;
+  }
+
+  // Probes arriving while a check runs wait for the same check
+  if (!paystackCache.pending) {
+    paystackCache.pending = checkReachable({ timeoutMs: readNonNegativeNumber('READINESS_PAYSTACK_TIMEOUT_MS', 2000) })
+      .then(({ reachable, status, latencyMs, error }) => {
+        const checkedAt = new Date();
+        const result = {
+          status: reachable ? 'up' : 'down',
+          httpStatus: status,
+          latencyMs,
+          error,
+          checkedAt: checkedAt.toISOString(),
+        };
+        paystackCache = { result, checkedAt: checkedAt.getTime(), pending: null };
+        return result;
+      });
+  }
+
+  return paystackCache.pending;
+};
+
+/**
+ * Get Readiness
+ * 
+ * @returns {Promise<Object>} { ready, starting, checks }
+ */
+const getReadiness = async () => {
+  const checks = {
+    startup: { status: started ? 'up' : 'down' },
+    database: checkDatabase(),
+    config: checkConfiguration(),
+  };
+
+  if (process.env.READINESS_CHECK_PAYSTACK === 'true' && getDefaultProviderName() === 'paystack') {
+    checks.paystack = await checkPaystack();
+  }
+
+  const downChecks = Object.keys(checks).filter((name) => checks[name].status !== 'up').join(',');
+  if (downChecks !== lastDownChecks) {
+    if (downChecks) {
+      // Still starting up is expected and not worth a warning
+      logger[downChecks === 'startup' ? 'info' : 'warn']('Not ready', { down: downChecks, checks });
+    } else if (lastDownChecks !== null) {
+      logger.info('Ready', { checks });
+    }
+    lastDownChecks = downChecks;
+  }
+
+  return {
+    ready: downChecks === '',
+    starting: !started,
+    checks,
+  };
+};
+
+module.exports = {
+  markStarted,
+  getReadiness,
+};
@@ -0,0 +1,100 @@
+/**
+ * Route Pattern Utility
+ * 
+ * Finds the route pattern a request matched, e.g.
+ * /api/payments/verify/:reference, for logs and metrics. Patterns keep the
+ * number of distinct values small, unlike paths.
+ * 
+ * Express sets req.route when a route matches, but resets req.baseUrl when
+ * the request leaves a router (e.g. when a handler passes an error on), so by
+ * the time the response is sent the mount path may be gone. trackRoutePattern
+ * records the full pattern at the moment the route matches, and the mount path
+ * of the last router the request entered (for requests rejected by router-level
+ * middleware such as authentication, before any route matched).
+ * 
+ * Patterns never end in a slash, so a router's "/" route mounted at /health
+ * is reported as /health.
+ * 
+ * Usage (in middleware mounted before the routers):
+ *   trackRoutePattern(req);
+ *   res.on('finish', () => console.log(getRoutePattern(req)));
+ */
+
+const TRACKED = Symbol('routePatternTracked');
+
+/**
+ * Normalize Pattern
+ * 
+ * @param {string} pattern - Route pattern
+ * @returns {string} The pattern without trailing slashes (/ stays /)
+ */
+const normalizePattern = (pattern) => pattern.replace(/(.)\/+$/, '$1');
+
+/**
+ * Track Route Pattern
+ * 
+ * Watches req.route and req.baseUrl so the full pattern is kept in
+ * req.routePattern and the last mount path in req.mountPath. Safe to call
+ * more than once.
+ * 
+ * @param {Object} req - Express request object
+ */
+const trackRoutePattern = (req) => {
+  if (req[TRACKED]) {
+    return;
+  }
+  req[TRACKED] = true;
+
+  let route = req.route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) {
+        req.routePattern = normalizePattern(`${req.baseUrl}${value.path}`);
+      }
+    },
+  });
+
+  let baseUrl = req.baseUrl;
+  Object.defineProperty(req, 'baseUrl', {
+    configurable: true,
+    enumerable: true,
+    get: () => baseUrl,
+    set: (value) => {
+      baseUrl = value;
+      if (value) {
+        req.mountPath = value;
+      }
+    },
+  });
+};
+
+/**
+ * Get Route Pattern
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string|null} Matched route pattern, or null if no route matched
+ */
+const getRoutePattern = (req) => {
+  if (req.routePattern) {
+    return req.routePattern;
+  }
+  return req.route ? normalizePattern(`${req.baseUrl}${req.route.path}`) : null;
+};
+
+/**
+ * Get Mount Path
+ * 
+ * @param {Object} req - Express request object (tracked with trackRoutePattern)
+ * @returns {string|null} Mount path of the last router the request entered, e.g. /api/payments
+ */
+const getMountPath = (req) => req.mountPath || req.baseUrl || null;
+
+module.exports = {
+  trackRoutePattern,
+  getRoutePattern,
+  getMountPath,
+};
@@ -0,0 +1,201 @@
+const User = require('../models/User');
+const { buildTransactionFilter, badRequest } = require('./transactionQuery');
+
+/**
+ * Transaction Analytics Utility
+ * 
+ * Builds the admin analytics report with a single MongoDB aggregation over
+ * Transaction. All amounts are in kobo; rates are fractions between 0 and 1.
+ * 
+ * Supported query parameters:
+ *   - from / to: createdAt range (ISO 8601, default: the last 30 days)
+ *   - groupBy: day (default), week (ISO week) or month, in UTC
+ *   - breakdown: Comma-separated extra breakdowns: currency, channel
+ *   - topPayers: Number of top payers to return, 1-50 (default 5)
+ * 
+ * Invalid values throw a ValidationError (400).
+ */
+
+// Statuses that count as a successful payment (refunds happen after payment)
+const SUCCESSFUL_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+// Period label formats for $dateToString
+const GROUP_BY_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+// Fields a breakdown can be requested for
+const BREAKDOWN_FIELDS = ['currency', 'channel'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP_PAYERS = 5;
+const MAX_TOP_PAYERS = 50;
+
+/**
+ * Parse Analytics Query
+ * 
+ * @param {Object} query - Request query string values
+ * @returns {Object} { from, to, groupBy, breakdowns, topPayers }
+ * @throws {ValidationError} For invalid values
+ */
+const parseAnalyticsQuery = (query) => {
+  // Reuse the list filters' date validation
+  const { createdAt = {} } = buildTransactionFilter({ from: query.from, to: query.to });
+  const to = createdAt.$lte || new Date();
+  const from = createdAt.$gte || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (from > to) {
+    throw badRequest('from cannot be later than to.');
+  }
+
+  const groupBy = query.groupBy ? String(query.groupBy) : 'day';
+  if (!GROUP_BY_FORMATS[groupBy]) {
+    throw badRequest(`Invalid groupBy: ${groupBy}. Allowed: ${Object.keys(GROUP_BY_FORMATS).join(', ')}.`);
+  }
+
+  const breakdowns = query.breakdown
+    ? String(query.breakdown).split(',').map((field) => field.trim()).filter(Boolean)
+    : [];
+  const invalid = breakdowns.filter((field) => !BREAKDOWN_FIELDS.includes(field));
+  if (invalid.length > 0) {
+    throw badRequest(`Invalid breakdown: ${invalid.join(', ')}. Allowed: ${BREAKDOWN_FIELDS.join(', ')}.`);
+  }
+
+  let topPayers = DEFAULT_TOP_PAYERS;
+  if (query.topPayers !== undefined && query.topPayers !== '') {
+    topPayers = Number(query.topPayers);
+    if (!Number.isInteger(topPayers) || topPayers < 1 || topPayers > MAX_TOP_PAYERS) {
+      throw badRequest(`topPayers must be an integer between 1 and ${MAX_TOP_PAYERS}.`);
+    }
+  }
+
+  return { from, to, groupBy, breakdowns: [...new Set(breakdowns)], topPayers };
+};
+
+/**
+ * Summary Group Stage
+ * 
+ * Counts and sums transactions per group, split by outcome.
+ * 
+ * @param {*} id - $group _id expression
+ */
+const summaryGroup = (id) => {
+  const isSuccessful = { $in: ['$status', SUCCESSFUL_STATUSES] };
+  const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  return {
+    $group: {
+      _id: id,
+      count: { $sum: 1 },
+      totalVolume: { $sum: '$amount' },
+      successfulCount: countWhere(isSuccessful),
+      successfulVolume: { $sum: { $cond: [isSuccessful, '$amount', 0] } },
+      failedCount: countWhere({ $eq: ['$status', 'failed'] }),
+      abandonedCount: countWhere({ $eq: ['$status', 'abandoned'] }),
+      pendingCount: countWhere({ $eq: ['$status', 'pending'] }),
+    },
+  };
+};
+
+/**
+ * Format Summary
+ * 
+ * Turns a summaryGroup row into counts, volumes, rates and average ticket size.
+ */
+const formatSummary = (row = {}) => {
+  const count = row.count || 0;
+  const successfulCount = row.successfulCount || 0;
+  const rate = (value) => (count > 0 ? Math.round((value / count) * 10000) / 10000 : 0);
+
+  return {
+    count,
+    totalVolume: row.totalVolume || 0,
+    successfulCount,
+    successfulVolume: row.successfulVolume || 0,
+    failedCount: row.failedCount || 0,
+    abandonedCount: row.abandonedCount || 0,
+    pendingCount: row.pendingCount || 0,
+    successRate: rate(successfulCount),
+    failureRate: rate(row.failedCount || 0),
+    abandonedRate: rate(row.abandonedCount || 0),
+    averageTicketSize: successfulCount > 0 ? Math.round(row.successfulVolume / successfulCount) : 0,
+  };
+};
+
+/**
+ * Get Transaction Analytics
+ * 
+ * Periods and breakdown groups without any transactions are omitted.
+ * 
+ * @param {Object} Model - Transaction model
+ * @param {Object} options - Parsed options from parseAnalyticsQuery
+ * @returns {Promise<Object>} { range, summary, timeline, topPayers, breakdowns }
+ */
+const getTransactionAnalytics = async (Model, { from, to, groupBy, breakdowns, topPayers }) => {
+  const facets = {
+    summary: [summaryGroup(null)],
+    timeline: [
+      summaryGroup({ $dateToString: { format: GROUP_BY_FORMATS[groupBy], date: '$createdAt' } }),
+      { $sort: { _id: 1 } },
+    ],
+    topPayers: [
+      { $match: { status: { $in: SUCCESSFUL_STATUSES } } },
+      { $group: { _id: '$user', successfulVolume: { $sum: '$amount' }, successfulCount: { $sum: 1 } } },
+      { $sort: { successfulVolume: -1, _id: 1 } },
+      { $limit: topPayers },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user',
+        },
+      },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    ],
+  };
+
+  breakdowns.forEach((field) => {
+    facets[field] = [summaryGroup(`$${field}`), { $sort: { totalVolume: -1, _id: 1 } }];
+  });
+
+  const [result] = await Model.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    { $facet: facets },
+  ]);
+
+  const breakdownResults = {};
+  breakdowns.forEach((field) => {
+    breakdownResults[field] = result[field].map((row) => ({
+      [field]: row._id ?? null,
+      ...formatSummary(row),
+    }));
+  });
+
+  return {
+    range: { from, to, groupBy },
+    summary: formatSummary(result.summary[0]),
+    timeline: result.timeline.map((row) => ({
+      period: row._id,
+      ...formatSummary(row),
+    })),
+    topPayers: result.topPayers.map((row) => ({
+      user: row.user
+        ? { id: row.user._id, name: row.user.name, email: row.user.email }
+        : { id: row._id, name: null, email: null },
+      successfulVolume: row.successfulVolume,
+      successfulCount: row.successfulCount,
+    })),
+    breakdowns: breakdownResults,
+  };
+};
+
+module.exports = {
+  SUCCESSFUL_STATUSES,
+  GROUP_BY_FORMATS,
+  BREAKDOWN_FIELDS,
+  MAX_TOP_PAYERS,
+  parseAnalyticsQuery,
+  getTransactionAnalytics,
+};
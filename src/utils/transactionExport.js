@@ -0,0 +1,234 @@
+const ExcelJS = require('exceljs');
+const { parseSort } = require('./transactionQuery');
+const { ValidationError } = require('./errors');
+
+/**
+ * Transaction Export Utility
+ * 
+ * Streams transactions to CSV or XLSX straight from a MongoDB cursor, so large
+ * exports never have to fit in memory. Exports use the same filters and sort
+ * as the list endpoints (see utils/transactionQuery.js), without pagination.
+ * 
+ * Invalid formats throw a ValidationError (400).
+ */
+
+// Supported export formats and their response content types
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Export columns, in order
+const COLUMNS = [
+  { header: 'Reference', key: 'reference', width: 28 },
+  { header: 'Customer Name', key: 'userName', width: 24 },
+  { header: 'Customer Email', key: 'userEmail', width: 30 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Status', key: 'status', width: 18 },
+  { header: 'Channel', key: 'channel', width: 14 },
+  { header: 'Provider', key: 'provider', width: 12 },
+  { header: 'Created At', key: 'createdAt', width: 26 },
+  { header: 'Paid At', key: 'paidAt', width: 26 },
+  { header: 'Updated At', key: 'updatedAt', width: 26 },
+];
+
+/**
+ * To Row
+ * 
+ * Flattens a transaction (with populated user) into export column values.
+ * Amounts are converted from kobo to major units (e.g. Naira).
+ * 
+ * @param {Object} transaction - Lean transaction with user populated
+ * @returns {Object} Values keyed by column key
+ */
+const toRow = (transaction) => ({
+  reference: transaction.reference,
+  userName: transaction.user?.name || '',
+  userEmail: transaction.user?.email || '',
+  amount: transaction.amount / 100,
+  currency: transaction.currency || '',
+  status: transaction.status,
+  channel: transaction.channel || '',
+  provider: transaction.provider || '',
+  createdAt: transaction.createdAt ? new Date(transaction.createdAt).toISOString() : '',
+  paidAt: transaction.paidAt ? new Date(transaction.paidAt).toISOString() : '',
+  updatedAt: transaction.updatedAt ? new Date(transaction.updatedAt).toISOString() : '',
+});
+
+/**
+ * Escape CSV Value
+ * 
+ * Quotes values containing separators and neutralises spreadsheet formulas
+ * (values starting with =, +, -, @) so exported data cannot run as a formula.
+ */
+const escapeCsv = (value) => {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Wait For Drain
+ * 
+ * Resolves when the response drains, or when the connection closes or fails
+ * (a response that is gone never drains).
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+/**
+ * Write Line
+ * 
+ * Writes to the response, waiting for it to drain when its buffer is full.
+ * 
+ * @returns {Promise<boolean>} false once the client has disconnected
+ */
+const writeLine = async (res, line) => {
+  if (res.destroyed) {
+    return false;
+  }
+  if (!res.write(line)) {
+    await waitForDrain(res);
+  }
+  return !res.destroyed;
+};
+
+/**
+ * Stream CSV
+ * 
+ * @param {Object} cursor - Mongoose query cursor of lean transactions
+ * @param {Object} res - Express response
+ */
+const streamCsv = async (cursor, res) => {
+  if (!(await writeLine(res, `${COLUMNS.map((column) => escapeCsv(column.header)).join(',')}\r\n`))) {
+    return;
+  }
+
+  for await (const transaction of cursor) {
+    const row = toRow(transaction);
+    if (!(await writeLine(res, `${COLUMNS.map((column) => escapeCsv(row[column.key])).join(',')}\r\n`))) {
+      return;
+    }
+  }
+
+  res.end();
+};
+
+/**
+ * Stream XLSX
+ * 
+ * @param {Object} cursor - Mongoose query cursor of lean transactions
+ * @param {Object} res - Express response
+ */
+const streamXlsx = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet('Transactions');
+  worksheet.columns = COLUMNS;
+
+  for await (const transaction of cursor) {
+    // Stop reading once the client has disconnected
+    if (res.destroyed) {
+      return;
+    }
+    worksheet.addRow(toRow(transaction)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Parse Format
+ * 
+ * @param {string} [value] - format query value (default: csv)
+ * @returns {string} csv or xlsx
+ * @throws {ValidationError} For unsupported formats
+ */
+const parseFormat = (value) => {
+  const format = String(value || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(`Invalid format: ${value}. Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  return format;
+};
+
+/**
+ * Stream Transactions Export
+ * 
+ * Validates the format and sort, sets download headers and streams every
+ * matching transaction in the requested format. Validation errors are thrown
+ * before anything is written. If the export fails once streaming has started,
+ * the connection is destroyed so the client sees a failed download rather
+ * than a truncated file that looks complete. If the client disconnects, the
+ * export stops and the cursor is closed.
+ * 
+ * @param {Object} Model - Transaction model
+ * @param {Object} filter - Filter from buildTransactionFilter
+ * @param {Object} query - Request query string values (format, sort)
+ * @param {Object} res - Express response
+ * @param {string} [filenamePrefix='transactions'] - Download file name prefix
+ * @throws {ValidationError} For invalid format or sort
+ */
+const streamTransactionsExport = async (Model, filter, query, res, filenamePrefix = 'transactions') => {
+  const format = parseFormat(query.format);
+  const sort = parseSort(query.sort);
+  const date = new Date().toISOString().slice(0, 10);
+
+  const cursor = Model.find(filter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .select('-statusHistory -refunds')
+    .populate('user', 'name email')
+    .lean()
+    .cursor();
+
+  res.status(200);
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filenamePrefix}-${date}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(cursor, res);
+    } else {
+      await streamCsv(cursor, res);
+    }
+  } catch (error) {
+    await cursor.close().catch(() => {});
+    res.destroy(error);
+    throw error;
+  }
+
+  if (res.destroyed) {
+    await cursor.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamTransactionsExport,
+  escapeCsv,
+};
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const { TRANSACTION_STATUSES } = require('../models/transactionStateMachine');
+const { ValidationError } = require('./errors');
+
+/**
+ * Transaction Query Utility
+ * 
+ * Turns list endpoint query strings into MongoDB filters, sort orders and
+ * cursor conditions, so every transaction listing filters the same way.
+ * 
+ * Supported query parameters:
+ *   - status: One status or a comma-separated list (e.g. success,failed)
+ *   - minAmount / maxAmount: Amount range in kobo (inclusive)
+ *   - from / to: createdAt range (ISO 8601 dates, inclusive)
+ *   - reference: Reference prefix (e.g. PAY-1704)
+ *   - user: User ID (only where allowed, i.e. admin listings)
+ *   - sort: createdAt, -createdAt (default), amount or -amount
+ *   - limit: Page size, 1-100 (default 20)
+ *   - cursor: nextCursor value from the previous page
+ * 
+ * Invalid values throw a ValidationError (400).
+ */
+
+// Fields transactions can be sorted by
+const SORT_FIELDS = ['createdAt', 'amount'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Bad Request Error
+ * 
+ * Creates a ValidationError (400) for an invalid query value.
+ */
+const badRequest = (message) => new ValidationError(message);
+
+/**
+ * Escape Regex
+ * 
+ * Escapes a string for literal use inside a regular expression.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse Amount
+ * 
+ * @returns {number|undefined} Non-negative integer amount, or undefined if absent
+ */
+const parseAmount = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw badRequest(`${name} must be a non-negative integer amount in kobo.`);
+  }
+  return amount;
+};
+
+/**
+ * Parse Date
+ * 
+ * @returns {Date|undefined} Parsed date, or undefined if absent
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be a valid date (ISO 8601).`);
+  }
+  return date;
+};
+
+/**
+ * Build Transaction Filter
+ * 
+ * @param {Object} query - Request query string values
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUserFilter=false] - Whether `user` may be filtered on
+ * @returns {Object} MongoDB filter
+ * @throws {ValidationError} For invalid values
+ */
+const buildTransactionFilter = (query, { allowUserFilter = false } = {}) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((status) => status.trim()).filter(Boolean);
+    const invalid = statuses.filter((status) => !TRANSACTION_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw badRequest(`Invalid status: ${invalid.join(', ')}. Allowed: ${TRANSACTION_STATUSES.join(', ')}.`);
+    }
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  const minAmount = parseAmount(query.minAmount, 'minAmount');
+  const maxAmount = parseAmount(query.maxAmount, 'maxAmount');
+  if (minAmount !== undefined && maxAmount !== undefined && minAmount > maxAmount) {
+    throw badRequest('minAmount cannot be greater than maxAmount.');
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) {
+      filter.amount.$gte = minAmount;
+    }
+    if (maxAmount !== undefined) {
+      filter.amount.$lte = maxAmount;
+    }
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw badRequest('from cannot be later than to.');
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      filter.createdAt.$gte = from;
+    }
+    if (to) {
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  if (query.reference) {
+    filter.reference = { $regex: `^${escapeRegex(String(query.reference).trim())}` };
+  }
+
+  if (query.user !== undefined) {
+    if (!allowUserFilter) {
+      throw badRequest('Filtering by user is only available to admins.');
+    }
+    if (!mongoose.Types.ObjectId.isValid(query.user)) {
+      throw badRequest('user must be a valid user ID.');
+    }
+    filter.user = new mongoose.Types.ObjectId(String(query.user));
+  }
+
+  return filter;
+};
+
+/**
+ * Parse Sort
+ * 
+ * @param {string} [value] - sort query value, e.g. -createdAt
+ * @returns {Object} { field, direction } where direction is 1 or -1
+ * @throws {ValidationError} For unknown fields
+ */
+const parseSort = (value) => {
+  if (!value) {
+    return { field: 'createdAt', direction: -1 };
+  }
+
+  const direction = String(value).startsWith('-') ? -1 : 1;
+  const field = String(value).replace(/^[-+]/, '');
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw badRequest(`Invalid sort: ${value}. Allowed: ${SORT_FIELDS.map((f) => `${f}, -${f}`).join(', ')}.`);
+  }
+
+  return { field, direction };
+};
+
+/**
+ * Parse Limit
+ * 
+ * @returns {number} Page size between 1 and MAX_LIMIT
+ * @throws {ValidationError} For invalid values
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === '') {
+    return DEFAULT_LIMIT;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+  return limit;
+};
+
+/**
+ * Encode Cursor
+ * 
+ * Builds an opaque cursor pointing just after a document in the given sort.
+ */
+const encodeCursor = (doc, sort) => {
+  const value = doc[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Parse Cursor Value
+ * 
+ * The cursor comes from the client, so its sort value is checked before it
+ * reaches the query: a date string for createdAt, a finite number for amount.
+ * 
+ * @param {*} value - Sort value from the decoded cursor
+ * @param {string} field - Sort field
+ * @returns {Date|number} Value to compare against
+ * @throws {ValidationError} If the value does not fit the field
+ */
+const parseCursorValue = (value, field) => {
+  if (field === 'createdAt' && typeof value === 'string') {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+
+  if (field === 'amount' && typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+
+  throw badRequest('Invalid cursor.');
+};
+
+/**
+ * Build Cursor Filter
+ * 
+ * Decodes a cursor into a filter that selects documents after it.
+ * 
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - { field, direction } for this request
+ * @returns {Object} MongoDB filter
+ * @throws {ValidationError} If the cursor is malformed or from another sort
+ */
+const buildCursorFilter = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor.');
+  }
+
+  if (
+    !payload ||
+    payload.f !== sort.field ||
+    payload.d !== sort.direction ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw badRequest('Invalid cursor for this sort order.');
+  }
+
+  const value = parseCursorValue(payload.v, sort.field);
+  const id = new mongoose.Types.ObjectId(payload.id);
+  const op = sort.direction === -1 ? '$lt' : '$gt';
+
+  // Ties on the sort field are broken by _id
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+/**
+ * Paginate
+ * 
+ * Runs a cursor-paginated query in a given sort order. Shared with other
+ * listings (e.g. utils/userQuery.js) so every list endpoint pages the same way.
+ * 
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} sort - { field, direction } (field must be createdAt or numeric)
+ * @param {Object} query - Request query string values (limit, cursor)
+ * @param {Function} [decorate] - Adds populate/select to the find query
+ * @returns {Promise<Object>} { rows, total, nextCursor }
+ * @throws {ValidationError} For invalid limit or cursor
+ */
+const paginate = async (Model, filter, sort, query, decorate = (q) => q) => {
+  const limit = parseLimit(query.limit);
+
+  const pageFilter = query.cursor
+    ? { $and: [filter, buildCursorFilter(query.cursor, sort)] }
+    : filter;
+
+  const [found, total] = await Promise.all([
+    decorate(
+      Model.find(pageFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1)
+    ),
+    Model.countDocuments(filter),
+  ]);
+
+  // One extra row tells us whether another page exists
+  const hasMore = found.length > limit;
+  const rows = hasMore ? found.slice(0, limit) : found;
+  const nextCursor = hasMore ? encodeCursor(rows[rows.length - 1], sort) : null;
+
+  return { rows, total, nextCursor };
+};
+
+/**
+ * Paginate Transactions
+ * 
+ * Runs a cursor-paginated transaction query.
+ * 
+ * @param {Object} Model - Transaction model
+ * @param {Object} filter - Filter from buildTransactionFilter
+ * @param {Object} query - Request query string values (sort, limit, cursor)
+ * @param {Function} [decorate] - Adds populate/select to the find query
+ * @returns {Promise<Object>} { transactions, total, nextCursor }
+ * @throws {ValidationError} For invalid sort, limit or cursor
+ */
+const paginateTransactions = async (Model, filter, query, decorate) => {
+  const { rows, total, nextCursor } = await paginate(Model, filter, parseSort(query.sort), query, decorate);
+  return { transactions: rows, total, nextCursor };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  buildTransactionFilter,
+  parseSort,
+  paginate,
+  paginateTransactions,
+  encodeCursor,
+  buildCursorFilter,
+  escapeRegex,
+  badRequest,
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Two-Factor Authentication Utility
+ * 
+ * RFC 6238 TOTP (the codes shown by Google Authenticator, 1Password, Authy...),
+ * recovery codes and the short-lived MFA challenge token that links the two
+ * login steps.
+ * 
+ * TOTP parameters are the authenticator app defaults: HMAC-SHA1, 6 digits,
+ * 30-second steps. One step of clock drift is accepted either way.
+ * 
+ * Environment:
+ *   TWO_FACTOR_ISSUER - Issuer name shown in authenticator apps (default: Secure Transactions)
+ *   MFA_CHALLENGE_EXPIRES_IN - MFA challenge token lifetime (default: 5m)
+ */
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// RFC 4648 base32 alphabet, used for secrets in otpauth:// URIs
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 Encode
+ * 
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Unpadded base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 Decode
+ * 
+ * @param {string} input - Base32 string (case-insensitive, padding ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate Secret
+ * 
+ * @returns {string} New random 160-bit TOTP secret, base32-encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get Time Step
+ * 
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {number} TOTP time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Generate TOTP
+ * 
+ * @param {string} secret - Base32 secret
+ * @param {number} [step] - Time step (defaults to the current one)
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify TOTP
+ * 
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Matching time step (for replay protection), or null if invalid
+ */
+const verifyTotp = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep();
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const expected = generateTotp(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build Provisioning URI
+ * 
+ * Builds the otpauth:// URI that authenticator apps import (usually shown as a QR code).
+ * 
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, e.g. the user's email
+ * @returns {string} otpauth://totp/... URI
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER?.trim() || 'Secure Transactions';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Spaces must be %20, not +, for authenticator apps to display them
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_STEP_SECONDS}`,
+  ];
+
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+/**
+ * Normalize Recovery Code
+ * 
+ * Lower-cases and strips separators so codes can be typed loosely.
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Hash Recovery Code
+ * 
+ * @param {string} code - Recovery code as shown or typed
+ * @returns {string} Hex-encoded SHA-256 hash of the normalized code
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * Generate Recovery Codes
+ * 
+ * @returns {Object} { codes, hashes } - Plain codes to show once, hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Generate MFA Challenge Token
+ * 
+ * Issued after a correct password for users with 2FA; exchanged for a session
+ * at POST /api/auth/2fa/verify. It has no session ID, so authMiddleware never
+ * accepts it as an access token.
+ * 
+ * @param {string} userId - User's MongoDB ObjectId
+ * @returns {string} Signed JWT
+ */
+const generateMfaChallengeToken = (userId) => {
+  return jwt.sign(
+    { id: userId, purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+/**
+ * Verify MFA Challenge Token
+ * 
+ * @param {string} token - MFA challenge token from login
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Is Admin Two-Factor Required
+ * 
+ * Environment:
+ *   REQUIRE_ADMIN_2FA - true to require 2FA for the admin role (default: false)
+ * 
+ * @returns {boolean}
+ */
+const isAdminTwoFactorRequired = () => process.env.REQUIRE_ADMIN_2FA === 'true';
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  isAdminTwoFactorRequired,
+};
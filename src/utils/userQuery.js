@@ -0,0 +1,85 @@
+const { paginate, escapeRegex, badRequest } = require('./transactionQuery');
+const { ROLES } = require('./permissions');
+
+/**
+ * User Query Utility
+ * 
+ * Turns the admin user listing's query string into a MongoDB filter and
+ * pages through users, newest first.
+ * 
+ * Supported query parameters:
+ *   - q: Case-insensitive search in name and email
+ *   - role: One role or a comma-separated list (e.g. support,finance)
+ *   - status: active or suspended
+ *   - limit: Page size, 1-100 (default 20)
+ *   - cursor: nextCursor value from the previous page
+ * 
+ * Invalid values throw a ValidationError (400).
+ */
+
+const USER_STATUSES = ['active', 'suspended'];
+
+// Longest accepted search string
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Build User Filter
+ * 
+ * @param {Object} query - Request query string values
+ * @returns {Object} MongoDB filter
+ * @throws {ValidationError} For invalid values
+ */
+const buildUserFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.q !== undefined && query.q !== '') {
+    const search = String(query.q).trim();
+    if (search.length > MAX_SEARCH_LENGTH) {
+      throw badRequest(`q cannot exceed ${MAX_SEARCH_LENGTH} characters.`);
+    }
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (query.role) {
+    const roles = String(query.role).split(',').map((role) => role.trim()).filter(Boolean);
+    const invalid = roles.filter((role) => !ROLES.includes(role));
+    if (invalid.length > 0) {
+      throw badRequest(`Invalid role: ${invalid.join(', ')}. Allowed: ${ROLES.join(', ')}.`);
+    }
+    filter.role = { $in: roles };
+  }
+
+  if (query.status) {
+    if (!USER_STATUSES.includes(query.status)) {
+      throw badRequest(`Invalid status: ${query.status}. Allowed: ${USER_STATUSES.join(', ')}.`);
+    }
+    filter.suspendedAt = query.status === 'suspended' ? { $ne: null } : null;
+  }
+
+  return filter;
+};
+
+/**
+ * Paginate Users
+ * 
+ * @param {Object} Model - User model
+ * @param {Object} filter - Filter from buildUserFilter
+ * @param {Object} query - Request query string values (limit, cursor)
+ * @returns {Promise<Object>} { users, total, nextCursor }
+ * @throws {ValidationError} For invalid limit or cursor
+ */
+const paginateUsers = async (Model, filter, query) => {
+  const { rows, total, nextCursor } = await paginate(
+    Model,
+    filter,
+    { field: 'createdAt', direction: -1 },
+    query
+  );
+  return { users: rows, total, nextCursor };
+};
+
+module.exports = {
+  buildUserFilter,
+  paginateUsers,
+};
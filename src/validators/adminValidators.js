@@ -0,0 +1,30 @@
+const { body } = require('express-validator');
+const { ROLES } = require('../utils/permissions');
+const { failure, optionalString } = require('./common');
+
+/**
+ * Admin Validators
+ * 
+ * Validation chains for the routes in routes/adminRoutes.js, run by the
+ * validate middleware. The :id parameter is checked by the controller, which
+ * answers INVALID_ID for every admin route alike.
+ */
+
+// Same bound as User.suspendedReason
+const MAX_SUSPEND_REASON_LENGTH = 500;
+
+const updateUserRoleRules = [
+  body('role')
+    .exists({ values: 'falsy' }).withMessage(failure('required', 'role is required.')).bail()
+    .isString().withMessage(failure('invalid_type', 'role must be a string.')).bail()
+    .isIn(ROLES).withMessage(failure('invalid_value', `role must be one of: ${ROLES.join(', ')}.`)),
+];
+
+const suspendUserRules = [
+  optionalString('reason', { max: MAX_SUSPEND_REASON_LENGTH }),
+];
+
+module.exports = {
+  updateUserRoleRules,
+  suspendUserRules,
+};
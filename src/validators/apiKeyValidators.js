@@ -0,0 +1,41 @@
+const { body } = require('express-validator');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { failure, requiredString } = require('./common');
+
+/**
+ * API Key Validators
+ * 
+ * Validation chains for the routes in routes/apiKeyRoutes.js, run by the
+ * validate middleware.
+ */
+
+// Same bound as the ApiKey model
+const MAX_NAME_LENGTH = 100;
+
+// Longest allowed key lifetime
+const MAX_EXPIRY_DAYS = 3650;
+
+const scopes = body('scopes')
+  .exists({ values: 'null' }).withMessage(failure('required', `scopes is required. Available: ${API_KEY_SCOPES.join(', ')}.`)).bail()
+  .isArray().withMessage(failure('invalid_type', 'scopes must be an array.')).bail()
+  .isArray({ min: 1 }).withMessage(failure('required', `Please provide at least one scope. Available: ${API_KEY_SCOPES.join(', ')}.`)).bail()
+  .custom((values) => values.every((value) => API_KEY_SCOPES.includes(value)))
+  .withMessage(failure('invalid_value', `scopes must only contain: ${API_KEY_SCOPES.join(', ')}.`));
+
+// Whole or fractional days, sent as a JSON number or a numeric string
+const expiresInDays = body('expiresInDays')
+  .optional({ values: 'null' })
+  .custom((value) => ['string', 'number'].includes(typeof value)).withMessage(failure('invalid_type', 'expiresInDays must be a number.')).bail()
+  .isFloat({ gt: 0, max: MAX_EXPIRY_DAYS })
+  .withMessage(failure('out_of_range', `expiresInDays must be a positive number up to ${MAX_EXPIRY_DAYS}.`))
+  .toFloat();
+
+const createApiKeyRules = [
+  requiredString('name', { max: MAX_NAME_LENGTH }),
+  scopes,
+  expiresInDays,
+];
+
+module.exports = {
+  createApiKeyRules,
+};
@@ -0,0 +1,89 @@
+const { failure, requiredString, email } = require('./common');
+
+/**
+ * Auth Validators
+ * 
+ * Validation chains for the routes in routes/authRoutes.js, run by the
+ * validate middleware. Routes without a body use an empty list, which still
+ * drops any fields sent to them.
+ */
+
+// Long enough for any email address (RFC 5321)
+const MAX_EMAIL_LENGTH = 254;
+
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 128;
+
+// Bounds hashing work for passwords being checked, not set
+const MAX_PASSWORD_INPUT_LENGTH = 1024;
+
+// Tokens and codes are opaque to validation; this only bounds their size
+const MAX_TOKEN_LENGTH = 2048;
+const MAX_CODE_LENGTH = 64;
+
+const newPassword = (field) => requiredString(field, {
+  min: PASSWORD_MIN_LENGTH,
+  max: PASSWORD_MAX_LENGTH,
+  trim: false,
+});
+
+// Login and password reset accept any address an account may have been created with
+const accountEmail = () => requiredString('email', { max: MAX_EMAIL_LENGTH });
+
+const registerRules = [
+  requiredString('name', { min: 2, max: 100 }),
+  email('email').isLength({ max: MAX_EMAIL_LENGTH })
+    .withMessage(failure('too_long', `email cannot exceed ${MAX_EMAIL_LENGTH} characters.`)),
+  newPassword('password'),
+];
+
+const loginRules = [
+  accountEmail(),
+  requiredString('password', { max: MAX_PASSWORD_INPUT_LENGTH, trim: false }),
+];
+
+const verifyTwoFactorLoginRules = [
+  requiredString('mfaToken', { max: MAX_TOKEN_LENGTH }),
+  requiredString('code', { max: MAX_CODE_LENGTH }),
+];
+
+const confirmTwoFactorRules = [
+  requiredString('code', { max: MAX_CODE_LENGTH }),
+];
+
+const disableTwoFactorRules = [
+  requiredString('password', { max: MAX_PASSWORD_INPUT_LENGTH, trim: false }),
+  requiredString('code', { max: MAX_CODE_LENGTH }),
+];
+
+const refreshTokenRules = [
+  requiredString('refreshToken', { max: MAX_TOKEN_LENGTH }),
+];
+
+const forgotPasswordRules = [
+  accountEmail(),
+];
+
+const resetPasswordRules = [
+  requiredString('token', { max: MAX_TOKEN_LENGTH }),
+  newPassword('password'),
+];
+
+const verifyEmailRules = [
+  requiredString('token', { max: MAX_TOKEN_LENGTH }),
+];
+
+const noBodyRules = [];
+
+module.exports = {
+  registerRules,
+  loginRules,
+  verifyTwoFactorLoginRules,
+  confirmTwoFactorRules,
+  disableTwoFactorRules,
+  refreshTokenRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  verifyEmailRules,
+  noBodyRules,
+};
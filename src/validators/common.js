@@ -0,0 +1,180 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Common Validation Rules
+ * 
+ * Building blocks for the route validation chains in this folder. Every
+ * failure message is a { code, message } pair, so clients can rely on the
+ * code while the wording of the message changes.
+ * 
+ * Codes:
+ *   - required: Field is missing or empty
+ *   - invalid_type: Wrong JSON type (e.g. an object where a string belongs)
+ *   - too_short / too_long: String length out of bounds
+ *   - invalid_email: Not an email address
+ *   - invalid_integer: Not a whole number (e.g. "12abc" or 12.5)
+ *   - out_of_range: Number outside the allowed range
+ *   - invalid_date: Not an ISO 8601 date
+ *   - invalid_value: Not one of the allowed values
+ *   - invalid_format: Does not match the expected format
+ */
+
+/**
+ * Failure
+ * 
+ * @param {string} code - Stable error code
+ * @param {string} message - Human readable message
+ * @returns {Object} Message object for withMessage()
+ */
+const failure = (code, message) => ({ code, message });
+
+/**
+ * Is Scalar
+ * 
+ * express-validator checks arrays item by item, so `["5"]` would pass as an
+ * integer. Fields that expect one value reject arrays and objects with this.
+ */
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Required String
+ * 
+ * @param {string} field - Body field
+ * @param {Object} [options]
+ * @param {number} [options.min] - Minimum length
+ * @param {number} [options.max=1000] - Maximum length
+ * @param {boolean} [options.trim=true] - Trim whitespace (off for passwords)
+ * @returns {ValidationChain}
+ */
+const requiredString = (field, { min, max = 1000, trim = true } = {}) => {
+  let chain = body(field)
+    .exists({ values: 'null' }).withMessage(failure('required', `${field} is required.`)).bail()
+    .isString().withMessage(failure('invalid_type', `${field} must be a string.`)).bail();
+
+  if (trim) {
+    chain = chain.trim();
+  }
+
+  chain = chain.notEmpty().withMessage(failure('required', `${field} is required.`)).bail();
+
+  if (min) {
+    chain = chain
+      .isLength({ min }).withMessage(failure('too_short', `${field} must be at least ${min} characters.`)).bail();
+  }
+
+  return chain.isLength({ max }).withMessage(failure('too_long', `${field} cannot exceed ${max} characters.`));
+};
+
+/**
+ * Optional String
+ * 
+ * @param {string} field - Body field
+ * @param {Object} [options]
+ * @param {number} [options.max=1000] - Maximum length
+ * @returns {ValidationChain}
+ */
+const optionalString = (field, { max = 1000 } = {}) => body(field)
+  .optional({ values: 'null' })
+  .isString().withMessage(failure('invalid_type', `${field} must be a string.`)).bail()
+  .trim()
+  .isLength({ max }).withMessage(failure('too_long', `${field} cannot exceed ${max} characters.`));
+
+/**
+ * Email
+ * 
+ * @param {string} field - Body field
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Allow the field to be left out
+ * @returns {ValidationChain}
+ */
+const email = (field, { optional = false } = {}) => {
+  const chain = optional
+    ? body(field).optional({ values: 'falsy' })
+    : body(field).exists({ values: 'falsy' }).withMessage(failure('required', `${field} is required.`)).bail();
+
+  return chain
+    .isString().withMessage(failure('invalid_type', `${field} must be a string.`)).bail()
+    .trim()
+    .isEmail().withMessage(failure('invalid_email', `${field} must be a valid email address.`));
+};
+
+/**
+ * Body Integer
+ * 
+ * Accepts whole numbers sent as JSON numbers or digit strings, and converts
+ * them to numbers. Rejects anything else instead of rounding it.
+ * 
+ * @param {string} field - Body field
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Allow the field to be left out
+ * @param {number} [options.min=1] - Smallest allowed value
+ * @param {string} [options.unit] - Unit named in messages (e.g. kobo)
+ * @returns {ValidationChain}
+ */
+const integer = (field, { optional = false, min = 1, unit } = {}) => {
+  const chain = optional
+    ? body(field).optional({ values: 'null' })
+    : body(field).exists({ values: 'null' }).withMessage(failure('required', `${field} is required.`)).bail();
+  const suffix = unit ? ` ${unit}` : '';
+
+  return chain
+    .custom(isScalar).withMessage(failure('invalid_type', `${field} must be a number.`)).bail()
+    .isInt().withMessage(failure('invalid_integer', `${field} must be a whole number${unit ? ` of ${unit}` : ''}.`)).bail()
+    .isInt({ min }).withMessage(failure('out_of_range', `${field} must be at least ${min}${suffix}.`)).bail()
+    .isInt({ max: Number.MAX_SAFE_INTEGER }).withMessage(failure('out_of_range', `${field} is too large.`))
+    .toInt();
+};
+
+/**
+ * Reference Param
+ * 
+ * @returns {ValidationChain} Check for the :reference URL parameter
+ */
+const referenceParam = () => param('reference')
+  .matches(/^[A-Za-z0-9._=-]{1,100}$/)
+  .withMessage(failure('invalid_format', 'reference is not a valid transaction reference.'));
+
+/**
+ * Query Rules
+ * 
+ * Checks for query string values. All are optional; empty values count as
+ * absent. Values stay strings, for the query utilities to parse.
+ */
+const optionalQuery = (field) => query(field)
+  .optional({ values: 'falsy' })
+  .isString().withMessage(failure('invalid_type', `${field} must be given once.`)).bail();
+
+const queryInteger = (field, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => optionalQuery(field)
+  .isInt().withMessage(failure('invalid_integer', `${field} must be a whole number.`)).bail()
+  .isInt({ min, max }).withMessage(failure('out_of_range', `${field} must be between ${min} and ${max}.`));
+
+const queryDate = (field) => optionalQuery(field)
+  .isISO8601().withMessage(failure('invalid_date', `${field} must be a valid date (ISO 8601).`));
+
+const queryEnum = (field, allowed) => optionalQuery(field)
+  .isIn(allowed).withMessage(failure('invalid_value', `${field} must be one of: ${allowed.join(', ')}.`));
+
+const queryList = (field, allowed) => optionalQuery(field)
+  .custom((value) => value.split(',').map((item) => item.trim()).filter(Boolean).every((item) => allowed.includes(item)))
+  .withMessage(failure('invalid_value', `${field} must be a comma-separated list of: ${allowed.join(', ')}.`));
+
+const queryString = (field, { max = 100 } = {}) => optionalQuery(field)
+  .isLength({ max }).withMessage(failure('too_long', `${field} cannot exceed ${max} characters.`));
+
+const queryObjectId = (field) => optionalQuery(field)
+  .isMongoId().withMessage(failure('invalid_format', `${field} must be a valid ID.`));
+
+module.exports = {
+  failure,
+  requiredString,
+  optionalString,
+  email,
+  integer,
+  referenceParam,
+  queryInteger,
+  queryDate,
+  queryEnum,
+  queryList,
+  queryString,
+  queryObjectId,
+};
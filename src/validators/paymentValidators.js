@@ -0,0 +1,117 @@
+const { query } = require('express-validator');
+const { TRANSACTION_STATUSES } = require('../models/transactionStateMachine');
+const { SORT_FIELDS, MAX_LIMIT } = require('../utils/transactionQuery');
+const { EXPORT_FORMATS } = require('../utils/transactionExport');
+const { GROUP_BY_FORMATS, BREAKDOWN_FIELDS, MAX_TOP_PAYERS } = require('../utils/transactionAnalytics');
+const {
+  failure,
+  email,
+  integer,
+  optionalString,
+  referenceParam,
+  queryInteger,
+  queryDate,
+  queryEnum,
+  queryList,
+  queryString,
+  queryObjectId,
+} = require('./common');
+
+/**
+ * Payment Validators
+ * 
+ * Validation chains for the routes in routes/paymentRoutes.js, run by the
+ * validate middleware. Query chains check each parameter on its own; checks
+ * across parameters (e.g. from before to) stay in utils/transactionQuery.js.
+ * 
+ * Webhooks are not validated here: their raw body must reach the signature
+ * check unchanged.
+ */
+
+const SORT_VALUES = SORT_FIELDS.flatMap((field) => [field, `-${field}`]);
+const FORMAT_VALUES = Object.keys(EXPORT_FORMATS);
+
+const MAX_REFUND_REASON_LENGTH = 500;
+
+// Filters shared by every transaction listing and export
+const transactionFilters = [
+  queryList('status', TRANSACTION_STATUSES),
+  queryInteger('minAmount'),
+  queryInteger('maxAmount'),
+  queryDate('from'),
+  queryDate('to'),
+  queryString('reference'),
+  queryEnum('sort', SORT_VALUES),
+];
+
+const pagination = [
+  queryInteger('limit', { min: 1, max: MAX_LIMIT }),
+  queryString('cursor', { max: 500 }),
+];
+
+const exportFormat = query('format')
+  .optional({ values: 'falsy' })
+  .isString().withMessage(failure('invalid_type', 'format must be given once.')).bail()
+  .toLowerCase()
+  .isIn(FORMAT_VALUES).withMessage(failure('invalid_value', `format must be one of: ${FORMAT_VALUES.join(', ')}.`));
+
+const initiatePaymentRules = [
+  integer('amount', { unit: 'kobo' }),
+  email('email', { optional: true }),
+];
+
+const verifyPaymentRules = [
+  referenceParam(),
+];
+
+const myTransactionsRules = [
+  ...transactionFilters,
+  ...pagination,
+];
+
+const myTransactionsExportRules = [
+  ...transactionFilters,
+  exportFormat,
+];
+
+const allTransactionsRules = [
+  ...transactionFilters,
+  queryObjectId('user'),
+  ...pagination,
+];
+
+const transactionsExportRules = [
+  ...transactionFilters,
+  queryObjectId('user'),
+  exportFormat,
+];
+
+const analyticsRules = [
+  queryDate('from'),
+  queryDate('to'),
+  queryEnum('groupBy', Object.keys(GROUP_BY_FORMATS)),
+  queryList('breakdown', BREAKDOWN_FIELDS),
+  queryInteger('topPayers', { min: 1, max: MAX_TOP_PAYERS }),
+];
+
+const refundPaymentRules = [
+  referenceParam(),
+  integer('amount', { optional: true, unit: 'kobo' }),
+  optionalString('reason', { max: MAX_REFUND_REASON_LENGTH }),
+];
+
+const transactionPayloadsRules = [
+  referenceParam(),
+];
+
+module.exports = {
+  initiatePaymentRules,
+  verifyPaymentRules,
+  myTransactionsRules,
+  myTransactionsExportRules,
+  allTransactionsRules,
+  transactionsExportRules,
+  analyticsRules,
+  refundPaymentRules,
+  transactionPayloadsRules,
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const os = require('os');
+const Transaction = require('../models/Transaction');
+const TransactionPayload = require('../models/TransactionPayload');
+const { readPositiveNumber } = require('../config/settings');
+const { getPaymentProvider } = require('../providers');
+const { logger } = require('../utils/logger');
+const { recordTransactionStatusChange } = require('../utils/metrics');
+
+/**
+ * Pending Transaction Reconciler
+ * 
+ * Background worker that re-checks transactions stuck in `pending` (because
+ * nobody called verify and no webhook arrived) with the provider that created
+ * them, moving them to success/failed, or to abandoned after a cutoff.
+ * 
+ * Each transaction is claimed with a short lease (lockedBy/lockedUntil) via an
+ * atomic update, so several running instances never process the same one.
+ * 
+ * Started from server.js, or run on its own:
+ *   npm run reconcile            # run on a schedule
+ *   npm run reconcile -- --once  # single pass, then exit
+ * 
+ * Environment:
+ *   RECONCILE_ENABLED - Start the worker from server.js (default: true)
+ *   RECONCILE_INTERVAL_MS - Time between passes (default: 300000, 5 minutes)
+ *   RECONCILE_MIN_AGE_MINUTES - Only check transactions pending at least this long (default: 15)
+ *   RECONCILE_ABANDON_AFTER_HOURS - Mark still-pending transactions abandoned after this (default: 24)
+ *   RECONCILE_BATCH_SIZE - Maximum transactions checked per pass (default: 50)
+ *   RECONCILE_LOCK_TTL_MS - How long a claimed transaction stays locked (default: 120000)
+ */
+
+// Identifies this process in transaction locks
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Get Reconciler Config
+ * 
+ * @returns {Object} Current reconciler settings
+ */
+const getConfig = () => ({
+  intervalMs: readPositiveNumber('RECONCILE_INTERVAL_MS', 5 * 60 * 1000),
+  minAgeMs: readPositiveNumber('RECONCILE_MIN_AGE_MINUTES', 15) * 60 * 1000,
+  abandonAfterMs: readPositiveNumber('RECONCILE_ABANDON_AFTER_HOURS', 24) * 60 * 60 * 1000,
+  batchSize: Math.floor(readPositiveNumber('RECONCILE_BATCH_SIZE', 50)),
+  lockTtlMs: readPositiveNumber('RECONCILE_LOCK_TTL_MS', 2 * 60 * 1000),
+});
+
+/**
+ * Claim Next Transaction
+ * 
+ * Atomically locks the oldest stale pending transaction that is not locked by
+ * another worker and has not been checked during this pass.
+ * 
+ * @returns {Promise<Object|null>} Locked transaction, or null if none are left
+ */
+const claimNext = async (config, passStartedAt) => {
+  const now = new Date();
+
+  return Transaction.findOneAndUpdate(
+    {
+      status: 'pending',
+      createdAt: { $lte: new Date(now.getTime() - config.minAgeMs) },
+      $and: [
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $or: [{ lastReconciledAt: null }, { lastReconciledAt: { $lt: passStartedAt } }] },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + config.lockTtlMs),
+      },
+    },
+    {
+      new: true,
+      sort: { createdAt: 1 },
+    }
+  );
+};
+
+/**
+ * Reconcile Transaction
+ * 
+ * Re-checks one locked transaction with its provider and records the outcome.
+ * 
+ * @returns {Promise<string>} Resulting status, or 'skipped' if it was settled elsewhere meanwhile
+ */
+const reconcileTransaction = async (transaction, config) => {
+  const isPastCutoff = Date.now() - transaction.createdAt.getTime() >= config.abandonAfterMs;
+  const historyLength = transaction.statusHistory.length;
+
+  try {
+    const provider = getPaymentProvider(transaction.provider);
+    const result = await provider.verify(transaction.reference);
+    const payload = await TransactionPayload.record(transaction, 'reconciler', result.raw);
+    transaction.applyProviderResult(result, { source: 'reconciler', payloadId: payload._id });
+  } catch (error) {
+    // Provider has no record (e.g. checkout never opened) or is unreachable
+    logger.warn('Reconcile transaction error', { reference: transaction.reference, err: error });
+  }
+
+  if (transaction.status === 'pending' && isPastCutoff) {
+    const payload = await TransactionPayload.record(transaction, 'reconciler', {
+      reason: 'Pending past abandon cutoff',
+    });
+    transaction.transitionTo('abandoned', { source: 'reconciler', payloadId: payload._id });
+  }
+
+  const update = {
+    $set: {
+      lastReconciledAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null,
+    },
+  };
+
+  if (transaction.status !== 'pending') {
+    Object.assign(update.$set, transaction.paymentDetails(), { status: transaction.status });
+    update.$push = {
+      statusHistory: {
+        $each: transaction.statusHistory.slice(historyLength).map((entry) => entry.toObject()),
+      },
+    };
+  }
+
+  // Only write the new status if verify or a webhook has not settled it meanwhile
+  const saved = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    update,
+    { new: true }
+  );
+
+  if (!saved) {
+    await Transaction.updateOne(
+      { _id: transaction._id, lockedBy: WORKER_ID },
+      { $set: { lastReconciledAt: update.$set.lastReconciledAt, lockedBy: null, lockedUntil: null } }
+    );
+    return 'skipped';
+  }
+
+  transaction.statusHistory
+    .slice(historyLength)
+    .forEach((entry) => recordTransactionStatusChange(entry.to, entry.source));
+
+  return saved.status;
+};
+
+/**
+ * Reconcile Pending Transactions
+ * 
+ * Runs a single reconciliation pass.
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMinutes] - Overrides RECONCILE_MIN_AGE_MINUTES; 0 checks every pending transaction
+ * @returns {Promise<Object>} Counts of transactions checked per resulting status
+ */
+const reconcilePendingTransactions = async ({ minAgeMinutes } = {}) => {
+  const config = getConfig();
+  if (minAgeMinutes !== undefined) {
+    config.minAgeMs = minAgeMinutes * 60 * 1000;
+  }
+  const passStartedAt = new Date();
+  const summary = { checked: 0, success: 0, failed: 0, abandoned: 0, pending: 0, skipped: 0 };
+
+  while (summary.checked < config.batchSize) {
+    const transaction = await claimNext(config, passStartedAt);
+
+    if (!transaction) {
+      break;
+    }
+
+    const status = await reconcileTransaction(transaction, config);
+    summary.checked += 1;
+    summary[status] = (summary[status] || 0) + 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Start Reconciler
+ * 
+ * Runs a reconciliation pass now and then on a fixed interval. Passes never
+ * overlap within one process.
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.keepAlive=false] - Keep the process alive for the schedule (standalone mode)
+ * @returns {Function} Stops the schedule
+ */
+const startReconciler = ({ keepAlive = false } = {}) => {
+  const { intervalMs } = getConfig();
+  let running = false;
+
+  const runPass = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      const summary = await reconcilePendingTransactions();
+      if (summary.checked > 0) {
+        logger.info('Reconciled pending transactions', summary);
+      }
+    } catch (error) {
+      logger.error('Reconciler error', { err: error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(runPass, intervalMs);
+  if (!keepAlive) {
+    // Inside the API server, the schedule alone should not keep the process alive
+    timer.unref();
+  }
+  runPass();
+
+  logger.info('Reconciler started', { intervalSeconds: Math.round(intervalMs / 1000), workerId: WORKER_ID });
+
+  return () => clearInterval(timer);
+};
+
+// Standalone mode: node src/workers/reconciler.js [--once]
+if (require.main === module) {
+  require('dotenv').config();
+  const mongoose = require('mongoose');
+  const connectDB = require('../config/database');
+
+  const main = async () => {
+    await connectDB();
+
+    if (process.argv.includes('--once')) {
+      const summary = await reconcilePendingTransactions();
+      logger.info('Reconciled pending transactions', summary);
+      await mongoose.disconnect();
+      return;
+    }
+
+    startReconciler({ keepAlive: true });
+  };
+
+  main().catch((error) => {
+    logger.error('Reconciler failed', { err: error });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  reconcilePendingTransactions,
+  startReconciler,
+};
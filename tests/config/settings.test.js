@@ -0,0 +1,38 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { readPositiveNumber, readNonNegativeNumber } = require('../../src/config/settings');
+
+const NAME = 'SETTINGS_TEST_VALUE';
+
+describe('numeric settings', () => {
+  afterEach(() => {
+    delete process.env[NAME];
+  });
+
+  it('reads positive numbers, falling back for anything else', () => {
+    assert.equal(readPositiveNumber(NAME, 5), 5);
+
+    process.env[NAME] = '2.5';
+    assert.equal(readPositiveNumber(NAME, 5), 2.5);
+
+    ['0', '-1', 'abc', '', 'Infinity'].forEach((value) => {
+      process.env[NAME] = value;
+      assert.equal(readPositiveNumber(NAME, 5), 5, value);
+    });
+  });
+
+  it('accepts 0 as a non-negative number, but not an empty value', () => {
+    assert.equal(readNonNegativeNumber(NAME, 30), 30);
+
+    process.env[NAME] = '0';
+    assert.equal(readNonNegativeNumber(NAME, 30), 0);
+
+    process.env[NAME] = '15';
+    assert.equal(readNonNegativeNumber(NAME, 30), 15);
+
+    ['-1', 'abc', '', '  '].forEach((value) => {
+      process.env[NAME] = value;
+      assert.equal(readNonNegativeNumber(NAME, 30), 30, JSON.stringify(value));
+    });
+  });
+});
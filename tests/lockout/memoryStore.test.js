@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../../src/lockout/memoryStore');
+
+const MINUTE = 60 * 1000;
+
+describe('lockout memory store', () => {
+  it('returns null for an unknown key', async () => {
+    assert.equal(await store.get('account:unknown@example.com'), null);
+  });
+
+  it('counts failures within the window', async () => {
+    const key = 'account:count@example.com';
+
+    assert.equal(await store.recordFailure(key, 15 * MINUTE), 1);
+    assert.equal(await store.recordFailure(key, 15 * MINUTE), 2);
+    assert.equal(await store.recordFailure(key, 15 * MINUTE), 3);
+
+    const counter = await store.get(key);
+    assert.equal(counter.failures, 3);
+    assert.equal(counter.nextAttemptAt, null);
+    assert.equal(counter.lockedUntil, null);
+  });
+
+  it('forgets failures once the window has passed', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1704196800000 });
+    const key = 'account:expire@example.com';
+
+    await store.recordFailure(key, 15 * MINUTE);
+    t.mock.timers.tick(15 * MINUTE);
+
+    assert.equal(await store.get(key), null);
+    assert.equal(await store.recordFailure(key, 15 * MINUTE), 1);
+  });
+
+  it('keeps a locked counter alive until the lockout ends', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1704196800000 });
+    const key = 'account:locked@example.com';
+    const lockedUntil = new Date(Date.now() + 60 * MINUTE);
+
+    await store.recordFailure(key, 15 * MINUTE);
+    await store.block(key, { lockedUntil });
+
+    t.mock.timers.tick(30 * MINUTE);
+    const counter = await store.get(key);
+    assert.equal(counter.failures, 1);
+    assert.deepEqual(counter.lockedUntil, lockedUntil);
+
+    t.mock.timers.tick(30 * MINUTE);
+    assert.equal(await store.get(key), null);
+  });
+
+  it('records the delay before the next attempt', async () => {
+    const key = 'account:delay@example.com';
+    const nextAttemptAt = new Date(Date.now() + 2000);
+
+    await store.recordFailure(key, 15 * MINUTE);
+    await store.block(key, { nextAttemptAt });
+
+    assert.deepEqual((await store.get(key)).nextAttemptAt, nextAttemptAt);
+  });
+
+  it('ignores block for a key without failures', async () => {
+    await store.block('account:none@example.com', { lockedUntil: new Date(Date.now() + MINUTE) });
+    assert.equal(await store.get('account:none@example.com'), null);
+  });
+
+  it('returns copies, so callers cannot change stored counters', async () => {
+    const key = 'account:copy@example.com';
+    await store.recordFailure(key, 15 * MINUTE);
+
+    const counter = await store.get(key);
+    counter.failures = 99;
+
+    assert.equal((await store.get(key)).failures, 1);
+  });
+
+  it('resets a counter', async () => {
+    const key = 'ip:203.0.113.7';
+    await store.recordFailure(key, 15 * MINUTE);
+
+    await store.reset(key);
+
+    assert.equal(await store.get(key), null);
+  });
+});
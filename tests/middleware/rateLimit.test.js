@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit } = require('../../src/middleware/rateLimit');
+const { RateLimitError } = require('../../src/utils/errors');
+
+const WINDOW_MS = 60000;
+
+// Start of a window, so elapsed times below are easy to follow
+const WINDOW_START = Math.ceil(1704196800000 / WINDOW_MS) * WINDOW_MS;
+
+let limiterCount = 0;
+
+// Calls the middleware once; resolves with what it passed to next() and the headers it set
+const call = (limiter, req = { ip: '203.0.113.10' }) => new Promise((resolve) => {
+  const headers = {};
+  const res = { set: (values) => Object.assign(headers, values) };
+  limiter(req, res, (error) => resolve({ error, headers }));
+});
+
+describe('rateLimit middleware', () => {
+  let limiter;
+
+  beforeEach(() => {
+    delete process.env.RATE_LIMIT_ENABLED;
+    delete process.env.RATE_LIMIT_STORE;
+    // Every test gets its own counters
+    limiterCount += 1;
+    limiter = rateLimit({ name: `test${limiterCount}`, max: 2, windowMs: WINDOW_MS });
+  });
+
+  it('lets requests through up to the limit and sets the RateLimit headers', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: WINDOW_START + 30000 });
+
+    const first = await call(limiter);
+    assert.equal(first.error, undefined);
+    assert.deepEqual(first.headers, {
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '30',
+      'RateLimit-Policy': '2;w=60',
+    });
+
+    const second = await call(limiter);
+    assert.equal(second.error, undefined);
+    assert.equal(second.headers['RateLimit-Remaining'], '0');
+  });
+
+  it('refuses requests over the limit until the window ends', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: WINDOW_START + 30000 });
+
+    await call(limiter);
+    await call(limiter);
+    const { error } = await call(limiter);
+
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.retryAfter, 30);
+  });
+
+  it('weights the previous window by how much of it still overlaps', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: WINDOW_START + 30000 });
+    const limiterOfFour = rateLimit({ name: `test${limiterCount}-four`, max: 4, windowMs: WINDOW_MS });
+    for (let i = 0; i < 4; i += 1) {
+      await call(limiterOfFour);
+    }
+
+    // Halfway through the next window, half of the previous one still counts: 2 + 2
+    t.mock.timers.tick(WINDOW_MS);
+    await call(limiterOfFour);
+    const allowed = await call(limiterOfFour);
+    assert.equal(allowed.error, undefined);
+    assert.equal(allowed.headers['RateLimit-Remaining'], '0');
+
+    // 2 + 3 is over the limit; at 45s only a quarter (1 + 3) still counts
+    const refused = await call(limiterOfFour);
+    assert.ok(refused.error instanceof RateLimitError);
+    assert.equal(refused.error.retryAfter, 15);
+  });
+
+  it('counts users and IPs separately', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: WINDOW_START });
+
+    await call(limiter, { ip: '203.0.113.10' });
+    await call(limiter, { ip: '203.0.113.10' });
+
+    assert.ok((await call(limiter, { ip: '203.0.113.10' })).error instanceof RateLimitError);
+    assert.equal((await call(limiter, { ip: '203.0.113.11' })).error, undefined);
+    assert.equal((await call(limiter, { ip: '203.0.113.10', user: { _id: 'user1' } })).error, undefined);
+  });
+
+  it('is skipped when RATE_LIMIT_ENABLED is false', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: WINDOW_START });
+    process.env.RATE_LIMIT_ENABLED = 'false';
+
+    for (let i = 0; i < 5; i += 1) {
+      const { error, headers } = await call(limiter);
+      assert.equal(error, undefined);
+      assert.deepEqual(headers, {});
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRANSACTION_STATUSES,
+  TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  assertTransition,
+} = require('../../src/models/transactionStateMachine');
+const { ConflictError } = require('../../src/utils/errors');
+
+describe('transactionStateMachine', () => {
+  it('defines transitions only between known statuses', () => {
+    Object.entries(TRANSITIONS).forEach(([from, targets]) => {
+      assert.ok(TRANSACTION_STATUSES.includes(from), from);
+      targets.forEach((to) => assert.ok(TRANSACTION_STATUSES.includes(to), `${from} -> ${to}`));
+    });
+  });
+
+  it('allows staying on the same status', () => {
+    TRANSACTION_STATUSES.forEach((status) => assert.equal(canTransition(status, status), true));
+  });
+
+  it('allows a pending payment to settle', () => {
+    assert.equal(canTransition('pending', 'success'), true);
+    assert.equal(canTransition('pending', 'failed'), true);
+    assert.equal(canTransition('pending', 'abandoned'), true);
+  });
+
+  it('lets late provider results turn failed or abandoned payments into success', () => {
+    assert.equal(canTransition('failed', 'success'), true);
+    assert.equal(canTransition('abandoned', 'success'), true);
+    assert.equal(canTransition('abandoned', 'failed'), true);
+  });
+
+  it('allows refunds only after a successful payment', () => {
+    assert.equal(canTransition('success', 'partially_refunded'), true);
+    assert.equal(canTransition('success', 'refunded'), true);
+    assert.equal(canTransition('partially_refunded', 'refunded'), true);
+    assert.equal(canTransition('pending', 'refunded'), false);
+    assert.equal(canTransition('failed', 'partially_refunded'), false);
+  });
+
+  it('lets a refund that failed at the provider move the status back', () => {
+    assert.equal(canTransition('refunded', 'partially_refunded'), true);
+    assert.equal(canTransition('refunded', 'success'), true);
+    assert.equal(canTransition('partially_refunded', 'success'), true);
+  });
+
+  it('never moves back to pending', () => {
+    TRANSACTION_STATUSES
+      .filter((status) => status !== 'pending')
+      .forEach((status) => assert.equal(canTransition(status, 'pending'), false, status));
+  });
+
+  it('refuses unknown statuses', () => {
+    assert.equal(canTransition('pending', 'paid'), false);
+    assert.equal(canTransition('paid', 'success'), false);
+  });
+
+  it('throws a 409 InvalidTransitionError for an illegal change', () => {
+    assert.doesNotThrow(() => assertTransition('pending', 'success'));
+
+    assert.throws(() => assertTransition('success', 'failed'), (error) => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.ok(error instanceof ConflictError);
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.code, 'INVALID_STATUS_TRANSITION');
+      assert.equal(error.from, 'success');
+      assert.equal(error.to, 'failed');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../../src/rateLimit/memoryStore');
+
+describe('rate limit memory store', () => {
+  it('counts requests per key', async () => {
+    const expiresAt = new Date(Date.now() + 60000);
+
+    assert.equal(await store.increment('api:ip:203.0.113.1:1', expiresAt), 1);
+    assert.equal(await store.increment('api:ip:203.0.113.1:1', expiresAt), 2);
+    assert.equal(await store.increment('api:ip:203.0.113.2:1', expiresAt), 1);
+
+    assert.equal(await store.get('api:ip:203.0.113.1:1'), 2);
+    assert.equal(await store.get('api:ip:203.0.113.2:1'), 1);
+  });
+
+  it('reads 0 for an unknown key', async () => {
+    assert.equal(await store.get('api:ip:203.0.113.3:1'), 0);
+  });
+
+  it('starts over once a counter has expired', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1704196800000 });
+    const key = 'auth:ip:203.0.113.4:1';
+
+    await store.increment(key, new Date(Date.now() + 1000));
+    await store.increment(key, new Date(Date.now() + 1000));
+    t.mock.timers.tick(1000);
+
+    assert.equal(await store.get(key), 0);
+    assert.equal(await store.increment(key, new Date(Date.now() + 1000)), 1);
+  });
+});
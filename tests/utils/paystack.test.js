@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyWebhookSignature } = require('../../src/utils/paystack');
+
+const SECRET = 'sk_test_webhook_secret';
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+describe('verifyWebhookSignature', () => {
+  const originalSecret = process.env.PAYSTACK_SECRET_KEY;
+  const body = Buffer.from(JSON.stringify({ event: 'charge.success', data: { reference: 'TXN-1' } }));
+
+  beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = SECRET;
+  });
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.PAYSTACK_SECRET_KEY;
+    } else {
+      process.env.PAYSTACK_SECRET_KEY = originalSecret;
+    }
+  });
+
+  it('accepts the HMAC-SHA512 of the raw body', () => {
+    assert.equal(verifyWebhookSignature(body, sign(body)), true);
+    assert.equal(verifyWebhookSignature(body.toString('utf8'), sign(body)), true);
+  });
+
+  it('trims the secret key like the API client does', () => {
+    process.env.PAYSTACK_SECRET_KEY = `  ${SECRET}\n`;
+    assert.equal(verifyWebhookSignature(body, sign(body)), true);
+  });
+
+  it('rejects a signature made with another key', () => {
+    assert.equal(verifyWebhookSignature(body, sign(body, 'sk_test_other')), false);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const tampered = Buffer.from(body.toString('utf8').replace('TXN-1', 'TXN-2'));
+    assert.equal(verifyWebhookSignature(tampered, sign(body)), false);
+  });
+
+  it('rejects re-serialized JSON with different bytes', () => {
+    const reformatted = JSON.stringify(JSON.parse(body.toString('utf8')), null, 2);
+    assert.equal(verifyWebhookSignature(reformatted, sign(body)), false);
+  });
+
+  it('rejects signatures of the wrong length without throwing', () => {
+    assert.equal(verifyWebhookSignature(body, sign(body).slice(0, 10)), false);
+    assert.equal(verifyWebhookSignature(body, `${sign(body)}00`), false);
+  });
+
+  it('rejects a missing signature, body or secret key', () => {
+    assert.equal(verifyWebhookSignature(body, undefined), false);
+    assert.equal(verifyWebhookSignature(body, ''), false);
+    assert.equal(verifyWebhookSignature(undefined, sign(body)), false);
+
+    delete process.env.PAYSTACK_SECRET_KEY;
+    assert.equal(verifyWebhookSignature(body, sign(body)), false);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  canAccessTransaction,
+} = require('../../src/utils/permissions');
+
+const OWNER_ID = '507f1f77bcf86cd799439011';
+const OTHER_ID = '507f1f77bcf86cd799439012';
+
+const userWith = (role, id = OWNER_ID) => ({ _id: id, role });
+
+describe('permissions', () => {
+  it('defines the user, support, finance and admin roles', () => {
+    assert.deepEqual(ROLES, ['user', 'support', 'finance', 'admin']);
+  });
+
+  it('lets every role act as a customer', () => {
+    ROLES.forEach((role) => {
+      ['payments:create', 'transactions:read:own', 'apiKeys:manage:own'].forEach((permission) => {
+        assert.equal(hasPermission(role, permission), true, `${role} ${permission}`);
+      });
+    });
+  });
+
+  it('gives admins every permission of the other roles', () => {
+    const all = new Set(Object.values(ROLE_PERMISSIONS).flat());
+    all.forEach((permission) => assert.equal(hasPermission('admin', permission), true, permission));
+  });
+
+  it('keeps support read-only', () => {
+    assert.equal(hasPermission('support', 'transactions:read:all'), true);
+    ['refunds:create', 'transactions:export:all', 'transactions:verify:all', 'transactions:payloads:read', 'users:manage']
+      .forEach((permission) => assert.equal(hasPermission('support', permission), false, permission));
+  });
+
+  it('lets finance refund, export and read analytics but not manage users', () => {
+    ['refunds:create', 'transactions:export:all', 'analytics:read']
+      .forEach((permission) => assert.equal(hasPermission('finance', permission), true, permission));
+    ['users:manage', 'transactions:payloads:read', 'apiKeys:revoke:all']
+      .forEach((permission) => assert.equal(hasPermission('finance', permission), false, permission));
+  });
+
+  it('accepts a user or a role name', () => {
+    assert.equal(hasPermission(userWith('admin'), 'users:manage'), true);
+    assert.equal(hasPermission(userWith('user'), 'users:manage'), false);
+  });
+
+  it('grants nothing to unknown or missing roles', () => {
+    assert.deepEqual(getPermissions('root'), []);
+    assert.equal(hasPermission('root', 'payments:create'), false);
+    assert.equal(hasPermission(undefined, 'payments:create'), false);
+    assert.equal(hasPermission({}, 'payments:create'), false);
+  });
+});
+
+describe('canAccessTransaction', () => {
+  const own = { user: OWNER_ID };
+  const populated = { user: { _id: OWNER_ID, email: 'jane@example.com' } };
+  const others = { user: OTHER_ID };
+
+  it('lets owners read and verify their own transactions', () => {
+    ROLES.forEach((role) => {
+      assert.equal(canAccessTransaction(userWith(role), own, 'read'), true, role);
+      assert.equal(canAccessTransaction(userWith(role), own, 'verify'), true, role);
+    });
+  });
+
+  it('recognises the owner when the transaction user is populated', () => {
+    assert.equal(canAccessTransaction(userWith('user'), populated, 'read'), true);
+  });
+
+  it('lets only roles with the "all" permission read other users\' transactions', () => {
+    assert.equal(canAccessTransaction(userWith('user'), others, 'read'), false);
+    assert.equal(canAccessTransaction(userWith('support'), others, 'read'), true);
+    assert.equal(canAccessTransaction(userWith('finance'), others, 'read'), true);
+    assert.equal(canAccessTransaction(userWith('admin'), others, 'read'), true);
+  });
+
+  it('lets only admins verify other users\' transactions', () => {
+    assert.equal(canAccessTransaction(userWith('user'), others, 'verify'), false);
+    assert.equal(canAccessTransaction(userWith('support'), others, 'verify'), false);
+    assert.equal(canAccessTransaction(userWith('finance'), others, 'verify'), false);
+    assert.equal(canAccessTransaction(userWith('admin'), others, 'verify'), true);
+  });
+});
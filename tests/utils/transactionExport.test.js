@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsv } = require('../../src/utils/transactionExport');
+
+describe('escapeCsv', () => {
+  it('leaves plain values and numbers as they are', () => {
+    assert.equal(escapeCsv('TXN-1704196800-ab12'), 'TXN-1704196800-ab12');
+    assert.equal(escapeCsv(50000), '50000');
+    assert.equal(escapeCsv(-150), '-150');
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    assert.equal(escapeCsv(null), '');
+    assert.equal(escapeCsv(undefined), '');
+  });
+
+  it('quotes values containing commas, quotes or line breaks', () => {
+    assert.equal(escapeCsv('Lagos, Nigeria'), '"Lagos, Nigeria"');
+    assert.equal(escapeCsv('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsv('line\nbreak'), '"line\nbreak"');
+    assert.equal(escapeCsv('line\r\nbreak'), '"line\r\nbreak"');
+  });
+
+  it('neutralises values a spreadsheet would run as a formula', () => {
+    assert.equal(escapeCsv('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+    assert.equal(escapeCsv('+2+3'), "'+2+3");
+    assert.equal(escapeCsv('-2+3'), "'-2+3");
+    assert.equal(escapeCsv('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(escapeCsv('\tcmd'), "'\tcmd");
+  });
+
+  it('only treats a leading character as a formula', () => {
+    assert.equal(escapeCsv('a=b'), 'a=b');
+    assert.equal(escapeCsv('jane@example.com'), 'jane@example.com');
+  });
+});
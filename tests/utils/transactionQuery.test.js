@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, buildCursorFilter, parseSort } = require('../../src/utils/transactionQuery');
+const { ValidationError } = require('../../src/utils/errors');
+
+const ID = '507f1f77bcf86cd799439011';
+
+// Builds a cursor from a raw payload, as a client could
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const assertInvalid = (fn, message) => {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.statusCode, 400);
+    if (message) {
+      assert.equal(error.message, message);
+    }
+    return true;
+  });
+};
+
+describe('parseSort', () => {
+  it('defaults to newest first', () => {
+    assert.deepEqual(parseSort(undefined), { field: 'createdAt', direction: -1 });
+  });
+
+  it('reads the direction from a leading minus', () => {
+    assert.deepEqual(parseSort('amount'), { field: 'amount', direction: 1 });
+    assert.deepEqual(parseSort('-amount'), { field: 'amount', direction: -1 });
+  });
+
+  it('rejects unknown sort fields', () => {
+    assertInvalid(() => parseSort('email'));
+  });
+});
+
+describe('transaction cursors', () => {
+  it('round-trips a createdAt cursor into a filter after the document', () => {
+    const sort = { field: 'createdAt', direction: -1 };
+    const createdAt = new Date('2024-01-02T12:00:00.000Z');
+    const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(ID), createdAt }, sort);
+
+    const filter = buildCursorFilter(cursor, sort);
+
+    assert.deepEqual(filter.$or[0], { createdAt: { $lt: createdAt } });
+    assert.deepEqual(filter.$or[1].createdAt, createdAt);
+    assert.equal(filter.$or[1]._id.$lt.toString(), ID);
+  });
+
+  it('round-trips an ascending amount cursor', () => {
+    const sort = { field: 'amount', direction: 1 };
+    const cursor = encodeCursor({ _id: ID, amount: 50000 }, sort);
+
+    const filter = buildCursorFilter(cursor, sort);
+
+    assert.deepEqual(filter.$or[0], { amount: { $gt: 50000 } });
+    assert.equal(filter.$or[1].amount, 50000);
+    assert.equal(filter.$or[1]._id.$gt.toString(), ID);
+  });
+
+  it('produces opaque URL-safe cursors', () => {
+    const cursor = encodeCursor({ _id: ID, amount: 1 }, { field: 'amount', direction: -1 });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects cursors that are not base64url JSON', () => {
+    assertInvalid(() => buildCursorFilter('not a cursor', { field: 'createdAt', direction: -1 }), 'Invalid cursor.');
+  });
+
+  it('rejects a cursor from another sort order', () => {
+    const cursor = encodeCursor({ _id: ID, amount: 100 }, { field: 'amount', direction: -1 });
+
+    assertInvalid(() => buildCursorFilter(cursor, { field: 'amount', direction: 1 }), 'Invalid cursor for this sort order.');
+    assertInvalid(() => buildCursorFilter(cursor, { field: 'createdAt', direction: -1 }), 'Invalid cursor for this sort order.');
+  });
+
+  it('rejects a cursor with an invalid document ID', () => {
+    const cursor = rawCursor({ f: 'amount', d: -1, v: 100, id: 'nope' });
+    assertInvalid(() => buildCursorFilter(cursor, { field: 'amount', direction: -1 }), 'Invalid cursor for this sort order.');
+  });
+
+  it('rejects sort values that do not fit the sort field', () => {
+    const amountSort = { field: 'amount', direction: -1 };
+    const dateSort = { field: 'createdAt', direction: -1 };
+
+    [{ $gt: 0 }, '100', null, [1]].forEach((v) => {
+      assertInvalid(() => buildCursorFilter(rawCursor({ f: 'amount', d: -1, v, id: ID }), amountSort), 'Invalid cursor.');
+    });
+
+    [{ $ne: null }, 'not a date', 1704196800000, null].forEach((v) => {
+      assertInvalid(() => buildCursorFilter(rawCursor({ f: 'createdAt', d: -1, v, id: ID }), dateSort), 'Invalid cursor.');
+    });
+  });
+});
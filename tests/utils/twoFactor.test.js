@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+} = require('../../src/utils/twoFactor');
+
+// RFC 6238 test secret "12345678901234567890", base32-encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// 2024-01-02T12:00:15Z, halfway through a 30-second step
+const NOW = 1704196815000;
+const STEP = Math.floor(NOW / 1000 / 30);
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+  });
+
+  describe('verifyTotp', () => {
+    it('accepts the current code and returns its time step', (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: NOW });
+      assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, STEP)), STEP);
+    });
+
+    it('accepts one step of clock drift either way', (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: NOW });
+      assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, STEP - 1)), STEP - 1);
+      assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, STEP + 1)), STEP + 1);
+    });
+
+    it('rejects codes from further away', (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: NOW });
+      const current = generateTotp(RFC_SECRET, STEP);
+      [STEP - 2, STEP + 2]
+        .map((step) => generateTotp(RFC_SECRET, step))
+        .filter((code) => code !== current)
+        .forEach((code) => assert.equal(verifyTotp(RFC_SECRET, code), null));
+    });
+
+    it('ignores spaces in the code', (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: NOW });
+      const code = generateTotp(RFC_SECRET, STEP);
+      assert.equal(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), STEP);
+    });
+
+    it('rejects anything but six digits', () => {
+      ['', '12345', '1234567', 'abcdef', null, undefined].forEach((code) => {
+        assert.equal(verifyTotp(RFC_SECRET, code), null);
+      });
+    });
+  });
+});
+
+describe('buildProvisioningUri', () => {
+  const originalIssuer = process.env.TWO_FACTOR_ISSUER;
+
+  after(() => {
+    if (originalIssuer === undefined) {
+      delete process.env.TWO_FACTOR_ISSUER;
+    } else {
+      process.env.TWO_FACTOR_ISSUER = originalIssuer;
+    }
+  });
+
+  it('builds an otpauth URI with %20 for spaces', () => {
+    delete process.env.TWO_FACTOR_ISSUER;
+    assert.equal(
+      buildProvisioningUri(RFC_SECRET, 'jane@example.com'),
+      `otpauth://totp/Secure%20Transactions%3Ajane%40example.com?secret=${RFC_SECRET}`
+        + '&issuer=Secure%20Transactions&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  it('uses TWO_FACTOR_ISSUER', () => {
+    process.env.TWO_FACTOR_ISSUER = 'Acme Pay';
+    assert.match(buildProvisioningUri(RFC_SECRET, 'jane@example.com'), /^otpauth:\/\/totp\/Acme%20Pay%3A.*&issuer=Acme%20Pay&/);
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates ten distinct codes with their hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach((code, index) => {
+      assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      assert.equal(hashes[index], hashRecoveryCode(code));
+    });
+  });
+
+  it('hashes codes regardless of case and separators', () => {
+    const hash = hashRecoveryCode('ab12c-3de45');
+    assert.equal(hashRecoveryCode('AB12C3DE45'), hash);
+    assert.equal(hashRecoveryCode(' ab12c 3de45 '), hash);
+    assert.notEqual(hashRecoveryCode('ab12c-3de46'), hash);
+  });
+});
+
+describe('MFA challenge token', () => {
+  const originalSecret = process.env.JWT_SECRET;
+
+  before(() => {
+    process.env.JWT_SECRET = 'test_jwt_secret';
+  });
+
+  after(() => {
+    if (originalSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = originalSecret;
+    }
+  });
+
+  it('round-trips the user ID', () => {
+    const token = generateMfaChallengeToken('507f1f77bcf86cd799439011');
+    assert.equal(verifyMfaChallengeToken(token), '507f1f77bcf86cd799439011');
+  });
+
+  it('rejects tokens that are not MFA challenges', () => {
+    const accessToken = jwt.sign({ id: '507f1f77bcf86cd799439011', sid: 'family' }, process.env.JWT_SECRET);
+
+    assert.equal(verifyMfaChallengeToken(accessToken), null);
+    assert.equal(verifyMfaChallengeToken('not.a.token'), null);
+    assert.equal(verifyMfaChallengeToken(undefined), null);
+  });
+});